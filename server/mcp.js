@@ -12,28 +12,42 @@ import {
   GAME_GUIDE_RESOURCE,
   GAME_GUIDE_SUMMARY,
   GAME_GUIDE_TEXT,
+  HIDDEN_ROLL_PREFIX,
   MAX_LEVEL,
+  MAX_PARTY_SIZE,
+  ROLL_SOURCES,
   TOOL_OUTPUT_TEMPLATE,
   commonToolMeta,
 } from "./mcp/constants.js";
 import {
+  abilityCheckSchema,
   beginSetupSchema,
   combatActionSchema,
   confirmSetupSchema,
+  diceOddsSchema,
   getStateSchema,
   newSessionSchema,
   resetGameSchema,
   rollDiceSchema,
+  rollHistorySchema,
   startGameSchema,
   updateStateSchema,
+  useItemSchema,
 } from "./mcp/schemas.js";
+import { computeDiceOdds } from "./mcp/dice-odds.js";
+import { describeRollEntry, queryRollHistory, recordRoll } from "./mcp/roll-history.js";
 import {
   buildStartingStats,
   clamp,
+  createRng,
+  createRngState,
+  describeRollMode,
+  formatRollBreakdown,
+  getGameRng,
   normalizeStats,
   normalizeStoryElements,
   nowIso,
-  rollDice,
+  rollWithMode,
 } from "./mcp/core-utils.js";
 import {
   applySetupDefaults,
@@ -58,6 +72,18 @@ import {
   syncInventoryWeaponEquipFlags,
 } from "./mcp/player-data.js";
 import { createCombatSystem } from "./mcp/combat-system.js";
+import { useItemOutsideCombat } from "./mcp/items.js";
+import {
+  getCharacter,
+  getPrimaryCharacterId,
+  normalizePartyMember,
+} from "./mcp/party.js";
+import { describeCheck, resolveAbilityCheck } from "./mcp/checks.js";
+import {
+  applyCondition,
+  normalizeConditionApplication,
+  removeCondition,
+} from "./mcp/conditions.js";
 
 const widgetPath = path.join(process.cwd(), "web/dist/widget.html");
 
@@ -67,6 +93,7 @@ function createGameState(overrides = {}) {
   const id = overrides.gameId ?? `game_${crypto.randomUUID()}`;
   const hpMax = overrides.hpMax ?? 12;
   const mpMax = overrides.mpMax ?? 6;
+  const rngState = createRngState(overrides.seed);
 
   return {
     gameId: id,
@@ -84,20 +111,30 @@ function createGameState(overrides = {}) {
       background: overrides.pc?.background ?? "",
       goal: overrides.pc?.goal ?? "",
       level: clamp(Number(overrides.pc?.level ?? 1), 1, MAX_LEVEL),
+      xp: 0,
       skills: Array.isArray(overrides.pc?.skills)
         ? overrides.pc.skills
             .map((skill) => normalizeSkill(skill, skill?.name, "skill"))
             .filter(Boolean)
         : [],
+      conditions: [],
     },
-    stats: normalizeStats(overrides.stats ?? buildStartingStats(overrides.statFocus)),
+    party: [],
+    activeCharacterId: null,
+    stats: normalizeStats(
+      overrides.stats ?? buildStartingStats(overrides.statFocus, createRng(rngState))
+    ),
     hp: { current: hpMax, max: hpMax },
     mp: { current: mpMax, max: mpMax },
     inventory: overrides.inventory ?? [],
     location: overrides.location ?? "",
     combat: null,
+    lastCombatOutcome: null,
     lastRoll: null,
+    rollHistory: [],
+    encounterCount: 0,
     log: [],
+    rng: rngState,
   };
 }
 
@@ -123,14 +160,24 @@ async function persistGame(game) {
   return game;
 }
 
-function addLog(game, entry, kind = "system") {
-  if (!entry) return;
-  game.log.push({
+function buildLogEntry(entry, kind) {
+  return {
     id: `log_${crypto.randomUUID()}`,
     at: nowIso(),
     kind,
     text: entry,
-  });
+  };
+}
+
+function addLog(game, entry, kind = "system") {
+  if (!entry) return;
+  game.log.push(buildLogEntry(entry, kind));
+}
+
+function describeRoller(game, character) {
+  return Array.isArray(game.party) && game.party.length > 0 && character?.pc?.name
+    ? ` by ${character.pc.name}`
+    : "";
 }
 
 const combatSystem = createCombatSystem({ addLog });
@@ -252,6 +299,7 @@ export function registerRpgTools(server) {
       gameId: effectiveGameId,
       statFocus: startArgs.statFocus,
       stats: hasExplicitStartingStats ? startArgs.stats : undefined,
+      seed: startArgs.seed,
     });
     const previousLocation = String(game.location ?? "").trim();
     const previousSetupComplete = Boolean(game.setupComplete);
@@ -349,7 +397,8 @@ export function registerRpgTools(server) {
       title: "Start new adventure",
       description:
         "Primary entry point for new games. " +
-        "Use mode=auto to generate defaults and start immediately, or mode=guided to review setup first.",
+        "Use mode=auto to generate defaults and start immediately, or mode=guided to review setup first. " +
+        "Pass a seed to make every roll in the game replayable.",
       inputSchema: newSessionSchema,
       annotations: {
         readOnlyHint: false,
@@ -366,7 +415,10 @@ export function registerRpgTools(server) {
       const mode = args?.mode === "guided" ? "guided" : "auto";
       const gameId = args?.gameId?.trim() || `game_${crypto.randomUUID()}`;
       const rawSetupArgs = stripSetupControlFields(args ?? {});
-      const setupArgs = mode === "auto" ? applySetupDefaults(rawSetupArgs) : rawSetupArgs;
+      const setupArgs =
+        mode === "auto"
+          ? applySetupDefaults(rawSetupArgs, createRng(createRngState(rawSetupArgs.seed)))
+          : rawSetupArgs;
       const session = beginSetupSession(gameId, setupArgs, mode);
       const missingChoices = missingSetupChoices(session.startArgs, session.mode);
       const invalidChoices = invalidSetupChoices(session.startArgs, session.mode);
@@ -529,7 +581,13 @@ export function registerRpgTools(server) {
     "roll_dice",
     {
       title: "Roll dice",
-      description: "Roll dice using a formula like d20, 2d6+1, or 3d4-2.",
+      description:
+        "Roll a dice expression such as d20, 2d6+1d4+3, 4d6kh3 (keep highest), 4d6dl1 (drop lowest), " +
+        "1d6! (exploding), or 2d20r1 (reroll ones; ro rerolls once). " +
+        "Set rollMode to advantage or disadvantage to roll twice and keep the higher or lower total. " +
+        "Set hidden for secret GM rolls that stay out of the player-facing log and lastRoll; " +
+        "get_roll_history with includeHidden lists them. " +
+        "characterId attributes the roll to a party member (defaults to the active character).",
       inputSchema: rollDiceSchema,
       _meta: {
         ...commonToolMeta,
@@ -543,39 +601,234 @@ export function registerRpgTools(server) {
         return replyWithError("Game not found. Start a new game first.");
       }
 
-      const result = rollDice(args?.formula);
+      const character = getCharacter(game, args?.characterId);
+      if (!character) {
+        return replyWithError("Character not found in this party.");
+      }
+
+      const result = rollWithMode(args?.formula, args?.rollMode, getGameRng(game));
       if (!result) {
-        return replyWithState(game, "Invalid dice formula. Try d20 or 2d6+1.");
+        return replyWithState(
+          game,
+          "Invalid dice formula. Try d20, 2d6+1d4+3, 4d6kh3, 1d6!, or 2d20r1."
+        );
       }
 
-      game.lastRoll = {
-        ...result,
+      const hidden = Boolean(args?.hidden);
+      recordRoll(game, result, {
+        source: "roll_dice",
         reason: args?.reason ?? "",
-        at: nowIso(),
-      };
+        actorId: character.id,
+        hidden,
+      });
 
-      addLog(
+      const modeText = describeRollMode(result);
+      if (!hidden) {
+        addLog(
+          game,
+          `Rolled ${result.formula}${modeText ? ` ${modeText}` : ""}${describeRoller(
+            game,
+            character
+          )} for ${args?.reason ?? "an action"}: ${result.total}`,
+          "roll"
+        );
+      }
+
+      await persistGame(game);
+      return replyWithState(
         game,
-        `Rolled ${result.formula} for ${args?.reason ?? "an action"}: ${
-          result.total
-        }`,
-        "roll"
+        `${hidden ? `${HIDDEN_ROLL_PREFIX} ` : ""}Rolled ${result.formula}${
+          modeText ? ` ${modeText}` : ""
+        }: ${result.total}. (${formatRollBreakdown(result)})`
       );
+    }
+  );
+
+  server.registerTool(
+    "dice_odds",
+    {
+      title: "Dice odds",
+      description:
+        "Compute the exact outcome distribution of a dice expression without rolling. " +
+        "Returns mean, min/max, percentiles, and the chance of meeting an optional target number. " +
+        "Does not change game state.",
+      inputSchema: diceOddsSchema,
+      annotations: {
+        readOnlyHint: true,
+        openWorldHint: false,
+        destructiveHint: false,
+      },
+      _meta: {
+        "openai/toolInvocation/invoking": "Calculating odds",
+        "openai/toolInvocation/invoked": "Odds calculated",
+      },
+    },
+    async (args) => {
+      const odds = computeDiceOdds(args?.formula, {
+        target: args?.target,
+        rollMode: args?.rollMode,
+      });
+      if (!odds.ok) {
+        return replyWithError(odds.message);
+      }
+
+      const { ok, ...details } = odds;
+      const modeText = odds.rollMode === "normal" ? "" : ` with ${odds.rollMode}`;
+      const targetText =
+        odds.target === null
+          ? ""
+          : ` Chance of ${odds.target} or higher: ${(odds.chanceAtLeastTarget * 100).toFixed(1)}%.`;
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              `${odds.formula}${modeText}: range ${odds.min}-${odds.max}, ` +
+              `mean ${odds.mean.toFixed(2)}, median ${odds.percentiles.p50} ` +
+              `(p10 ${odds.percentiles.p10}, p90 ${odds.percentiles.p90}).${targetText}`,
+          },
+        ],
+        structuredContent: { type: "ttrpg_dice_odds", ...details },
+      };
+    }
+  );
+
+  server.registerTool(
+    "ability_check",
+    {
+      title: "Ability check",
+      description:
+        "Roll a d20 ability check for a stat against a difficulty class. " +
+        "The stat modifier and proficiency bonus (from level) are applied automatically; " +
+        "the result is success, partial, or failure with the margin. " +
+        "Set hidden for secret checks (e.g. perception or stealth) the player should not see. " +
+        "characterId picks which party member rolls (defaults to the active character).",
+      inputSchema: abilityCheckSchema,
+      _meta: {
+        ...commonToolMeta,
+        "openai/toolInvocation/invoking": "Rolling ability check",
+        "openai/toolInvocation/invoked": "Ability check resolved",
+      },
+    },
+    async (args) => {
+      const game = await getGame(args?.gameId);
+      if (!game) {
+        return replyWithError("Game not found. Start a new game first.");
+      }
+
+      const character = getCharacter(game, args?.characterId);
+      if (!character) {
+        return replyWithError("Character not found in this party.");
+      }
+
+      const check = resolveAbilityCheck({
+        stats: character.stats,
+        level: character.pc?.level,
+        stat: args.stat,
+        proficient: Boolean(args.proficient),
+        dc: args.dc,
+        rollMode: args.rollMode,
+        rng: getGameRng(game),
+      });
+      const hidden = Boolean(args?.hidden);
+      recordRoll(game, check.roll, {
+        source: "ability_check",
+        reason: args?.reason ?? "",
+        actorId: character.id,
+        hidden,
+        check: {
+          stat: check.stat,
+          dc: check.dc,
+          modifier: check.modifier,
+          proficiencyBonus: check.proficiencyBonus,
+          outcome: check.outcome,
+          margin: check.margin,
+        },
+      });
+
+      const modeText = describeRollMode(check.roll);
+      const summary = `${describeCheck(check)}${modeText ? ` ${modeText}` : ""}`;
+      if (!hidden) {
+        addLog(
+          game,
+          `${summary}${describeRoller(game, character)} for ${args?.reason ?? "an action"}.`,
+          "roll"
+        );
+      }
 
       await persistGame(game);
       return replyWithState(
         game,
-        `Rolled ${result.formula}: ${result.total}.`
+        `${hidden ? `${HIDDEN_ROLL_PREFIX} ` : ""}${summary}. ` +
+          `Rolled ${check.roll.formula} (${formatRollBreakdown(check.roll)}).`
       );
     }
   );
 
+  server.registerTool(
+    "get_roll_history",
+    {
+      title: "Get roll history",
+      description:
+        "Return recorded rolls with formula, individual dice, modifiers, reason, source, encounter, and round. " +
+        `Filter by source (${ROLL_SOURCES.join(", ")}), ` +
+        "encounter (numbered per fight), or combat round to settle disputes about a roll; " +
+        "round alone means that round of the current or most recent fight. " +
+        "Hidden GM rolls are only included with includeHidden.",
+      inputSchema: rollHistorySchema,
+      annotations: {
+        readOnlyHint: true,
+        openWorldHint: false,
+        destructiveHint: false,
+      },
+      _meta: {
+        "openai/toolInvocation/invoking": "Loading roll history",
+        "openai/toolInvocation/invoked": "Roll history loaded",
+      },
+    },
+    async (args) => {
+      const game = await getGame(args?.gameId);
+      if (!game) {
+        return replyWithError("Game not found. Start a new game first.");
+      }
+
+      const rolls = queryRollHistory(game, {
+        source: args?.source,
+        encounter: args?.encounter,
+        round: args?.round,
+        limit: args?.limit,
+        includeHidden: Boolean(args?.includeHidden),
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              rolls.length > 0
+                ? rolls.map(describeRollEntry).join("\n")
+                : "No matching rolls recorded.",
+          },
+        ],
+        structuredContent: {
+          type: "ttrpg_roll_history",
+          gameId: game.gameId,
+          rolls,
+        },
+      };
+    }
+  );
+
   server.registerTool(
     "update_state",
     {
       title: "Update game state",
       description:
-        "Apply HP/MP changes, inventory updates, location changes, or combat updates.",
+        "Apply HP/MP changes, inventory updates, location changes, status conditions, or combat updates. " +
+        "Character fields (pc, skills, hp, mp, inventory, conditions) apply to characterId or the active character. " +
+        "party.add/party.remove manage additional player characters; activeCharacterId switches who tools act for. " +
+        "Inventory items with a consumable block (target, range, healFormula, mpRestoreFormula, damageFormula, damageType, condition) can be used with use_item. " +
+        "Weapons, skills, and consumables take a damageType (slashing, ballistic, fire, psychic, energy, ...); pc, allies, and enemies take resistances (half), immunities (none), and vulnerabilities (double) lists of damage types. " +
+        "combat.grid turns on a width x height battle grid with blocking, difficult, and cover terrain; combatants then use x/y cells instead of position (set grid to null to return to the line).",
       inputSchema: updateStateSchema,
       _meta: {
         ...commonToolMeta,
@@ -590,19 +843,6 @@ export function registerRpgTools(server) {
       }
       const previousLocation = String(game.location ?? "").trim();
 
-      if (args?.pc) {
-        game.pc = { ...game.pc, ...args.pc };
-        if (args.pc.level !== undefined) {
-          game.pc.level = clamp(Number(args.pc.level), 1, MAX_LEVEL);
-        }
-      }
-      const incomingSkills = args?.skills ?? args?.pc?.skills;
-      if (incomingSkills !== undefined) {
-        game.pc.skills = (Array.isArray(incomingSkills) ? incomingSkills : [])
-          .map((skill) => normalizeSkill(skill, skill?.name, "skill"))
-          .filter(Boolean);
-      }
-
       const combatUpdate = args?.combat
         ? { ...args.combat }
         : null;
@@ -616,32 +856,95 @@ export function registerRpgTools(server) {
         combatUpdate?.pcHpDelta !== undefined ||
         combatUpdate?.pcMp !== undefined ||
         combatUpdate?.pcMpDelta !== undefined;
-      const mutatesCombatState = Boolean(combatUpdate && combatUpdate.active !== false);
+      const mutatesCombatState =
+        Boolean(combatUpdate && combatUpdate.active !== false) ||
+        args?.conditions !== undefined ||
+        args?.party !== undefined;
       if (inActiveCombat && (hasHpMutation || mutatesCombatState)) {
         return replyWithError(
           "Active combat is rule-locked. Use combat_action for attacks, skills, movement, and turn flow."
         );
       }
 
+      let party = Array.isArray(game.party) ? game.party : [];
+      if (args?.party) {
+        const removedIds = new Set(args.party.remove ?? []);
+        const additions = (args.party.add ?? [])
+          .map((member) => normalizePartyMember(member))
+          .filter((member) => member && member.id !== getPrimaryCharacterId(game));
+        party = [
+          ...party.filter(
+            (member) =>
+              !removedIds.has(member.id) && !additions.some((added) => added.id === member.id)
+          ),
+          ...additions,
+        ];
+        if (party.length + 1 > MAX_PARTY_SIZE) {
+          return replyWithError(`A party can have at most ${MAX_PARTY_SIZE} characters.`);
+        }
+      }
+      const nextState = { ...game, party };
+      if (!getCharacter(nextState)) {
+        nextState.activeCharacterId = null;
+      }
+      if (args?.activeCharacterId !== undefined) {
+        nextState.activeCharacterId = args.activeCharacterId;
+      }
+      const character = getCharacter(nextState, args?.characterId);
+      if (!character || !getCharacter(nextState)) {
+        return replyWithError("Character not found in this party.");
+      }
+      game.party = party;
+      game.activeCharacterId = nextState.activeCharacterId;
+
+      if (args?.pc) {
+        Object.assign(character.pc, args.pc);
+        if (args.pc.level !== undefined) {
+          character.pc.level = clamp(Number(args.pc.level), 1, MAX_LEVEL);
+        }
+      }
+      const incomingSkills = args?.skills ?? args?.pc?.skills;
+      if (incomingSkills !== undefined) {
+        character.pc.skills = (Array.isArray(incomingSkills) ? incomingSkills : [])
+          .map((skill) => normalizeSkill(skill, skill?.name, "skill"))
+          .filter(Boolean);
+      }
       if (args?.hp !== undefined) {
-        game.hp.current = clamp(Number(args.hp), 0, game.hp.max);
+        character.hp.current = clamp(Number(args.hp), 0, character.hp.max);
       }
       if (args?.mp !== undefined) {
-        game.mp.current = clamp(Number(args.mp), 0, game.mp.max);
+        character.mp.current = clamp(Number(args.mp), 0, character.mp.max);
       }
       if (args?.hpDelta !== undefined) {
-        game.hp.current = clamp(game.hp.current + Number(args.hpDelta), 0, game.hp.max);
+        character.hp.current = clamp(
+          character.hp.current + Number(args.hpDelta),
+          0,
+          character.hp.max
+        );
       }
       if (args?.mpDelta !== undefined) {
-        game.mp.current = clamp(game.mp.current + Number(args.mpDelta), 0, game.mp.max);
+        character.mp.current = clamp(
+          character.mp.current + Number(args.mpDelta),
+          0,
+          character.mp.max
+        );
       }
       if (args?.location !== undefined) {
         game.location = args.location.trim();
       }
+      if (args?.conditions) {
+        (args.conditions.remove ?? []).forEach((conditionId) => {
+          removeCondition(character.pc, conditionId);
+        });
+        (args.conditions.add ?? []).forEach((raw) => {
+          const application = normalizeConditionApplication(raw);
+          if (application) applyCondition(character.pc, application);
+        });
+      }
 
-      applyInventoryDelta(game, args?.inventory);
+      applyInventoryDelta(character, args?.inventory);
       if (args?.inventory?.equipWeaponId) {
-        syncInventoryWeaponEquipFlags(game.inventory, args.inventory.equipWeaponId);
+        syncInventoryWeaponEquipFlags(character.inventory, args.inventory.equipWeaponId);
       }
       if (combatUpdate) {
         const hasTopLevelHp =
@@ -681,7 +984,12 @@ export function registerRpgTools(server) {
     {
       title: "Resolve combat action",
       description:
-        "Execute one combat turn action with rules enforcement (equipped weapon, range, skills, and one action per turn). Player action turns auto-advance and enemy turns auto-resolve.",
+        "Execute one combat turn action with rules enforcement (equipped weapon, range, skills, and one action per turn). " +
+        "Actions: attack, defend, dodge, use_skill (targetId, or targetIds for maxTargets skills), force_save (save with stat and dc, damageFormula), " +
+        "contest (grapple, shove, hide), use_item (itemId), flee, reload, move (moveBy or moveTo), and end_turn. " +
+        "Act for a party member or player-controlled ally with characterId or actorId on their turn. " +
+        "The Combat rules section of the game guide covers how each action resolves. " +
+        "Player action turns auto-advance and automated turns auto-resolve. Combat is lost only when the player and every ally are down.",
       inputSchema: combatActionSchema,
       _meta: {
         ...commonToolMeta,
@@ -704,6 +1012,39 @@ export function registerRpgTools(server) {
     }
   );
 
+  server.registerTool(
+    "use_item",
+    {
+      title: "Use item",
+      description:
+        "Use a consumable inventory item (potion, salve, scroll) outside combat. " +
+        "The item's consumable block rolls its healFormula and mpRestoreFormula, applies its condition, and spends one from qty. " +
+        "targetId picks a party member for ally items (defaults to the user); enemy items such as bombs only work through combat_action use_item.",
+      inputSchema: useItemSchema,
+      _meta: {
+        ...commonToolMeta,
+        "openai/toolInvocation/invoking": "Using item",
+        "openai/toolInvocation/invoked": "Item used",
+      },
+    },
+    async (args) => {
+      const game = await getGame(args?.gameId);
+      if (!game) {
+        return replyWithError("Game not found. Start a new game first.");
+      }
+      if (game.phase === "combat" && game.combat) {
+        return replyWithError("Active combat is rule-locked. Use combat_action with action use_item.");
+      }
+      const result = useItemOutsideCombat(game, args);
+      if (!result.ok) {
+        return replyWithError(result.message);
+      }
+      addLog(game, result.message, "story");
+      await persistGame(game);
+      return replyWithState(game, result.message);
+    }
+  );
+
   server.registerTool(
     "reset_game",
     {
@@ -727,6 +1068,7 @@ export function registerRpgTools(server) {
         genre: existing.genre,
         tone: existing.tone,
         pc: existing.pc,
+        seed: existing.rng?.seed,
       });
 
       await persistGame(reset);
@@ -0,0 +1,229 @@
+import {
+  DIFFICULT_TERRAIN_COST,
+  GRID_TERRAIN_TYPES,
+  MAX_GRID_SIZE,
+  MAX_RANGE,
+} from "./constants.js";
+import { clamp } from "./core-utils.js";
+
+const NEIGHBOR_OFFSETS = [
+  [-1, -1],
+  [0, -1],
+  [1, -1],
+  [-1, 0],
+  [1, 0],
+  [-1, 1],
+  [0, 1],
+  [1, 1],
+];
+
+function cellKey(cell) {
+  return `${cell.x},${cell.y}`;
+}
+
+export function hasGridCell(combatant) {
+  return Number.isInteger(combatant?.x) && Number.isInteger(combatant?.y);
+}
+
+export function normalizeGridCoordinate(value) {
+  const parsed = Number(value);
+  return value === null || value === undefined || !Number.isFinite(parsed)
+    ? null
+    : clamp(Math.trunc(parsed), 0, MAX_GRID_SIZE - 1);
+}
+
+export function normalizeGrid(raw) {
+  if (!raw) return null;
+  const width = clamp(Math.trunc(Number(raw.width)) || 1, 1, MAX_GRID_SIZE);
+  const height = clamp(Math.trunc(Number(raw.height)) || 1, 1, MAX_GRID_SIZE);
+  const terrain = new Map();
+  (Array.isArray(raw.terrain) ? raw.terrain : []).forEach((tile) => {
+    if (!GRID_TERRAIN_TYPES.includes(tile?.type)) return;
+    const x = Math.trunc(Number(tile.x));
+    const y = Math.trunc(Number(tile.y));
+    if (!(x >= 0 && x < width && y >= 0 && y < height)) return;
+    terrain.set(cellKey({ x, y }), { x, y, type: tile.type });
+  });
+  return { width, height, terrain: [...terrain.values()] };
+}
+
+export function getCombatDistance(source, target) {
+  if (hasGridCell(source) && hasGridCell(target)) {
+    return Math.max(Math.abs(source.x - target.x), Math.abs(source.y - target.y));
+  }
+  return Math.abs(Number(source?.position ?? 0) - Number(target?.position ?? 0));
+}
+
+export function getTerrainAt(grid, cell) {
+  return grid.terrain.find((tile) => tile.x === cell.x && tile.y === cell.y)?.type ?? null;
+}
+
+function isInBounds(grid, cell) {
+  return cell.x >= 0 && cell.x < grid.width && cell.y >= 0 && cell.y < grid.height;
+}
+
+function isPassable(grid, cell, occupied) {
+  return (
+    isInBounds(grid, cell) &&
+    getTerrainAt(grid, cell) !== "blocking" &&
+    !occupied.has(cellKey(cell))
+  );
+}
+
+function indexTerrain(grid) {
+  return new Map(grid.terrain.map((tile) => [cellKey(tile), tile.type]));
+}
+
+export function findReachableCells(grid, start, movement, occupied = new Set()) {
+  const budget = clamp(Number(movement ?? 0), 0, MAX_RANGE);
+  const terrain = indexTerrain(grid);
+  const origin = { x: start.x, y: start.y, cost: 0 };
+  const reached = new Map([[cellKey(origin), origin]]);
+  const buckets = [[origin]];
+  for (let cost = 0; cost < buckets.length; cost += 1) {
+    (buckets[cost] ?? []).forEach((current) => {
+      if (reached.get(cellKey(current)) !== current) return;
+      NEIGHBOR_OFFSETS.forEach(([dx, dy]) => {
+        const next = { x: current.x + dx, y: current.y + dy };
+        const key = cellKey(next);
+        const type = terrain.get(key);
+        if (!isInBounds(grid, next) || type === "blocking" || occupied.has(key)) return;
+        const nextCost = cost + (type === "difficult" ? DIFFICULT_TERRAIN_COST : 1);
+        const known = reached.get(key);
+        if (nextCost > budget || (known && known.cost <= nextCost)) return;
+        const entry = { ...next, cost: nextCost };
+        reached.set(key, entry);
+        if (!buckets[nextCost]) buckets[nextCost] = [];
+        buckets[nextCost].push(entry);
+      });
+    });
+  }
+  return reached;
+}
+
+export function chooseGridDestination(
+  grid,
+  source,
+  target,
+  { mode = "toward", desiredDistance = 0, movement = 0, occupied = new Set() } = {}
+) {
+  const cells = [...findReachableCells(grid, source, movement, occupied).values()];
+  const scored = cells.map((cell) => {
+    const distance = getCombatDistance(cell, target);
+    const shortfall =
+      mode === "away"
+        ? Math.max(0, desiredDistance - distance)
+        : Math.max(0, distance - desiredDistance);
+    return { cell, shortfall, distance };
+  });
+  scored.sort(
+    (a, b) =>
+      a.shortfall - b.shortfall ||
+      a.cell.cost - b.cell.cost ||
+      (mode === "away" ? b.distance - a.distance : a.distance - b.distance)
+  );
+  return scored[0]?.cell ?? null;
+}
+
+export function findNearestOpenCell(grid, preferred, occupied = new Set()) {
+  const start = {
+    x: clamp(Number(preferred?.x ?? 0), 0, grid.width - 1),
+    y: clamp(Number(preferred?.y ?? 0), 0, grid.height - 1),
+  };
+  const seen = new Set([cellKey(start)]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const cell = queue.shift();
+    if (isPassable(grid, cell, occupied)) return cell;
+    NEIGHBOR_OFFSETS.forEach(([dx, dy]) => {
+      const next = { x: cell.x + dx, y: cell.y + dy };
+      if (!isInBounds(grid, next) || seen.has(cellKey(next))) return;
+      seen.add(cellKey(next));
+      queue.push(next);
+    });
+  }
+  return null;
+}
+
+function getLineCells(from, to) {
+  const cells = [];
+  const dx = Math.abs(to.x - from.x);
+  const dy = -Math.abs(to.y - from.y);
+  const stepX = from.x < to.x ? 1 : -1;
+  const stepY = from.y < to.y ? 1 : -1;
+  let error = dx + dy;
+  let { x, y } = from;
+  while (x !== to.x || y !== to.y) {
+    const doubled = 2 * error;
+    if (doubled >= dy) {
+      error += dy;
+      x += stepX;
+    }
+    if (doubled <= dx) {
+      error += dx;
+      y += stepY;
+    }
+    cells.push({ x, y });
+  }
+  return cells;
+}
+
+export function hasCover(grid, attacker, target) {
+  if (!grid || !hasGridCell(attacker) || !hasGridCell(target)) return false;
+  return getLineCells(attacker, target).some((cell) => getTerrainAt(grid, cell) === "cover");
+}
+
+export function isInSkillArea(area, { origin, center, range }, combatant) {
+  if (area.shape === "aura") return getCombatDistance(origin, combatant) <= area.radius;
+  if (area.shape === "burst") return getCombatDistance(center, combatant) <= area.radius;
+  if (combatant === origin) return false;
+  if (hasGridCell(origin) && hasGridCell(center) && hasGridCell(combatant)) {
+    const distance = getCombatDistance(origin, center);
+    if (distance === 0) return false;
+    const scale = range / distance;
+    const end = {
+      x: Math.round(origin.x + (center.x - origin.x) * scale),
+      y: Math.round(origin.y + (center.y - origin.y) * scale),
+    };
+    return getLineCells(origin, end).some(
+      (cell) => cell.x === combatant.x && cell.y === combatant.y
+    );
+  }
+  const direction = Math.sign(Number(center.position ?? 0) - Number(origin.position ?? 0));
+  const offset = (Number(combatant.position ?? 0) - Number(origin.position ?? 0)) * direction;
+  return direction !== 0 && offset > 0 && offset <= range;
+}
+
+export function pushOnGrid(grid, source, target, distance, occupied = new Set()) {
+  const stepX = Math.sign(target.x - source.x);
+  const stepY = Math.sign(target.y - source.y);
+  if (stepX === 0 && stepY === 0) return 0;
+  let pushed = 0;
+  while (pushed < distance) {
+    const next = { x: target.x + stepX, y: target.y + stepY };
+    if (!isPassable(grid, next, occupied)) break;
+    target.x = next.x;
+    target.y = next.y;
+    pushed += 1;
+  }
+  return pushed;
+}
+
+export function pullOnGrid(grid, source, target, distance, occupied = new Set()) {
+  let pulled = 0;
+  while (pulled < distance && getCombatDistance(source, target) > 1) {
+    const next = {
+      x: target.x + Math.sign(source.x - target.x),
+      y: target.y + Math.sign(source.y - target.y),
+    };
+    if (!isPassable(grid, next, occupied)) break;
+    target.x = next.x;
+    target.y = next.y;
+    pulled += 1;
+  }
+  return pulled;
+}
+
+export function getOccupiedCells(combatants = []) {
+  return new Set(combatants.filter((combatant) => hasGridCell(combatant)).map(cellKey));
+}
@@ -0,0 +1,177 @@
+import {
+  BASE_ARMOR_CLASS,
+  CHECK_PARTIAL_MARGIN,
+  CRITICAL_HIT_ROLL,
+  FUMBLE_ROLL,
+  MAX_ARMOR_CLASS,
+  MAX_LEVEL,
+  STAT_KEYS,
+} from "./constants.js";
+import { clamp, defaultRng, normalizeStats, rollWithMode } from "./core-utils.js";
+
+export function getStatModifier(score) {
+  const safeScore = clamp(Number.isFinite(Number(score)) ? Number(score) : 10, 1, 30);
+  return Math.floor((safeScore - 10) / 2);
+}
+
+export function getProficiencyBonus(level) {
+  const safeLevel = clamp(Number(level ?? 1), 1, MAX_LEVEL);
+  return 2 + Math.floor((safeLevel - 1) / 4);
+}
+
+export function getLevelScaledModifier(level) {
+  const safeLevel = clamp(Number(level ?? 1), 1, MAX_LEVEL);
+  return Math.floor((safeLevel + 1) / 4);
+}
+
+export function getDefaultStatsForLevel(level) {
+  const score = 10 + 2 * getLevelScaledModifier(level);
+  return Object.fromEntries(STAT_KEYS.map((key) => [key, score]));
+}
+
+export function getCombatantStats(combatant) {
+  const defaults = getDefaultStatsForLevel(combatant?.level);
+  return combatant?.stats ? normalizeStats(combatant.stats, defaults) : defaults;
+}
+
+export function getCombatantCheckBonus(combatant, stat) {
+  return (
+    getStatModifier(getCombatantStats(combatant)[stat]) +
+    getProficiencyBonus(combatant?.level)
+  );
+}
+
+export function getBestStat(combatant, candidates = STAT_KEYS) {
+  const stats = getCombatantStats(combatant);
+  return candidates.reduce(
+    (best, key) => (Number(stats[key]) > Number(stats[best]) ? key : best),
+    candidates[0]
+  );
+}
+
+export function getSaveDc(combatant, stat) {
+  return (
+    8 +
+    getProficiencyBonus(combatant?.level) +
+    getStatModifier(getCombatantStats(combatant)[stat])
+  );
+}
+
+export function getArmorClass(combatant, armorBonus = 0) {
+  const explicit = Number(combatant?.ac);
+  if (Number.isFinite(explicit) && explicit > 0) {
+    return clamp(explicit, 1, MAX_ARMOR_CLASS);
+  }
+  return clamp(
+    BASE_ARMOR_CLASS + getStatModifier(getCombatantStats(combatant).agi) + armorBonus,
+    1,
+    MAX_ARMOR_CLASS
+  );
+}
+
+export function getAttackStat(weapon) {
+  return weapon?.category === "ranged" ? "agi" : "str";
+}
+
+export function getAttackBonus(combatant, weapon) {
+  return getCombatantCheckBonus(combatant, getAttackStat(weapon));
+}
+
+export function getSkillAttackBonus(combatant, skill) {
+  return getCombatantCheckBonus(combatant, skill?.scalingStat ?? getBestStat(combatant));
+}
+
+function rollD20WithBonus(bonus, rollMode, rng) {
+  return rollWithMode(`d20${bonus === 0 ? "" : formatModifier(bonus)}`, rollMode, rng);
+}
+
+export function resolveSavingThrow({ bonus = 0, dc, rollMode, rng = defaultRng }) {
+  const roll = rollD20WithBonus(bonus, rollMode, rng);
+  return {
+    dc,
+    bonus,
+    total: roll.total,
+    success: roll.total >= dc,
+    margin: roll.total - dc,
+    roll,
+  };
+}
+
+export function resolveAttackRoll({ bonus = 0, ac, rollMode, rng = defaultRng }) {
+  const roll = rollD20WithBonus(bonus, rollMode, rng);
+  const natural = roll.rolls[0];
+  const critical = natural >= CRITICAL_HIT_ROLL;
+  const fumble = natural <= FUMBLE_ROLL;
+  return {
+    ac,
+    bonus,
+    natural,
+    total: roll.total,
+    hit: critical || (!fumble && roll.total >= ac),
+    critical,
+    fumble,
+    margin: roll.total - ac,
+    roll,
+  };
+}
+
+export function resolveContest({
+  actorBonus = 0,
+  targetBonus = 0,
+  actorRollMode,
+  targetRollMode,
+  rng = defaultRng,
+}) {
+  const actorRoll = rollD20WithBonus(actorBonus, actorRollMode, rng);
+  const targetRoll = rollD20WithBonus(targetBonus, targetRollMode, rng);
+  return {
+    actorRoll,
+    targetRoll,
+    winner: actorRoll.total > targetRoll.total ? "actor" : "target",
+    margin: actorRoll.total - targetRoll.total,
+  };
+}
+
+export function formatModifier(value) {
+  return value >= 0 ? `+${value}` : `${value}`;
+}
+
+export function gradeCheck(total, dc) {
+  const margin = total - dc;
+  if (margin >= 0) return { outcome: "success", margin };
+  if (margin >= -CHECK_PARTIAL_MARGIN) return { outcome: "partial", margin };
+  return { outcome: "failure", margin };
+}
+
+export function resolveAbilityCheck({
+  stats,
+  level,
+  stat,
+  proficient = false,
+  dc,
+  rollMode,
+  rng = defaultRng,
+}) {
+  const modifier = getStatModifier(normalizeStats(stats)[stat]);
+  const proficiencyBonus = proficient ? getProficiencyBonus(level) : 0;
+  const roll = rollD20WithBonus(modifier + proficiencyBonus, rollMode, rng);
+  const { outcome, margin } = gradeCheck(roll.total, dc);
+  return {
+    stat,
+    dc,
+    modifier,
+    proficiencyBonus,
+    total: roll.total,
+    outcome,
+    margin,
+    roll,
+  };
+}
+
+export function describeCheck(check) {
+  const marginText =
+    check.margin >= 0
+      ? `${check.outcome} by ${check.margin}`
+      : `${check.outcome}, missed by ${-check.margin}`;
+  return `${check.stat.toUpperCase()} check vs DC ${check.dc}: ${check.total} (${marginText})`;
+}
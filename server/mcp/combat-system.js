@@ -1,22 +1,106 @@
 import crypto from "node:crypto";
 import {
   COMBAT_ACTIONS_REQUIRING_ACTION,
+  COMBAT_OUTCOME_SUMMARIES,
+  COMBAT_REWARD_OUTCOMES,
+  CONTEST_TYPES,
+  COVER_AC_BONUS,
+  DAMAGE_AFFINITY_MULTIPLIERS,
   DEFAULT_ENEMY_WEAPON,
+  DEFAULT_FUMBLE_EFFECT,
   DEFAULT_MELEE_RANGE,
   DEFAULT_MOVE_SPEED,
+  DEFEND_DAMAGE_MULTIPLIER,
+  ENEMY_MORALE,
+  ENEMY_TACTICS,
+  FLEE_BASE_DC,
+  FUMBLE_EFFECTS,
+  INVALID_DICE_FORMULA_MESSAGE,
+  MAX_DIFFICULTY_CLASS,
   MAX_LEVEL,
   MAX_RANGE,
+  MAX_XP,
+  MORALE_BREAK_ACTIONS,
+  MORALE_MIN_GROUP_SIZE,
+  SHOVE_DISTANCE,
   UNARMED_WEAPON,
   UNARMED_WEAPON_ID,
 } from "./constants.js";
-import { clamp, rollDice } from "./core-utils.js";
+import {
+  chooseGridDestination,
+  findNearestOpenCell,
+  findReachableCells,
+  getCombatDistance,
+  getOccupiedCells,
+  hasCover,
+  hasGridCell,
+  isInSkillArea,
+  normalizeGrid,
+  normalizeGridCoordinate,
+  pullOnGrid,
+  pushOnGrid,
+} from "./battle-grid.js";
+import {
+  clamp,
+  combineRollModes,
+  describeRollMode,
+  formatRollBreakdown,
+  getGameRng,
+  normalizeStats,
+  rollDice,
+  rollWithMode,
+} from "./core-utils.js";
 import {
   ensureSingleEquippedWeapon,
+  getInventoryArmorBonus,
   getInventoryWeapons,
   getSkillCatalog,
+  isValidDiceFormula,
+  normalizeDamageTypes,
+  normalizeLootTable,
+  normalizeSave,
   normalizeSkill,
   normalizeWeapon,
 } from "./player-data.js";
+import {
+  getArmorClass,
+  getAttackBonus,
+  formatModifier,
+  getBestStat,
+  getCombatantCheckBonus,
+  getCombatantStats,
+  getSaveDc,
+  getSkillAttackBonus,
+  getStatModifier,
+  resolveAttackRoll,
+  resolveContest,
+  resolveSavingThrow,
+} from "./checks.js";
+import {
+  applyCondition,
+  describeCondition,
+  expireConditions,
+  getConditionDamageTicks,
+  getConditionRollMode,
+  getConditionSpeed,
+  getSkipCondition,
+  normalizeConditions,
+} from "./conditions.js";
+import {
+  checkMoraleBreak,
+  chooseTacticProfile,
+  getSkillReach,
+  planNpcTurn,
+} from "./enemy-tactics.js";
+import { consumeItem, findAmmoItem, findConsumableItem, getItemSkill } from "./items.js";
+import { getCharacter, getPrimaryCharacterId } from "./party.js";
+import {
+  addLootToInventory,
+  awardExperience,
+  describeCombatRewards,
+  rollEnemyLoot,
+} from "./rewards.js";
+import { recordRoll } from "./roll-history.js";
 
 function getEnemyStatus(hp, hpMax) {
   const safeMax = Number.isFinite(hpMax) && hpMax > 0 ? hpMax : 0;
@@ -35,13 +119,36 @@ function getCombatantSpeed(combatant) {
   return clamp(Number(combatant?.speed ?? DEFAULT_MOVE_SPEED), 0, MAX_RANGE);
 }
 
-function buildPcCombatant(game, existingPc = {}, patch = {}) {
+function getEffectiveSpeed(combatant) {
+  return getConditionSpeed(combatant, getCombatantSpeed(combatant));
+}
+
+function pickDamageAffinities(...sources) {
+  const pick = (key) =>
+    normalizeDamageTypes(sources.find((source) => Array.isArray(source?.[key]))?.[key]);
+  return {
+    resistances: pick("resistances"),
+    immunities: pick("immunities"),
+    vulnerabilities: pick("vulnerabilities"),
+  };
+}
+
+function pickExplicitAc(npc, existingNpc) {
+  const existing = Number(existingNpc?.explicitAc) > 0 ? Number(existingNpc.explicitAc) : null;
+  const requested = Number(npc?.ac);
+  if (!Number.isFinite(requested) || requested <= 0 || requested === Number(existingNpc?.ac)) {
+    return existing;
+  }
+  return requested;
+}
+
+function buildPcCombatant(character, existingPc = {}, patch = {}) {
   const safeLevel = clamp(
-    Number(patch.level ?? game.pc?.level ?? existingPc.level ?? 1),
+    Number(patch.level ?? character.pc?.level ?? existingPc.level ?? 1),
     1,
     MAX_LEVEL
   );
-  const baseWeapons = getInventoryWeapons(game.inventory);
+  const baseWeapons = getInventoryWeapons(character.inventory);
   const hasUnarmed = baseWeapons.some((weapon) => weapon.id === UNARMED_WEAPON_ID);
   const weapons = ensureSingleEquippedWeapon(
     hasUnarmed ? baseWeapons : [...baseWeapons, { ...UNARMED_WEAPON }],
@@ -50,51 +157,67 @@ function buildPcCombatant(game, existingPc = {}, patch = {}) {
   const equippedWeaponId = weapons.find((weapon) => weapon.equipped)?.id ?? UNARMED_WEAPON_ID;
   const skillCatalog = getSkillCatalog(
     safeLevel,
-    patch.skills ?? game.pc?.skills ?? existingPc.skills
+    patch.skills ?? character.pc?.skills ?? existingPc.skills
   );
   const speed = clamp(Number(patch.speed ?? existingPc.speed ?? DEFAULT_MOVE_SPEED), 0, MAX_RANGE);
-  const hpMax = clamp(Number(game.hp?.max ?? patch.hpMax ?? existingPc.hpMax ?? 12), 1, 999);
-  const mpMax = clamp(Number(game.mp?.max ?? patch.mpMax ?? existingPc.mpMax ?? 0), 0, 999);
+  const hpMax = clamp(Number(character.hp?.max ?? patch.hpMax ?? existingPc.hpMax ?? 12), 1, 999);
+  const mpMax = clamp(Number(character.mp?.max ?? patch.mpMax ?? existingPc.mpMax ?? 0), 0, 999);
+  const stats = normalizeStats(character.stats);
+  const conditions = normalizeConditions(
+    patch.conditions ?? existingPc.conditions ?? character.pc?.conditions
+  );
+  const maxMovement = getConditionSpeed({ conditions }, speed);
   return {
-    id: existingPc.id ?? `pc_${game.gameId}`,
-    name: game.pc?.name || existingPc.name || "Player",
+    id: existingPc.id ?? character.id,
+    name: character.pc?.name || existingPc.name || "Player",
     hpMax,
-    hp: clamp(Number(patch.hp ?? existingPc.hp ?? game.hp?.current ?? hpMax), 0, hpMax),
+    hp: clamp(Number(patch.hp ?? existingPc.hp ?? character.hp?.current ?? hpMax), 0, hpMax),
     mpMax,
-    mp: clamp(Number(patch.mp ?? existingPc.mp ?? game.mp?.current ?? mpMax), 0, mpMax),
+    mp: clamp(Number(patch.mp ?? existingPc.mp ?? character.mp?.current ?? mpMax), 0, mpMax),
     level: safeLevel,
+    stats,
+    ac: getArmorClass({ level: safeLevel, stats }, getInventoryArmorBonus(character.inventory)),
     position: clamp(Number(patch.position ?? existingPc.position ?? 0), 0, 100),
+    x: normalizeGridCoordinate(patch.x ?? existingPc.x),
+    y: normalizeGridCoordinate(patch.y ?? existingPc.y),
     speed,
     movementRemaining: clamp(
-      Number(patch.movementRemaining ?? existingPc.movementRemaining ?? speed),
+      Number(patch.movementRemaining ?? existingPc.movementRemaining ?? maxMovement),
       0,
-      speed
+      maxMovement
     ),
     actionUsed: Boolean(patch.actionUsed ?? existingPc.actionUsed ?? false),
+    reactionUsed: Boolean(patch.reactionUsed ?? existingPc.reactionUsed ?? false),
     defending: Boolean(patch.defending ?? existingPc.defending ?? false),
     dodging: Boolean(patch.dodging ?? existingPc.dodging ?? false),
+    grappledBy: patch.grappledBy ?? existingPc.grappledBy ?? null,
+    exposed: Boolean(patch.exposed ?? existingPc.exposed ?? false),
+    offBalance: Boolean(patch.offBalance ?? existingPc.offBalance ?? false),
+    conditions,
+    ...pickDamageAffinities(patch, character.pc, existingPc),
     weapons,
     equippedWeaponId,
     skills: skillCatalog.allSkills,
   };
 }
 
-function buildEnemyCombatant(enemy, existingEnemy = {}, index = 0) {
-  if (!enemy?.name && !existingEnemy?.name) return null;
-  const hpMax = clamp(Number(enemy?.hpMax ?? existingEnemy?.hpMax ?? 10), 1, 999);
-  const hp = clamp(Number(enemy?.hp ?? existingEnemy?.hp ?? hpMax), 0, hpMax);
-  const safeLevel = clamp(Number(enemy?.level ?? existingEnemy?.level ?? 1), 1, MAX_LEVEL);
-  const sourceWeapons = Array.isArray(enemy?.weapons)
-    ? enemy.weapons
-    : Array.isArray(existingEnemy?.weapons)
-      ? existingEnemy.weapons
+function buildNpcCombatant(npc, existingNpc = {}, index = 0, kind = "enemy") {
+  if (!npc?.name && !existingNpc?.name) return null;
+  const label = kind === "ally" ? "Ally" : "Enemy";
+  const hpMax = clamp(Number(npc?.hpMax ?? existingNpc?.hpMax ?? 10), 1, 999);
+  const hp = clamp(Number(npc?.hp ?? existingNpc?.hp ?? hpMax), 0, hpMax);
+  const safeLevel = clamp(Number(npc?.level ?? existingNpc?.level ?? 1), 1, MAX_LEVEL);
+  const sourceWeapons = Array.isArray(npc?.weapons)
+    ? npc.weapons
+    : Array.isArray(existingNpc?.weapons)
+      ? existingNpc.weapons
       : [];
   const normalizedWeapons = sourceWeapons
     .map((weapon, weaponIndex) =>
       normalizeWeapon(
         weapon,
-        weapon?.name ?? `${enemy?.name ?? existingEnemy?.name} weapon ${weaponIndex + 1}`,
-        "weapon_enemy"
+        weapon?.name ?? `${npc?.name ?? existingNpc?.name} weapon ${weaponIndex + 1}`,
+        `weapon_${kind}`
       )
     )
     .filter(Boolean);
@@ -102,49 +225,104 @@ function buildEnemyCombatant(enemy, existingEnemy = {}, index = 0) {
     normalizedWeapons.length > 0 ? normalizedWeapons : [{ ...DEFAULT_ENEMY_WEAPON }];
   const weapons = ensureSingleEquippedWeapon(
     withDefaultWeapon,
-    enemy?.equippedWeaponId ?? existingEnemy?.equippedWeaponId
+    npc?.equippedWeaponId ?? existingNpc?.equippedWeaponId
   );
   const equippedWeaponId = weapons.find((weapon) => weapon.equipped)?.id ?? weapons[0].id;
-  const rawSkills = Array.isArray(enemy?.skills)
-    ? enemy.skills
-    : Array.isArray(existingEnemy?.skills)
-      ? existingEnemy.skills
+  const rawSkills = Array.isArray(npc?.skills)
+    ? npc.skills
+    : Array.isArray(existingNpc?.skills)
+      ? existingNpc.skills
       : [];
   const skills = rawSkills
     .map((skill, skillIndex) =>
-      normalizeSkill(skill, skill?.name ?? `Skill ${skillIndex + 1}`, "skill_enemy")
+      normalizeSkill(skill, skill?.name ?? `Skill ${skillIndex + 1}`, `skill_${kind}`)
     )
     .filter(Boolean);
   const speed = clamp(
-    Number(enemy?.speed ?? existingEnemy?.speed ?? DEFAULT_MOVE_SPEED),
+    Number(npc?.speed ?? existingNpc?.speed ?? DEFAULT_MOVE_SPEED),
     0,
     MAX_RANGE
   );
-  return {
-    id: enemy?.id ?? existingEnemy?.id ?? `enemy_${crypto.randomUUID()}`,
-    name: enemy?.name ?? existingEnemy?.name ?? `Enemy ${index + 1}`,
+  const rawStats = npc?.stats ?? existingNpc?.stats ?? null;
+  const conditions = normalizeConditions(npc?.conditions ?? existingNpc?.conditions);
+  const maxMovement = getConditionSpeed({ conditions }, speed);
+  const explicitAc = pickExplicitAc(npc, existingNpc);
+  const combatant = {
+    id: npc?.id ?? existingNpc?.id ?? `${kind}_${crypto.randomUUID()}`,
+    name: npc?.name ?? existingNpc?.name ?? `${label} ${index + 1}`,
     hp,
     hpMax,
-    mp: clamp(Number(enemy?.mp ?? existingEnemy?.mp ?? 0), 0, 999),
-    mpMax: clamp(Number(enemy?.mpMax ?? existingEnemy?.mpMax ?? 0), 0, 999),
-    status: enemy?.status ?? existingEnemy?.status ?? getEnemyStatus(hp, hpMax),
-    intent: enemy?.intent ?? existingEnemy?.intent ?? "",
-    note: enemy?.note ?? existingEnemy?.note ?? "",
+    mp: clamp(Number(npc?.mp ?? existingNpc?.mp ?? 0), 0, 999),
+    mpMax: clamp(Number(npc?.mpMax ?? existingNpc?.mpMax ?? 0), 0, 999),
+    status: npc?.status ?? existingNpc?.status ?? getEnemyStatus(hp, hpMax),
+    intent: npc?.intent ?? existingNpc?.intent ?? "",
+    tactics: ENEMY_TACTICS.includes(npc?.tactics ?? existingNpc?.tactics)
+      ? npc?.tactics ?? existingNpc?.tactics
+      : null,
+    lastTactic: npc?.lastTactic ?? existingNpc?.lastTactic ?? null,
+    morale: ENEMY_MORALE.includes(npc?.morale ?? existingNpc?.morale)
+      ? npc?.morale ?? existingNpc?.morale
+      : null,
+    onBreak: MORALE_BREAK_ACTIONS.includes(npc?.onBreak ?? existingNpc?.onBreak)
+      ? npc?.onBreak ?? existingNpc?.onBreak
+      : "flee",
+    note: npc?.note ?? existingNpc?.note ?? "",
+    xp: clamp(Math.trunc(Number(npc?.xp ?? existingNpc?.xp ?? 0)) || 0, 0, MAX_XP),
+    loot: normalizeLootTable(npc?.loot ?? existingNpc?.loot),
     level: safeLevel,
-    position: clamp(Number(enemy?.position ?? existingEnemy?.position ?? DEFAULT_MELEE_RANGE), 0, 100),
+    stats: rawStats ? { ...rawStats } : null,
+    explicitAc,
+    ac: getArmorClass({ ac: explicitAc, level: safeLevel, stats: rawStats }),
+    position: clamp(Number(npc?.position ?? existingNpc?.position ?? DEFAULT_MELEE_RANGE), 0, 100),
+    x: normalizeGridCoordinate(npc?.x ?? existingNpc?.x),
+    y: normalizeGridCoordinate(npc?.y ?? existingNpc?.y),
     speed,
     movementRemaining: clamp(
-      Number(enemy?.movementRemaining ?? existingEnemy?.movementRemaining ?? speed),
+      Number(npc?.movementRemaining ?? existingNpc?.movementRemaining ?? maxMovement),
       0,
-      speed
+      maxMovement
     ),
-    actionUsed: Boolean(enemy?.actionUsed ?? existingEnemy?.actionUsed ?? false),
-    defending: Boolean(enemy?.defending ?? existingEnemy?.defending ?? false),
-    dodging: Boolean(enemy?.dodging ?? existingEnemy?.dodging ?? false),
+    actionUsed: Boolean(npc?.actionUsed ?? existingNpc?.actionUsed ?? false),
+    reactionUsed: Boolean(npc?.reactionUsed ?? existingNpc?.reactionUsed ?? false),
+    defending: Boolean(npc?.defending ?? existingNpc?.defending ?? false),
+    dodging: Boolean(npc?.dodging ?? existingNpc?.dodging ?? false),
+    grappledBy: npc?.grappledBy ?? existingNpc?.grappledBy ?? null,
+    exposed: Boolean(npc?.exposed ?? existingNpc?.exposed ?? false),
+    offBalance: Boolean(npc?.offBalance ?? existingNpc?.offBalance ?? false),
+    conditions,
+    ...pickDamageAffinities(npc, existingNpc),
     weapons,
     equippedWeaponId,
     skills,
   };
+  if (kind === "ally") {
+    combatant.controlledBy =
+      (npc?.controlledBy ?? existingNpc?.controlledBy) === "player" ? "player" : "auto";
+  }
+  return combatant;
+}
+
+function buildPartyMemberCombatant(character, existingAlly = {}) {
+  return {
+    ...buildPcCombatant(character, existingAlly),
+    characterId: character.id,
+    controlledBy: "player",
+  };
+}
+
+function syncCharacterFromCombatant(character, combatant) {
+  combatant.hp = clamp(combatant.hp, 0, combatant.hpMax);
+  combatant.mp = clamp(combatant.mp, 0, combatant.mpMax);
+  character.hp.current = clamp(combatant.hp, 0, character.hp.max);
+  character.mp.current = clamp(combatant.mp, 0, character.mp.max);
+  character.pc.level = clamp(Number(combatant.level ?? character.pc.level ?? 1), 1, MAX_LEVEL);
+  character.pc.conditions = combatant.conditions.map((condition) => ({ ...condition }));
+  character.pc.resistances = [...combatant.resistances];
+  character.pc.immunities = [...combatant.immunities];
+  character.pc.vulnerabilities = [...combatant.vulnerabilities];
+  character.pc.skills = Array.isArray(combatant.skills)
+    ? combatant.skills.map((skill) => normalizeSkill(skill, skill?.name, "skill")).filter(Boolean)
+    : [];
 }
 
 function isCombatantAlive(combatant) {
@@ -159,12 +337,179 @@ function getCombatantRef(combat, combatantId) {
   const enemy = Array.isArray(combat.enemies)
     ? combat.enemies.find((entry) => entry.id === combatantId)
     : null;
-  if (!enemy) return null;
-  return { kind: "enemy", combatant: enemy };
+  if (enemy) return { kind: "enemy", combatant: enemy };
+  const ally = Array.isArray(combat.allies)
+    ? combat.allies.find((entry) => entry.id === combatantId)
+    : null;
+  if (!ally) return null;
+  return { kind: "ally", combatant: ally };
+}
+
+function getCombatSide(kind) {
+  return kind === "enemy" ? "enemies" : "party";
+}
+
+function isPlayerControlled(ref) {
+  if (!ref) return false;
+  return ref.kind === "pc" || (ref.kind === "ally" && ref.combatant.controlledBy === "player");
+}
+
+function getPartyMembers(combat) {
+  return [combat.pc, ...(Array.isArray(combat.allies) ? combat.allies : [])].filter(Boolean);
+}
+
+function getTeammates(combat, kind) {
+  return getCombatSide(kind) === "party"
+    ? getPartyMembers(combat)
+    : Array.isArray(combat.enemies)
+      ? combat.enemies
+      : [];
+}
+
+function getOpponents(combat, kind) {
+  return getCombatSide(kind) === "party"
+    ? Array.isArray(combat.enemies)
+      ? combat.enemies
+      : []
+    : getPartyMembers(combat);
+}
+
+function isCombatDecided(combat) {
+  return [getPartyMembers(combat), combat.enemies ?? []].some(
+    (side) => !side.some((combatant) => isCombatantAlive(combatant))
+  );
+}
+
+function chooseNearestOpponent(combat, actorRef) {
+  return getOpponents(combat, actorRef.kind)
+    .filter((combatant) => isCombatantAlive(combatant))
+    .reduce((nearest, combatant) => {
+      if (!nearest) return combatant;
+      return distanceBetweenCombatants(actorRef.combatant, combatant) <
+        distanceBetweenCombatants(actorRef.combatant, nearest)
+        ? combatant
+        : nearest;
+    }, null);
 }
 
 function distanceBetweenCombatants(source, target) {
-  return Math.abs(Number(source?.position ?? 0) - Number(target?.position ?? 0));
+  return getCombatDistance(source, target);
+}
+
+function getAllCombatants(combat) {
+  return [...getPartyMembers(combat), ...(Array.isArray(combat.enemies) ? combat.enemies : [])];
+}
+
+function getCombatTally(combat, combatant) {
+  if (!combat.tally[combatant.id]) {
+    combat.tally[combatant.id] = { damageDealt: 0, damageTaken: 0, healingDone: 0, skillsUsed: {} };
+  }
+  return combat.tally[combatant.id];
+}
+
+function tallyDamage(combat, source, target, amount) {
+  if (!combat?.tally || !(amount > 0)) return;
+  if (source) getCombatTally(combat, source).damageDealt += amount;
+  getCombatTally(combat, target).damageTaken += amount;
+}
+
+function tallyHealing(combat, source, amount) {
+  if (!combat?.tally || !(amount > 0)) return;
+  getCombatTally(combat, source).healingDone += amount;
+}
+
+function tallySkillUse(combat, actor, skill) {
+  if (!combat?.tally) return;
+  const { skillsUsed } = getCombatTally(combat, actor);
+  skillsUsed[skill.name] = (skillsUsed[skill.name] ?? 0) + 1;
+}
+
+function buildCombatReport(combat) {
+  const entries = [
+    ...getAllCombatants(combat).map((combatant) => ({
+      id: combatant.id,
+      name: combatant.name,
+      kind: getCombatantRef(combat, combatant.id).kind,
+    })),
+    ...combat.withdrawn.map(({ id, name, kind }) => ({ id, name, kind })),
+  ];
+  return {
+    rounds: combat.round,
+    combatants: entries.map((entry) => {
+      const tally = combat.tally?.[entry.id];
+      return {
+        ...entry,
+        damageDealt: tally?.damageDealt ?? 0,
+        damageTaken: tally?.damageTaken ?? 0,
+        healingDone: tally?.healingDone ?? 0,
+        skillsUsed: { ...tally?.skillsUsed },
+      };
+    }),
+  };
+}
+
+function getEnemyLossRatio(combat) {
+  const enemies = Array.isArray(combat.enemies) ? combat.enemies : [];
+  const withdrawn = (Array.isArray(combat.withdrawn) ? combat.withdrawn : []).filter(
+    (entry) => entry.kind === "enemy"
+  ).length;
+  const total = enemies.length + withdrawn;
+  if (total < MORALE_MIN_GROUP_SIZE) return 0;
+  return (enemies.filter((enemy) => !isCombatantAlive(enemy)).length + withdrawn) / total;
+}
+
+function startEncounter(game) {
+  game.encounterCount = Number(game.encounterCount ?? 0) + 1;
+  return game.encounterCount;
+}
+
+function snapshotMorale(combat) {
+  return {
+    lossRatio: getEnemyLossRatio(combat),
+    hp: new Map(combat.enemies.map((enemy) => [enemy.id, Number(enemy.hp ?? 0)])),
+  };
+}
+
+function getBlockingCells(combat, mover) {
+  return getOccupiedCells(
+    getAllCombatants(combat).filter(
+      (combatant) => combatant !== mover && isCombatantAlive(combatant)
+    )
+  );
+}
+
+function placeCombatantsOnGrid(combat) {
+  const placed = [];
+  getAllCombatants(combat).forEach((combatant, index) => {
+    if (!isCombatantAlive(combatant)) return;
+    const occupied = getOccupiedCells(placed);
+    const preferred = hasGridCell(combatant)
+      ? combatant
+      : { x: combatant.position ?? 0, y: index % combat.grid.height };
+    const cell = findNearestOpenCell(combat.grid, preferred, occupied);
+    combatant.x = cell?.x ?? null;
+    combatant.y = cell?.y ?? null;
+    placed.push(combatant);
+  });
+}
+
+function moveCombatantOnGrid(combat, source, target, mode, desiredDistance) {
+  if (!hasGridCell(source)) return 0;
+  const destination = chooseGridDestination(combat.grid, source, target, {
+    mode,
+    desiredDistance,
+    movement: source.movementRemaining,
+    occupied: getBlockingCells(combat, source),
+  });
+  if (!destination || destination.cost <= 0) return 0;
+  source.x = destination.x;
+  source.y = destination.y;
+  source.movementRemaining = clamp(
+    Number(source.movementRemaining ?? 0) - destination.cost,
+    0,
+    getEffectiveSpeed(source)
+  );
+  return destination.cost;
 }
 
 function getWeaponFromCombatant(combatant, requestedWeaponId) {
@@ -180,6 +525,101 @@ function getWeaponFromCombatant(combatant, requestedWeaponId) {
   return weapon ?? null;
 }
 
+function getCombatantCharacter(game, combatant) {
+  const characterId =
+    combatant.id === game.combat?.pc?.id ? getPrimaryCharacterId(game) : combatant.characterId;
+  return characterId ? getCharacter(game, characterId) : null;
+}
+
+function updateWeapon(game, combatant, weapon, changes) {
+  Object.assign(weapon, changes);
+  const item = getCombatantCharacter(game, combatant)?.inventory?.find(
+    (entry) => entry.weapon?.id === weapon.id
+  );
+  if (item) Object.assign(item.weapon, changes);
+}
+
+function getAmmoReserve(game, combatant, weapon) {
+  const character = weapon.ammoItem ? getCombatantCharacter(game, combatant) : null;
+  if (character) return Number(findAmmoItem(character, weapon.ammoItem)?.qty ?? 0);
+  return weapon.ammo ?? null;
+}
+
+function spendAmmoReserve(game, combatant, weapon, rounds) {
+  const character = weapon.ammoItem ? getCombatantCharacter(game, combatant) : null;
+  if (character) {
+    consumeItem(character, findAmmoItem(character, weapon.ammoItem), rounds);
+  } else if (weapon.ammo !== undefined) {
+    updateWeapon(game, combatant, weapon, { ammo: Math.max(weapon.ammo - rounds, 0) });
+  }
+}
+
+function getWeaponProblem(game, combatant, weapon) {
+  if (weapon.durability === 0) return `${combatant.name}'s ${weapon.name} is broken.`;
+  if (weapon.magazine && weapon.loaded > 0) return null;
+  const outOfAmmo = getAmmoReserve(game, combatant, weapon) === 0;
+  if (outOfAmmo) return `${combatant.name} is out of ammo for ${weapon.name}.`;
+  if (weapon.magazine) return `${combatant.name}'s ${weapon.name} is out of ammo; reload it first.`;
+  return null;
+}
+
+function spendWeaponShot(game, combatant, weapon) {
+  if (weapon.magazine) {
+    updateWeapon(game, combatant, weapon, { loaded: Math.max(weapon.loaded - 1, 0) });
+  } else {
+    spendAmmoReserve(game, combatant, weapon, 1);
+  }
+}
+
+function wearWeapon(game, combatant, weapon) {
+  if (!weapon.durabilityMax || weapon.durability === 0) return "";
+  updateWeapon(game, combatant, weapon, { durability: weapon.durability - 1 });
+  return weapon.durability === 0
+    ? `${weapon.name} breaks!`
+    : `${weapon.name} is damaged (${weapon.durability}/${weapon.durabilityMax}).`;
+}
+
+function getReloadMovementCost(combatant) {
+  return Math.ceil(getCombatantSpeed(combatant) / 2);
+}
+
+function reloadWeapon(game, combatant, weapon) {
+  if (!weapon.magazine) return { ok: false, message: `${weapon.name} does not need reloading.` };
+  const missing = weapon.magazine - weapon.loaded;
+  if (missing <= 0) return { ok: false, message: `${weapon.name} is already fully loaded.` };
+  const reserve = getAmmoReserve(game, combatant, weapon);
+  const rounds = reserve === null ? missing : Math.min(missing, reserve);
+  if (rounds <= 0) {
+    return { ok: false, message: `${combatant.name} is out of ammo for ${weapon.name}.` };
+  }
+  let costText = "";
+  if (weapon.reload === "move") {
+    const cost = getReloadMovementCost(combatant);
+    if (Number(combatant.movementRemaining ?? 0) < cost) {
+      return {
+        ok: false,
+        message: `${combatant.name} needs ${cost} movement to reload ${weapon.name}.`,
+      };
+    }
+    combatant.movementRemaining -= cost;
+    costText = ` on the move (${cost} movement)`;
+  } else {
+    if (combatant.actionUsed) {
+      return { ok: false, message: `${combatant.name} has already used an action this turn.` };
+    }
+    combatant.actionUsed = true;
+  }
+  spendAmmoReserve(game, combatant, weapon, rounds);
+  updateWeapon(game, combatant, weapon, { loaded: weapon.loaded + rounds });
+  return {
+    ok: true,
+    usedAction: weapon.reload !== "move",
+    message:
+      `${combatant.name} reloads ${weapon.name}${costText} ` +
+      `(${weapon.loaded}/${weapon.magazine} loaded).`,
+  };
+}
+
 function getUsableSkill(combatant, skillId) {
   if (!skillId) return null;
   const level = clamp(Number(combatant?.level ?? 1), 1, MAX_LEVEL);
@@ -190,25 +630,104 @@ function getUsableSkill(combatant, skillId) {
   );
 }
 
+function getAffordableSkills(combatant) {
+  const level = clamp(Number(combatant?.level ?? 1), 1, MAX_LEVEL);
+  const skills = Array.isArray(combatant?.skills) ? combatant.skills : [];
+  return skills
+    .filter(
+      (skill) =>
+        Number(skill.unlockLevel ?? 1) <= level &&
+        Number(skill.mpCost ?? 0) <= Number(combatant.mp ?? 0)
+    )
+    .map((skill) => ({
+      ...skill,
+      range: clamp(Number(skill.range ?? DEFAULT_MELEE_RANGE), 0, MAX_RANGE),
+    }));
+}
+
 function ensureCombatTurnState(combatant) {
   const speed = getCombatantSpeed(combatant);
   combatant.speed = speed;
+  const maxMovement = getEffectiveSpeed(combatant);
   combatant.movementRemaining = clamp(
-    Number(combatant.movementRemaining ?? speed),
+    Number(combatant.movementRemaining ?? maxMovement),
     0,
-    speed
+    maxMovement
   );
   combatant.actionUsed = Boolean(combatant.actionUsed);
+  combatant.reactionUsed = Boolean(combatant.reactionUsed);
+}
+
+function canReact(combatant) {
+  return isCombatantAlive(combatant) && !combatant.reactionUsed && !getSkipCondition(combatant);
 }
 
-function applyDamage(combatant, amount) {
+function takeReactionSkill(combatant, reaction, trigger) {
+  if (!canReact(combatant)) return null;
+  const skill = getAffordableSkills(combatant).find(
+    (entry) =>
+      entry.reaction === reaction && distanceBetweenCombatants(combatant, trigger) <= entry.range
+  );
+  if (!skill) return null;
+  combatant.reactionUsed = true;
+  combatant.mp = clamp(combatant.mp - skill.mpCost, 0, combatant.mpMax);
+  return skill;
+}
+
+function takeCounterReaction(combat, actor) {
+  const actorRef = getCombatantRef(combat, actor.id);
+  if (!actorRef) return null;
+  for (const reactor of getOpponents(combat, actorRef.kind)) {
+    const skill = takeReactionSkill(reactor, "counter", actor);
+    if (skill) return { reactor, skill };
+  }
+  return null;
+}
+
+function getPositionSnapshot(combatant) {
+  return { position: combatant.position, x: combatant.x, y: combatant.y };
+}
+
+function getDamageAffinity(combatant, damageType) {
+  if (!damageType) return null;
+  if (combatant.immunities?.includes(damageType)) return "immune";
+  const resistant = Boolean(combatant.resistances?.includes(damageType));
+  const vulnerable = Boolean(combatant.vulnerabilities?.includes(damageType));
+  if (resistant === vulnerable) return null;
+  return resistant ? "resistant" : "vulnerable";
+}
+
+function applyDamage(combatant, amount, damageType = null) {
   const safeAmount = clamp(Number(amount ?? 0), 0, 999);
   if (!safeAmount) return 0;
+  const guarded = combatant.defending
+    ? Math.floor(safeAmount * DEFEND_DAMAGE_MULTIPLIER)
+    : safeAmount;
+  const affinity = getDamageAffinity(combatant, damageType);
+  const mitigated = affinity
+    ? Math.floor(guarded * DAMAGE_AFFINITY_MULTIPLIERS[affinity])
+    : guarded;
   const before = combatant.hp;
-  combatant.hp = clamp(Number(combatant.hp ?? 0) - safeAmount, 0, combatant.hpMax);
+  combatant.hp = clamp(Number(combatant.hp ?? 0) - mitigated, 0, combatant.hpMax);
   return before - combatant.hp;
 }
 
+function describeDefense(target, amount) {
+  return target.defending && amount > 0 ? ` ${target.name}'s guard halves the damage.` : "";
+}
+
+function formatDamage(amount, damageType) {
+  return damageType ? `${amount} ${damageType} damage` : `${amount} damage`;
+}
+
+function describeDamageAffinity(target, damageType, amount) {
+  const affinity = amount > 0 ? getDamageAffinity(target, damageType) : null;
+  if (affinity === "immune") return ` ${target.name} is immune to ${damageType}.`;
+  if (affinity === "resistant") return ` ${target.name} resists ${damageType}.`;
+  if (affinity === "vulnerable") return ` ${target.name} is vulnerable to ${damageType}.`;
+  return "";
+}
+
 function applyHealing(combatant, amount) {
   const safeAmount = clamp(Number(amount ?? 0), 0, 999);
   if (!safeAmount) return 0;
@@ -217,7 +736,7 @@ function applyHealing(combatant, amount) {
   return combatant.hp - before;
 }
 
-function resolveCombatAmount({ explicitAmount, formula, fallback = 0 }) {
+function resolveCombatAmount({ explicitAmount, formula, fallback = 0, critical = false, rng }) {
   if (explicitAmount !== undefined) {
     return {
       amount: clamp(Number(explicitAmount), 0, 999),
@@ -226,7 +745,7 @@ function resolveCombatAmount({ explicitAmount, formula, fallback = 0 }) {
     };
   }
   if (formula) {
-    const roll = rollDice(formula);
+    const roll = rollDice(formula, rng, { critical });
     if (roll) {
       return {
         amount: clamp(Number(roll.total), 0, 999),
@@ -242,10 +761,8 @@ function resolveCombatAmount({ explicitAmount, formula, fallback = 0 }) {
   };
 }
 
-function rollInitiativeScore() {
-  const roll = rollDice("d20");
-  if (roll) return roll.total;
-  return crypto.randomInt(1, 21);
+function rollInitiativeScore(rng) {
+  return rollDice("d20", rng);
 }
 
 function normalizeInitiativeScore(value) {
@@ -255,7 +772,7 @@ function normalizeInitiativeScore(value) {
   return parsed;
 }
 
-function applyInitiativeScores(entries = []) {
+function applyInitiativeScores(entries = [], rng, onRoll = () => {}) {
   if (!Array.isArray(entries) || entries.length === 0) return [];
   const normalized = entries.map((entry) => ({
     ...entry,
@@ -271,10 +788,11 @@ function applyInitiativeScores(entries = []) {
       initiative: Number(entry.initiative),
     }));
   }
-  return normalized.map((entry) => ({
-    ...entry,
-    initiative: rollInitiativeScore(),
-  }));
+  return normalized.map((entry) => {
+    const roll = rollInitiativeScore(rng);
+    onRoll(entry, roll);
+    return { ...entry, initiative: roll.total };
+  });
 }
 
 function getWeaponRange(weapon) {
@@ -283,7 +801,55 @@ function getWeaponRange(weapon) {
   return clamp(Number(weapon.range ?? 1), 1, MAX_RANGE);
 }
 
-function moveCombatantToward(source, target, desiredDistance = 0) {
+function pushCombatantAway(source, target, distance, combat) {
+  if (combat?.grid && hasGridCell(source) && hasGridCell(target)) {
+    return pushOnGrid(combat.grid, source, target, distance, getBlockingCells(combat, target));
+  }
+  const direction = Number(target.position ?? 0) >= Number(source.position ?? 0) ? 1 : -1;
+  const before = Number(target.position ?? 0);
+  target.position = clamp(before + direction * distance, 0, 100);
+  return Math.abs(target.position - before);
+}
+
+function pullCombatantToward(source, target, distance, combat) {
+  if (combat?.grid && hasGridCell(source) && hasGridCell(target)) {
+    return pullOnGrid(combat.grid, source, target, distance, getBlockingCells(combat, target));
+  }
+  const gap = distanceBetweenCombatants(source, target);
+  const pulled = clamp(Math.min(distance, gap - DEFAULT_MELEE_RANGE), 0, MAX_RANGE);
+  const direction = Number(source.position ?? 0) >= Number(target.position ?? 0) ? 1 : -1;
+  target.position = clamp(Number(target.position ?? 0) + direction * pulled, 0, 100);
+  return pulled;
+}
+
+function refreshGrapple(combat, combatant) {
+  if (!combatant?.grappledBy) return false;
+  const grappler = getCombatantRef(combat, combatant.grappledBy)?.combatant;
+  if (
+    !grappler ||
+    !isCombatantAlive(grappler) ||
+    distanceBetweenCombatants(grappler, combatant) > DEFAULT_MELEE_RANGE
+  ) {
+    combatant.grappledBy = null;
+    return false;
+  }
+  return true;
+}
+
+function applySaveOutcome(amount, saveResult, save) {
+  if (!saveResult?.success) return amount;
+  return save.onSuccess === "negate" ? 0 : Math.floor(amount / 2);
+}
+
+function describeSaveResult(target, save, saveResult) {
+  return (
+    `${target.name} ${save.stat.toUpperCase()} save vs DC ${saveResult.dc}: ` +
+    `${saveResult.total} (${saveResult.success ? "success" : "failure"}).`
+  );
+}
+
+function moveCombatantToward(source, target, desiredDistance = 0, combat = null) {
+  if (combat?.grid) return moveCombatantOnGrid(combat, source, target, "toward", desiredDistance);
   const currentDistance = distanceBetweenCombatants(source, target);
   const maxMove = clamp(Number(source.movementRemaining ?? 0), 0, MAX_RANGE);
   const requiredMove = clamp(currentDistance - desiredDistance, 0, MAX_RANGE);
@@ -294,35 +860,484 @@ function moveCombatantToward(source, target, desiredDistance = 0) {
   const nextPosition = clamp(Number(source.position ?? 0) + direction * actualMove, 0, 100);
   const traveled = Math.abs(nextPosition - Number(source.position ?? 0));
   source.position = nextPosition;
-  source.movementRemaining = clamp(maxMove - traveled, 0, source.speed);
+  source.movementRemaining = clamp(maxMove - traveled, 0, getEffectiveSpeed(source));
+  return traveled;
+}
+
+function moveCombatantAway(source, target, desiredDistance = MAX_RANGE, combat = null) {
+  if (combat?.grid) return moveCombatantOnGrid(combat, source, target, "away", desiredDistance);
+  const currentDistance = distanceBetweenCombatants(source, target);
+  const maxMove = clamp(Number(source.movementRemaining ?? 0), 0, MAX_RANGE);
+  const requiredMove = clamp(desiredDistance - currentDistance, 0, MAX_RANGE);
+  const actualMove = clamp(Math.min(requiredMove, maxMove), 0, MAX_RANGE);
+  if (actualMove <= 0) return 0;
+
+  const direction = Number(target.position ?? 0) > Number(source.position ?? 0) ? -1 : 1;
+  const nextPosition = clamp(Number(source.position ?? 0) + direction * actualMove, 0, 100);
+  const traveled = Math.abs(nextPosition - Number(source.position ?? 0));
+  source.position = nextPosition;
+  source.movementRemaining = clamp(maxMove - traveled, 0, getEffectiveSpeed(source));
   return traveled;
 }
 
-export function createCombatSystem({ addLog }) {
+function moveCombatantToCell(combat, combatant, destination) {
+  if (typeof destination !== "object" || destination === null) {
+    return { ok: false, message: "On the battle grid, move with moveTo { x, y }." };
+  }
+  const reachable = findReachableCells(
+    combat.grid,
+    combatant,
+    combatant.movementRemaining,
+    getBlockingCells(combat, combatant)
+  );
+  const cell = reachable.get(`${destination.x},${destination.y}`);
+  if (!cell) {
+    return {
+      ok: false,
+      message:
+        `${combatant.name} cannot reach (${destination.x}, ${destination.y}) ` +
+        `with ${combatant.movementRemaining} movement remaining; the way is blocked, occupied, or too far.`,
+    };
+  }
+  combatant.x = cell.x;
+  combatant.y = cell.y;
+  combatant.movementRemaining = clamp(
+    Number(combatant.movementRemaining ?? 0) - cell.cost,
+    0,
+    getEffectiveSpeed(combatant)
+  );
+  return { ok: true };
+}
+
+function formatPosition(combatant) {
+  return hasGridCell(combatant)
+    ? `(${combatant.x}, ${combatant.y})`
+    : `position ${combatant.position}`;
+}
+
+function applyFumbleEffect(attacker, effect) {
+  if (effect === "drop_guard") {
+    attacker.exposed = true;
+    return `${attacker.name} drops their guard; attacks against them have advantage until their next turn.`;
+  }
+  if (effect === "lose_movement") {
+    attacker.movementRemaining = 0;
+    attacker.offBalance = true;
+    return `${attacker.name} stumbles and will have no movement on their next turn.`;
+  }
+  return "";
+}
+
+function describeAppliedCondition(target, condition) {
+  return `${target.name} is ${describeCondition(condition)}.`;
+}
+
+function formatAttackRoll(roll, ac = null) {
+  const modeText = describeRollMode(roll);
+  const acText = ac === null ? "" : ` vs AC ${ac}`;
+  return `Attack roll: ${roll.total}${acText}${modeText ? ` ${modeText}` : ""}.`;
+}
+
+export function createCombatSystem({ addLog, getRng = getGameRng }) {
+  function rollCombatSave(game, { source, target, save, rollMode, rollSource = "save" }) {
+    const dcStat = save.dcStat ?? getBestStat(source);
+    const dc = save.dc ?? getSaveDc(source, dcStat);
+    const saveResult = resolveSavingThrow({
+      bonus: getCombatantCheckBonus(target, save.stat),
+      dc,
+      rollMode: combineRollModes(
+        rollMode,
+        target.dodging && save.stat === "agi" ? "advantage" : "normal"
+      ),
+      rng: getRng(game),
+    });
+    recordRoll(game, saveResult.roll, {
+      source: rollSource,
+      actorId: target.id,
+      reason: `${target.name} ${save.stat.toUpperCase()} save against ${source.name}`,
+      save: {
+        targetId: target.id,
+        stat: save.stat,
+        dc,
+        success: saveResult.success,
+        margin: saveResult.margin,
+      },
+    });
+    return saveResult;
+  }
+
+  function rollCombatAttack(
+    game,
+    { attacker, target, weapon, skill, rollMode, source = "attack" }
+  ) {
+    const ranged = skill ? skill.range > DEFAULT_MELEE_RANGE : weapon.category === "ranged";
+    const cover = ranged && hasCover(game.combat?.grid, attacker, target);
+    const attack = resolveAttackRoll({
+      bonus: skill ? getSkillAttackBonus(attacker, skill) : getAttackBonus(attacker, weapon),
+      ac: getArmorClass(target) + (cover ? COVER_AC_BONUS : 0),
+      rollMode: combineRollModes(
+        rollMode,
+        target.exposed ? "advantage" : "normal",
+        target.dodging ? "disadvantage" : "normal",
+        getConditionRollMode(attacker, "attacker"),
+        getConditionRollMode(target, "target")
+      ),
+      rng: getRng(game),
+    });
+    recordRoll(game, attack.roll, {
+      source,
+      actorId: attacker.id,
+      reason: skill
+        ? `${attacker.name} uses ${skill.name} on ${target.name}`
+        : `${attacker.name} attacks ${target.name} with ${weapon.name}`,
+      attack: {
+        targetId: target.id,
+        ac: attack.ac,
+        hit: attack.hit,
+        critical: attack.critical,
+        fumble: attack.fumble,
+        margin: attack.margin,
+        cover,
+      },
+    });
+    return { ...attack, cover };
+  }
+
+  function resolveWeaponAttack(
+    game,
+    { attacker, target, weapon, rollMode, explicitDamage, source = "attack", reactions = [] }
+  ) {
+    spendWeaponShot(game, attacker, weapon);
+    const attack = rollCombatAttack(game, { attacker, target, weapon, rollMode, source });
+    let message = `${attacker.name} attacks ${target.name} with ${weapon.name} and misses.`;
+    if (attack.fumble) {
+      const fumbleText = applyFumbleEffect(attacker, game.combat?.fumbleEffect);
+      const wearText = wearWeapon(game, attacker, weapon);
+      message = `${attacker.name} fumbles an attack on ${target.name} with ${weapon.name}!`;
+      if (fumbleText) message += ` ${fumbleText}`;
+      if (wearText) message += ` ${wearText}`;
+    } else if (attack.hit) {
+      const damageResolution = rollCombatAmount(game, {
+        explicitAmount: explicitDamage,
+        formula: weapon.damageFormula,
+        critical: attack.critical,
+        actorId: attacker.id,
+        source,
+        reason: `${attacker.name} ${weapon.name} damage to ${target.name}`,
+      });
+      const parry =
+        weapon.category === "melee" ? takeReactionSkill(target, "parry", attacker) : null;
+      const incoming = parry
+        ? Math.floor(damageResolution.amount * DEFEND_DAMAGE_MULTIPLIER)
+        : damageResolution.amount;
+      const dealt = applyDamage(target, incoming, weapon.damageType);
+      tallyDamage(game.combat, attacker, target, dealt);
+      if (parry) {
+        reactions.push(
+          `${target.name} reacts with ${parry.name} and turns aside half of ${attacker.name}'s blow.`
+        );
+      }
+      const verb = attack.critical ? "lands a critical hit on" : "hits";
+      message =
+        dealt > 0
+          ? `${attacker.name} ${verb} ${target.name} with ${weapon.name} for ` +
+            `${formatDamage(dealt, weapon.damageType)}.`
+          : `${attacker.name} ${verb} ${target.name} with ${weapon.name}.`;
+      if (damageResolution.source === "rolled" && damageResolution.roll) {
+        message += ` [${formatRollBreakdown(damageResolution.roll)} = ${damageResolution.roll.total}]`;
+      }
+      message += describeDefense(target, incoming);
+      message += describeDamageAffinity(target, weapon.damageType, incoming);
+      if (weapon.onHit && isCombatantAlive(target)) {
+        const condition = applyCondition(target, weapon.onHit, attacker.id);
+        message += ` ${describeAppliedCondition(target, condition)}`;
+      }
+    }
+    if (attack.cover) message += ` ${target.name} is behind cover (+${COVER_AC_BONUS} AC).`;
+    const naturalText = attack.critical || attack.fumble ? ` Natural ${attack.natural}.` : "";
+    return `${message} ${formatAttackRoll(attack.roll, attack.ac)}${naturalText}`;
+  }
+
+  function resolveOpportunityAttacks(game, mover, origin) {
+    const moverRef = getCombatantRef(game.combat, mover.id);
+    if (!moverRef) return [];
+    const reactions = [];
+    getOpponents(game.combat, moverRef.kind).forEach((reactor) => {
+      const weapon = canReact(reactor) ? getWeaponFromCombatant(reactor, null) : null;
+      if (
+        weapon?.category !== "melee" ||
+        getWeaponProblem(game, reactor, weapon) ||
+        !isCombatantAlive(mover) ||
+        distanceBetweenCombatants(reactor, origin) > DEFAULT_MELEE_RANGE ||
+        distanceBetweenCombatants(reactor, mover) <= DEFAULT_MELEE_RANGE
+      ) {
+        return;
+      }
+      reactor.reactionUsed = true;
+      const parries = [];
+      const attack = resolveWeaponAttack(game, {
+        attacker: reactor,
+        target: mover,
+        weapon,
+        source: "reaction",
+        reactions: parries,
+      });
+      reactions.push(`Opportunity attack! ${attack}`, ...parries);
+    });
+    return reactions;
+  }
+
+  function logWithReactions(game, message, reactions) {
+    addLog(game, message, "combat");
+    reactions.forEach((entry) => addLog(game, entry, "combat"));
+    return [message, ...reactions].join(" ");
+  }
+
+  function rollSkillAmount(
+    game,
+    { actor, skill, explicitAmount, formula, label, targetNames, source }
+  ) {
+    const resolution = rollCombatAmount(game, {
+      explicitAmount,
+      formula,
+      actorId: actor.id,
+      source,
+      reason: `${actor.name} ${skill.name} ${label} for ${targetNames}`,
+    });
+    if (resolution.source !== "rolled" || !resolution.roll) {
+      return { amount: resolution.amount, text: "" };
+    }
+    const scaling = skill.scalingStat
+      ? getStatModifier(getCombatantStats(actor)[skill.scalingStat])
+      : 0;
+    const scalingText = scaling
+      ? ` ${formatModifier(scaling)} ${skill.scalingStat.toUpperCase()}`
+      : "";
+    return {
+      amount: clamp(resolution.amount + scaling, 0, 999),
+      text: ` [${formatRollBreakdown(resolution.roll)} = ${resolution.roll.total}${scalingText}]`,
+    };
+  }
+
+  function resolveSkillEffects(
+    game,
+    { actor, target, skill, single, saveResult, amounts, rollText }
+  ) {
+    let message = "";
+    const skillDamage = applySaveOutcome(amounts.damage, saveResult, skill.save);
+    const dealt = applyDamage(target, skillDamage, skill.damageType);
+    const healed = applyHealing(target, amounts.heal);
+    tallyDamage(game.combat, actor, target, dealt);
+    tallyHealing(game.combat, actor, healed);
+    const mpBefore = target.mp;
+    target.mp = clamp(Number(target.mp ?? 0) + amounts.mpRestore, 0, target.mpMax);
+    const restored = target.mp - mpBefore;
+    if (saveResult) {
+      message += ` ${describeSaveResult(target, skill.save, saveResult)}`;
+    }
+    if (dealt > 0) {
+      const damageText = formatDamage(dealt, skill.damageType);
+      message += single ? ` ${damageText} dealt.` : ` ${target.name} takes ${damageText}.`;
+    }
+    message += describeDefense(target, skillDamage);
+    message += describeDamageAffinity(target, skill.damageType, skillDamage);
+    if (healed > 0) {
+      message += single ? ` ${healed} HP restored.` : ` ${target.name} regains ${healed} HP.`;
+    }
+    if (restored > 0) {
+      message += single ? ` ${restored} MP restored.` : ` ${target.name} regains ${restored} MP.`;
+    }
+    if (single) message += rollText;
+    if (saveResult?.success || !isCombatantAlive(target)) return message;
+    if (skill.condition) {
+      const condition = applyCondition(target, skill.condition, actor.id);
+      message += ` ${describeAppliedCondition(target, condition)}`;
+    }
+    if (target.id !== actor.id && skill.push > 0) {
+      const pushed = pushCombatantAway(actor, target, skill.push, game.combat);
+      if (pushed > 0) message += ` ${target.name} is pushed to ${formatPosition(target)}.`;
+    }
+    if (target.id !== actor.id && skill.pull > 0) {
+      const pulled = pullCombatantToward(actor, target, skill.pull, game.combat);
+      if (pulled > 0) message += ` ${target.name} is pulled to ${formatPosition(target)}.`;
+    }
+    return message;
+  }
+
+  function resolveSkillUse(
+    game,
+    {
+      actor,
+      targets,
+      skill,
+      rollMode,
+      explicitDamage,
+      explicitHeal,
+      source = "skill",
+      counterable = true,
+      reactions = [],
+    }
+  ) {
+    const single = targets.length === 1;
+    const targetNames = targets.map((target) => target.name).join(", ");
+    const targetsOther = !single || targets[0].id !== actor.id;
+    const counter = counterable ? takeCounterReaction(game.combat, actor) : null;
+    if (counter) {
+      actor.mp = clamp(actor.mp - skill.mpCost, 0, actor.mpMax);
+      reactions.push(
+        `${counter.reactor.name} reacts with ${counter.skill.name}! ` +
+          `${actor.name}'s ${skill.name} fizzles.`
+      );
+      return `${actor.name} uses ${skill.name}${targetsOther ? ` on ${targetNames}` : ""}.`;
+    }
+    if (source !== "item") tallySkillUse(game.combat, actor, skill);
+    const saveResults = targets.map((target) =>
+      skill.save && target.id !== actor.id
+        ? rollCombatSave(game, { source: actor, target, save: skill.save })
+        : null
+    );
+    const attacks = targets.map((target) =>
+      source !== "item" && skill.target === "enemy" && !skill.save && target.id !== actor.id
+        ? rollCombatAttack(game, { attacker: actor, target, skill, rollMode, source })
+        : null
+    );
+    const landed = attacks.map((attack) => !attack || attack.hit);
+    const anyLanded = landed.some(Boolean);
+    actor.mp = clamp(actor.mp - skill.mpCost, 0, actor.mpMax);
+    const amountArgs = { actor, skill, targetNames, source };
+    const damage = rollSkillAmount(game, {
+      ...amountArgs,
+      explicitAmount: anyLanded ? explicitDamage : undefined,
+      formula: anyLanded ? skill.damageFormula : null,
+      label: "damage",
+    });
+    const heal = rollSkillAmount(game, {
+      ...amountArgs,
+      explicitAmount: anyLanded ? explicitHeal : undefined,
+      formula: anyLanded ? skill.healFormula : null,
+      label: "healing",
+    });
+    const mpRestore = rollSkillAmount(game, {
+      ...amountArgs,
+      formula: anyLanded ? skill.mpRestoreFormula : null,
+      label: "MP restore",
+    });
+    const rollText = `${damage.text}${heal.text}${mpRestore.text}`;
+    let message = `${actor.name} uses ${skill.name}${targetsOther ? ` on ${targetNames}` : ""}.`;
+    if (explicitDamage !== undefined || explicitHeal !== undefined) message += " (GM override)";
+    if (!single) message += rollText;
+    targets.forEach((target, index) => {
+      const attack = attacks[index];
+      if (!landed[index]) {
+        message += ` ${skill.name} misses ${target.name}.`;
+      } else {
+        message += resolveSkillEffects(game, {
+          actor,
+          target,
+          skill,
+          single,
+          saveResult: saveResults[index],
+          amounts: { damage: damage.amount, heal: heal.amount, mpRestore: mpRestore.amount },
+          rollText,
+        });
+      }
+      if (attack) message += ` ${formatAttackRoll(attack.roll, attack.ac)}`;
+      if (attack?.cover) message += ` ${target.name} is behind cover (+${COVER_AC_BONUS} AC).`;
+    });
+    return message;
+  }
+
+  function getSkillTargets(combat, actorRef, skill, primaryTargets) {
+    if (!skill.area) return primaryTargets;
+    const eligible = skill.friendlyFire
+      ? getAllCombatants(combat)
+      : skill.target === "enemy"
+        ? getOpponents(combat, actorRef.kind)
+        : getTeammates(combat, actorRef.kind);
+    return eligible.filter(
+      (combatant) =>
+        isCombatantAlive(combatant) &&
+        !(skill.target === "enemy" && combatant === actorRef.combatant) &&
+        isInSkillArea(
+          skill.area,
+          { origin: actorRef.combatant, center: primaryTargets[0], range: skill.range },
+          combatant
+        )
+    );
+  }
+
+  function rollCombatAmount(
+    game,
+    { explicitAmount, formula, fallback = 0, critical = false, actorId, source, reason }
+  ) {
+    const resolution = resolveCombatAmount({
+      explicitAmount,
+      formula,
+      fallback,
+      critical,
+      rng: getRng(game),
+    });
+    if (resolution.roll) {
+      recordRoll(game, resolution.roll, { source, reason, actorId });
+    }
+    return resolution;
+  }
+
+  function rollInitiative(game, entries) {
+    return applyInitiativeScores(entries, getRng(game), (entry, roll) =>
+      recordRoll(game, roll, {
+        source: "initiative",
+        reason: `${entry.name} initiative`,
+        actorId: entry.id,
+      })
+    );
+  }
+
   function syncCombatState(game) {
     if (!game?.combat) return;
     const combat = game.combat;
     combat.round = clamp(Number(combat.round ?? 1), 1, 999);
-    combat.pc = buildPcCombatant(game, combat.pc);
+    combat.fumbleEffect = FUMBLE_EFFECTS.includes(combat.fumbleEffect)
+      ? combat.fumbleEffect
+      : DEFAULT_FUMBLE_EFFECT;
+    combat.grid = normalizeGrid(combat.grid);
+    combat.withdrawn = Array.isArray(combat.withdrawn) ? combat.withdrawn : [];
+    combat.tally = combat.tally && typeof combat.tally === "object" ? combat.tally : {};
+    const primary = getCharacter(game, getPrimaryCharacterId(game));
+    combat.pc = buildPcCombatant(primary, combat.pc);
     combat.enemies = (Array.isArray(combat.enemies) ? combat.enemies : [])
-      .map((enemy, index) => buildEnemyCombatant(enemy, enemy, index))
+      .map((enemy, index) => buildNpcCombatant(enemy, enemy, index))
       .filter(Boolean);
-    combat.enemies.forEach((enemy) => {
-      enemy.status = getEnemyStatus(enemy.hp, enemy.hpMax);
-      ensureCombatTurnState(enemy);
+    combat.allies = (Array.isArray(combat.allies) ? combat.allies : [])
+      .map((ally, index) => {
+        const character = ally.characterId ? getCharacter(game, ally.characterId) : null;
+        return character
+          ? buildPartyMemberCombatant(character, ally)
+          : buildNpcCombatant(ally, ally, index, "ally");
+      })
+      .filter(Boolean);
+    [...combat.enemies, ...combat.allies].forEach((npc) => {
+      npc.status = getEnemyStatus(npc.hp, npc.hpMax);
+      ensureCombatTurnState(npc);
     });
     ensureCombatTurnState(combat.pc);
-    combat.pc.hp = clamp(combat.pc.hp, 0, combat.pc.hpMax);
-    combat.pc.mp = clamp(combat.pc.mp, 0, combat.pc.mpMax);
-    game.hp.current = clamp(combat.pc.hp, 0, game.hp.max);
-    game.mp.current = clamp(combat.pc.mp, 0, game.mp.max);
-    game.pc.level = clamp(Number(combat.pc.level ?? game.pc.level ?? 1), 1, MAX_LEVEL);
-    game.pc.skills = Array.isArray(combat.pc.skills)
-      ? combat.pc.skills.map((skill) => normalizeSkill(skill, skill?.name, "skill")).filter(Boolean)
-      : [];
+    if (combat.grid) {
+      placeCombatantsOnGrid(combat);
+    } else {
+      getAllCombatants(combat).forEach((combatant) => {
+        combatant.x = null;
+        combatant.y = null;
+      });
+    }
+    syncCharacterFromCombatant(primary, combat.pc);
+    combat.allies.forEach((ally) => {
+      const character = ally.characterId ? getCharacter(game, ally.characterId) : null;
+      if (character) syncCharacterFromCombatant(character, ally);
+    });
 
     const fallbackInitiative = [
       { id: combat.pc.id, name: combat.pc.name, kind: "pc" },
+      ...combat.allies.map((ally) => ({ id: ally.id, name: ally.name, kind: "ally" })),
       ...combat.enemies.map((enemy) => ({
         id: enemy.id,
         name: enemy.name,
@@ -348,18 +1363,18 @@ export function createCombatSystem({ addLog }) {
       })
       .filter(Boolean);
 
-    const requiredEntries = [combat.pc, ...combat.enemies];
+    const requiredEntries = [combat.pc, ...combat.allies, ...combat.enemies];
     requiredEntries.forEach((combatant) => {
       if (!seen.has(combatant.id)) {
         normalizedInitiative.push({
           id: combatant.id,
           name: combatant.name,
-          kind: combat.pc.id === combatant.id ? "pc" : "enemy",
+          kind: getCombatantRef(combat, combatant.id).kind,
         });
       }
     });
 
-    const withScores = applyInitiativeScores(normalizedInitiative);
+    const withScores = rollInitiative(game, normalizedInitiative);
     combat.initiative = withScores.sort((a, b) => b.initiative - a.initiative);
     const aliveTurnEntry = combat.initiative.find((entry) =>
       isCombatantAlive(getCombatantRef(combat, entry.id)?.combatant)
@@ -378,16 +1393,22 @@ export function createCombatSystem({ addLog }) {
       : [];
     combat.rules = {
       meleeRange: DEFAULT_MELEE_RANGE,
-      actionTypes: ["attack", "defend", "dodge", "use_skill"],
+      actionTypes: [...COMBAT_ACTIONS_REQUIRING_ACTION],
       moveIsFree: true,
       oneActionPerTurn: true,
+      oneReactionPerRound: true,
+      fumbleEffect: combat.fumbleEffect,
+      defendDamageMultiplier: DEFEND_DAMAGE_MULTIPLIER,
+      dodgeImposesDisadvantage: true,
     };
     combat.turn = currentActor
       ? {
           actorId: currentActor.id,
           actorName: currentActor.name,
           kind: currentActorRef.kind,
+          playerControlled: isPlayerControlled(currentActorRef),
           actionUsed: Boolean(currentActor.actionUsed),
+          reactionUsed: Boolean(currentActor.reactionUsed),
           movementRemaining: Number(currentActor.movementRemaining ?? 0),
           equippedWeaponId: currentActor.equippedWeaponId ?? null,
           availableSkillIds: currentSkills.map((skill) => skill.id),
@@ -395,23 +1416,154 @@ export function createCombatSystem({ addLog }) {
       : null;
   }
 
+  function grantCombatRewards(game) {
+    const combat = game.combat;
+    const defeated = combat.enemies.filter((enemy) => !isCombatantAlive(enemy));
+    const xp = defeated.reduce((total, enemy) => total + enemy.xp, 0);
+    const primary = getCharacter(game, getPrimaryCharacterId(game));
+    const partyCharacters = combat.allies
+      .map((ally) => (ally.characterId ? getCharacter(game, ally.characterId) : null))
+      .filter(Boolean);
+    const loot = defeated.flatMap((enemy) => rollEnemyLoot(game, enemy));
+    return {
+      xp,
+      recipients: awardExperience([primary, ...partyCharacters], xp),
+      loot: addLootToInventory(primary, loot),
+    };
+  }
+
+  function endCombat(game, outcome, logText) {
+    let rewards = null;
+    if (game.combat) {
+      rewards = COMBAT_REWARD_OUTCOMES.includes(outcome) ? grantCombatRewards(game) : null;
+      game.lastCombatOutcome = {
+        outcome,
+        encounter: game.combat.encounter,
+        round: game.combat.round,
+        withdrawn: (game.combat.withdrawn ?? []).map((entry) => ({ ...entry })),
+        report: buildCombatReport(game.combat),
+        rewards,
+      };
+    }
+    game.combat = null;
+    game.phase = "exploration";
+    addLog(game, logText, "combat");
+    const rewardText = describeCombatRewards(rewards).trim();
+    if (rewardText) addLog(game, rewardText, "combat");
+    return outcome;
+  }
+
   function resolveCombatOutcome(game) {
     if (!game?.combat) return null;
-    const pcAlive = isCombatantAlive(game.combat.pc);
+    const party = getPartyMembers(game.combat);
+    const partyAlive = party.some((member) => isCombatantAlive(member));
     const enemiesAlive = game.combat.enemies.some((enemy) => isCombatantAlive(enemy));
-    if (!pcAlive) {
-      game.combat = null;
-      game.phase = "exploration";
-      addLog(game, "Combat ended. The player is down.", "combat");
-      return "player_down";
+    if (!partyAlive) {
+      return endCombat(
+        game,
+        "player_down",
+        party.length > 1
+          ? "Combat ended. The player and all allies are down."
+          : "Combat ended. The player is down."
+      );
     }
-    if (!enemiesAlive) {
-      game.combat = null;
-      game.phase = "exploration";
-      addLog(game, "Combat ended. All enemies are down.", "combat");
-      return "victory";
+    if (enemiesAlive) return null;
+    const reasons = game.combat.withdrawn
+      .filter((entry) => entry.kind === "enemy")
+      .map((entry) => entry.reason);
+    if (reasons.includes("surrendered")) {
+      return endCombat(game, "surrendered", "Combat ended. The remaining enemies surrendered.");
     }
-    return null;
+    if (reasons.includes("fled")) {
+      return endCombat(game, "enemies_fled", "Combat ended. The remaining enemies fled.");
+    }
+    return endCombat(game, "victory", "Combat ended. All enemies are down.");
+  }
+
+  function withdrawCombatant(game, ref, reason) {
+    const combat = game.combat;
+    const list = ref.kind === "enemy" ? combat.enemies : combat.allies;
+    list.splice(list.indexOf(ref.combatant), 1);
+    combat.withdrawn.push({
+      id: ref.combatant.id,
+      name: ref.combatant.name,
+      kind: ref.kind,
+      reason,
+      round: combat.round,
+    });
+  }
+
+  function resolveMoraleChecks(game, before) {
+    const combat = game.combat;
+    if (!combat) return [];
+    const lossRatio = getEnemyLossRatio(combat);
+    const events = [];
+    combat.enemies
+      .filter((enemy) => isCombatantAlive(enemy))
+      .forEach((enemy) => {
+        const cause = checkMoraleBreak(enemy, {
+          hpBefore: before.hp.get(enemy.id) ?? enemy.hp,
+          lossRatioBefore: before.lossRatio,
+          lossRatio,
+        });
+        if (!cause) return;
+        const trapped = refreshGrapple(combat, enemy) || getEffectiveSpeed(enemy) === 0;
+        const surrenders = enemy.onBreak === "surrender" || trapped;
+        withdrawCombatant(
+          game,
+          { kind: "enemy", combatant: enemy },
+          surrenders ? "surrendered" : "fled"
+        );
+        const causeText = cause === "wounds" ? "at its wounds" : "as its allies fall";
+        events.push(
+          `${enemy.name}'s nerve breaks ${causeText} and it ` +
+            `${surrenders ? "surrenders" : "flees the fight"}.`
+        );
+      });
+    return events;
+  }
+
+  function tickConditionDamage(game, combatant, phase) {
+    return getConditionDamageTicks(combatant, phase).map((tick) => {
+      const resolution = rollCombatAmount(game, {
+        formula: tick.formula,
+        actorId: combatant.id,
+        source: "condition",
+        reason: `${tick.damageLabel} damage to ${combatant.name}`,
+      });
+      const dealt = applyDamage(combatant, resolution.amount, tick.damageLabel);
+      const sourceId = combatant.conditions.find((entry) => entry.id === tick.id)?.sourceId;
+      const source = getCombatantRef(game.combat, sourceId)?.combatant ?? null;
+      tallyDamage(game.combat, source, combatant, dealt);
+      return (
+        `${combatant.name} takes ${dealt} ${tick.damageLabel} damage.` +
+        (resolution.roll
+          ? ` [${formatRollBreakdown(resolution.roll)} = ${resolution.roll.total}]`
+          : "") +
+        describeDamageAffinity(combatant, tick.damageLabel, resolution.amount)
+      );
+    });
+  }
+
+  function startCombatantTurn(game, combatant) {
+    combatant.actionUsed = false;
+    combatant.reactionUsed = false;
+    combatant.defending = false;
+    combatant.dodging = false;
+    combatant.exposed = false;
+    const grappled = refreshGrapple(game.combat, combatant);
+    combatant.movementRemaining =
+      grappled || combatant.offBalance ? 0 : getEffectiveSpeed(combatant);
+    combatant.offBalance = false;
+    return tickConditionDamage(game, combatant, "start");
+  }
+
+  function endCombatantTurn(game, combatant) {
+    const events = tickConditionDamage(game, combatant, "end");
+    expireConditions(combatant).forEach((condition) => {
+      events.push(`${combatant.name} is no longer ${condition.label.toLowerCase()}.`);
+    });
+    return events;
   }
 
   function advanceCombatTurn(game) {
@@ -419,93 +1571,197 @@ export function createCombatSystem({ addLog }) {
       return { ok: false, message: "Initiative order is missing." };
     }
     const combat = game.combat;
-    const currentIndex = Math.max(
+    const events = [];
+    const endIfDown = (combatant) => {
+      if (isCombatantAlive(combatant)) return null;
+      events.push(`${combatant.name} goes down.`);
+      if (!isCombatDecided(combat)) return null;
+      events.forEach((entry) => addLog(game, entry, "combat"));
+      const outcome = resolveCombatOutcome(game);
+      const rewardText = describeCombatRewards(game.lastCombatOutcome?.rewards);
+      return {
+        ok: true,
+        outcome,
+        events: [...events, `${COMBAT_OUTCOME_SUMMARIES[outcome]}${rewardText}`],
+      };
+    };
+    const endingActor = getCombatantRef(combat, combat.currentTurnId)?.combatant;
+    if (isCombatantAlive(endingActor)) {
+      events.push(...endCombatantTurn(game, endingActor));
+      const ended = endIfDown(endingActor);
+      if (ended) return ended;
+    }
+    let index = Math.max(
       0,
       combat.initiative.findIndex((entry) => entry.id === combat.currentTurnId)
     );
-    let wrapped = false;
-    for (let offset = 1; offset <= combat.initiative.length; offset += 1) {
-      const nextIndex = (currentIndex + offset) % combat.initiative.length;
-      if (nextIndex <= currentIndex) wrapped = true;
-      const candidateEntry = combat.initiative[nextIndex];
-      const candidateRef = getCombatantRef(combat, candidateEntry.id);
-      if (!candidateRef || !isCombatantAlive(candidateRef.combatant)) continue;
-      combat.currentTurnId = candidateEntry.id;
-      if (wrapped) {
+    for (let step = 0; step < combat.initiative.length * 2; step += 1) {
+      index = (index + 1) % combat.initiative.length;
+      if (index === 0) {
         combat.round = clamp(Number(combat.round ?? 1) + 1, 1, 999);
       }
-      candidateRef.combatant.actionUsed = false;
-      candidateRef.combatant.defending = false;
-      candidateRef.combatant.dodging = false;
-      candidateRef.combatant.movementRemaining = getCombatantSpeed(candidateRef.combatant);
+      const candidateEntry = combat.initiative[index];
+      const candidate = getCombatantRef(combat, candidateEntry.id)?.combatant;
+      if (!isCombatantAlive(candidate)) continue;
+      combat.currentTurnId = candidateEntry.id;
+      events.push(...startCombatantTurn(game, candidate));
+      if (!isCombatantAlive(candidate)) {
+        const ended = endIfDown(candidate);
+        if (ended) return ended;
+        continue;
+      }
+      const skipCondition = getSkipCondition(candidate);
+      if (skipCondition) {
+        events.push(
+          `${candidate.name} is ${skipCondition.label.toLowerCase()} and loses the turn.`
+        );
+        events.push(...endCombatantTurn(game, candidate));
+        const ended = endIfDown(candidate);
+        if (ended) return ended;
+        continue;
+      }
+      events.forEach((entry) => addLog(game, entry, "combat"));
       syncCombatState(game);
-      return { ok: true, actorName: candidateRef.combatant.name };
+      return { ok: true, actorName: candidate.name, events };
     }
-    return { ok: false, message: "No living combatants are available in initiative." };
+    events.forEach((entry) => addLog(game, entry, "combat"));
+    return {
+      ok: false,
+      message: "No living combatants are available in initiative.",
+      events,
+    };
+  }
+
+  function formatTurnEvents(advance) {
+    return advance.events?.length > 0 ? ` ${advance.events.join(" ")}` : "";
   }
 
-  function resolveEnemyTurnOnce(game) {
+  function resolveAutoTurnOnce(game) {
     if (!game?.combat) {
       return { ok: false, message: "Combat is not active." };
     }
     syncCombatState(game);
     const combat = game.combat;
     const actorRef = getCombatantRef(combat, combat.currentTurnId);
-    if (!actorRef || actorRef.kind !== "enemy") {
-      return { ok: false, message: "Current turn is not an enemy turn." };
+    if (!actorRef || isPlayerControlled(actorRef)) {
+      return { ok: false, message: "Current turn is not an automated turn." };
     }
-    const enemy = actorRef.combatant;
-    const pc = combat.pc;
-    ensureCombatTurnState(enemy);
+    const npc = actorRef.combatant;
+    ensureCombatTurnState(npc);
     const events = [];
 
-    if (!isCombatantAlive(enemy)) {
+    if (!isCombatantAlive(npc)) {
       const advanceDown = advanceCombatTurn(game);
       if (!advanceDown.ok) return { ok: false, message: advanceDown.message };
       return {
         ok: true,
-        summary: `${enemy.name} is down and cannot act.`,
+        summary: `${npc.name} is down and cannot act.${formatTurnEvents(advanceDown)}`,
       };
     }
-    if (!isCombatantAlive(pc)) {
-      return { ok: true, summary: "Player is already down." };
+    const target = chooseNearestOpponent(combat, actorRef);
+    if (!target) {
+      return { ok: true, summary: `${npc.name} has no one left to fight.` };
     }
+    const moraleBefore = snapshotMorale(combat);
 
-    const weapon = getWeaponFromCombatant(enemy, null);
-    if (!weapon) {
-      enemy.actionUsed = true;
-      enemy.defending = true;
-      events.push(`${enemy.name} takes a defensive stance.`);
-    } else {
-      const attackRange = getWeaponRange(weapon);
-      const moved = moveCombatantToward(enemy, pc, attackRange);
-      if (moved > 0) {
-        events.push(`${enemy.name} moves ${moved} to close distance.`);
+    let weapon = getWeaponFromCombatant(npc, null);
+    const reload =
+      weapon?.magazine && weapon.loaded === 0 ? reloadWeapon(game, npc, weapon) : null;
+    if (reload?.ok) events.push(reload.message);
+    const readyWeapons = npc.weapons.filter((entry) => !getWeaponProblem(game, npc, entry));
+    const equippedReady = readyWeapons.some((entry) => entry.id === weapon?.id);
+    if (weapon && readyWeapons.length > 0 && !equippedReady) {
+      npc.equippedWeaponId = readyWeapons[0].id;
+      weapon = getWeaponFromCombatant(npc, null);
+      events.push(`${npc.name} switches to ${weapon.name}.`);
+    }
+    if (!weapon || readyWeapons.length === 0) {
+      npc.actionUsed = true;
+      npc.defending = true;
+      events.push(`${npc.name} takes a defensive stance.`);
+    } else if (!reload?.usedAction) {
+      const plan = planNpcTurn({
+        actor: npc,
+        target,
+        weapons: readyWeapons.map((entry) => ({ ...entry, range: getWeaponRange(entry) })),
+        skills: getAffordableSkills(npc).filter((skill) => !skill.reaction),
+        allies: getTeammates(combat, actorRef.kind).filter((combatant) =>
+          isCombatantAlive(combatant)
+        ),
+        profile: chooseTacticProfile(npc),
+      });
+      npc.lastTactic = {
+        profile: plan.profile,
+        decision: plan.decision,
+        rationale: plan.rationale,
+      };
+      events.push(plan.rationale);
+
+      let selectedWeapon = weapon;
+      if (plan.decision === "attack" && plan.weaponId && plan.weaponId !== weapon.id) {
+        npc.equippedWeaponId = plan.weaponId;
+        selectedWeapon = getWeaponFromCombatant(npc, null) ?? weapon;
+        events.push(`${npc.name} switches to ${selectedWeapon.name}.`);
       }
 
-      const distance = distanceBetweenCombatants(enemy, pc);
-      if (distance <= attackRange) {
-        const damageResolution = resolveCombatAmount({
-          explicitAmount: undefined,
-          formula: weapon.damageFormula,
-          fallback: 0,
-        });
-        enemy.actionUsed = true;
-        const dealt = applyDamage(pc, damageResolution.amount);
-        let attackMessage =
-          dealt > 0
-            ? `${enemy.name} attacks ${pc.name} with ${weapon.name} for ${dealt} damage.`
-            : `${enemy.name} attacks ${pc.name} with ${weapon.name}.`;
-        if (damageResolution.source === "rolled" && damageResolution.roll) {
-          attackMessage += ` [${damageResolution.roll.formula}=${damageResolution.roll.total}]`;
+      const origin = getPositionSnapshot(npc);
+      if (plan.movement.mode === "toward") {
+        const moved = moveCombatantToward(npc, target, plan.movement.distance, combat);
+        if (moved > 0) {
+          events.push(`${npc.name} moves ${moved} to close distance.`);
         }
-        events.push(attackMessage);
+      } else if (plan.movement.mode === "away") {
+        const moved = moveCombatantAway(npc, target, plan.movement.distance, combat);
+        if (moved > 0) {
+          events.push(`${npc.name} moves ${moved} to open distance.`);
+        }
+      }
+      events.push(...resolveOpportunityAttacks(game, npc, origin));
+
+      const skill = plan.decision === "skill" ? getUsableSkill(npc, plan.skillId) : null;
+      const skillTarget = skill ? getCombatantRef(combat, plan.skillTargetId)?.combatant : null;
+      const canReach = skill
+        ? Boolean(skillTarget) && distanceBetweenCombatants(npc, skillTarget) <= getSkillReach(skill)
+        : distanceBetweenCombatants(npc, target) <= getWeaponRange(selectedWeapon);
+      const decision =
+        (plan.decision === "attack" || plan.decision === "skill") && !canReach
+          ? "dodge"
+          : plan.decision;
+      npc.actionUsed = true;
+      const reactions = [];
+      if (!isCombatantAlive(npc)) {
+        events.push(`${npc.name} goes down.`);
+      } else if (decision === "skill") {
+        events.push(
+          resolveSkillUse(game, {
+            actor: npc,
+            targets: getSkillTargets(combat, actorRef, skill, [skillTarget]),
+            skill,
+            source: actorRef.kind === "enemy" ? "enemy_turn" : "skill",
+            reactions,
+          })
+        );
+      } else if (decision === "attack") {
+        events.push(
+          resolveWeaponAttack(game, {
+            attacker: npc,
+            target,
+            weapon: selectedWeapon,
+            source: actorRef.kind === "enemy" ? "enemy_turn" : "attack",
+            reactions,
+          })
+        );
+      } else if (decision === "defend") {
+        npc.defending = true;
+      } else if (decision === "retreat") {
+        npc.dodging = true;
       } else {
-        enemy.actionUsed = true;
-        enemy.dodging = true;
-        events.push(`${enemy.name} cannot reach attack range and takes evasive movement.`);
+        npc.dodging = true;
+        events.push(`${npc.name} cannot reach attack range and takes evasive movement.`);
       }
+      events.push(...reactions);
     }
+    events.push(...resolveMoraleChecks(game, moraleBefore));
 
     events.forEach((entry) => addLog(game, entry, "combat"));
     syncCombatState(game);
@@ -520,24 +1776,28 @@ export function createCombatSystem({ addLog }) {
     }
     return {
       ok: true,
-      summary: events.join(" "),
+      summary: `${events.join(" ")}${formatTurnEvents(advance)}`,
     };
   }
 
-  function resolveEnemyTurnsUntilPlayerTurn(game, maxTurns = 20) {
+  function resolveAutoTurnsUntilPlayerTurn(game, maxTurns = 20) {
     const summaries = [];
     for (let turns = 0; turns < maxTurns; turns += 1) {
       if (!game?.combat) break;
       syncCombatState(game);
       const currentRef = getCombatantRef(game.combat, game.combat.currentTurnId);
-      if (!currentRef || currentRef.kind !== "enemy") break;
+      if (!currentRef || isPlayerControlled(currentRef)) break;
 
-      const resolved = resolveEnemyTurnOnce(game);
+      const resolved = resolveAutoTurnOnce(game);
       if (!resolved.ok) {
         return { ok: false, message: resolved.message, summaries };
       }
       if (resolved.summary) summaries.push(resolved.summary);
       if (!game.combat) break;
+      const opponentsAlive = getOpponents(game.combat, currentRef.kind).some((combatant) =>
+        isCombatantAlive(combatant)
+      );
+      if (!opponentsAlive) break;
     }
     return { ok: true, summaries };
   }
@@ -547,19 +1807,22 @@ export function createCombatSystem({ addLog }) {
     if (!advance.ok) {
       return { ok: false, message: advance.message };
     }
-    let summary = `Turn ends. It is now ${advance.actorName}'s turn.`;
-    addLog(game, summary, "combat");
+    if (advance.outcome) {
+      return { ok: true, summary: `Turn ends.${formatTurnEvents(advance)}` };
+    }
+    let summary = `Turn ends.${formatTurnEvents(advance)} It is now ${advance.actorName}'s turn.`;
+    addLog(game, `Turn ends. It is now ${advance.actorName}'s turn.`, "combat");
 
     const nextActorRef = game.combat
       ? getCombatantRef(game.combat, game.combat.currentTurnId)
       : null;
-    if (nextActorRef?.kind === "enemy") {
-      const enemyResolution = resolveEnemyTurnsUntilPlayerTurn(game);
-      if (!enemyResolution.ok) {
-        return { ok: false, message: enemyResolution.message };
+    if (nextActorRef && !isPlayerControlled(nextActorRef)) {
+      const autoResolution = resolveAutoTurnsUntilPlayerTurn(game);
+      if (!autoResolution.ok) {
+        return { ok: false, message: autoResolution.message };
       }
-      if (enemyResolution.summaries.length > 0) {
-        summary += ` Enemy turns resolved: ${enemyResolution.summaries.join(" ")}`;
+      if (autoResolution.summaries.length > 0) {
+        summary += ` Automated turns resolved: ${autoResolution.summaries.join(" ")}`;
       }
       if (game.combat) {
         const actorAfterEnemyTurns = getCombatantRef(
@@ -597,9 +1860,7 @@ export function createCombatSystem({ addLog }) {
       );
     }
     if (combatUpdate.active === false) {
-      game.combat = null;
-      game.phase = "exploration";
-      addLog(game, "Combat ended.", "combat");
+      endCombat(game, "ended", "Combat ended.");
       return;
     }
 
@@ -625,12 +1886,12 @@ export function createCombatSystem({ addLog }) {
             const existingEnemy = existingEnemies.find((entry) =>
               enemy?.id ? entry.id === enemy.id : entry.name === enemy?.name
             );
-            return buildEnemyCombatant(enemy, existingEnemy, index);
+            return buildNpcCombatant(enemy, existingEnemy, index);
           })
           .filter(Boolean);
       } else if (hasSingleEnemyFields) {
         enemies = [
-          buildEnemyCombatant(
+          buildNpcCombatant(
             {
               id: `enemy_${crypto.randomUUID()}`,
               name: combatUpdate.enemyName ?? "Unknown threat",
@@ -644,7 +1905,7 @@ export function createCombatSystem({ addLog }) {
         ].filter(Boolean);
       } else if (enemies.length === 0) {
         enemies = [
-          buildEnemyCombatant(
+          buildNpcCombatant(
             {
               id: `enemy_${crypto.randomUUID()}`,
               name: "Unknown threat",
@@ -657,8 +1918,32 @@ export function createCombatSystem({ addLog }) {
         ].filter(Boolean);
       }
 
+      const existingAllies = Array.isArray(existingCombat.allies) ? existingCombat.allies : [];
+      const allies = Array.isArray(combatUpdate.allies)
+        ? combatUpdate.allies
+            .map((ally, index) => {
+              const existingAlly = existingAllies.find((entry) =>
+                ally?.id ? entry.id === ally.id : entry.name === ally?.name
+              );
+              return buildNpcCombatant(ally, existingAlly, index, "ally");
+            })
+            .filter(Boolean)
+        : [...existingAllies];
+
       const pcPatch = combatUpdate.pc ?? {};
-      const pc = buildPcCombatant(game, existingCombat.pc ?? {}, pcPatch);
+      const pc = buildPcCombatant(
+        getCharacter(game, getPrimaryCharacterId(game)),
+        existingCombat.pc ?? {},
+        pcPatch
+      );
+      (Array.isArray(game.party) ? game.party : []).forEach((character) => {
+        if (allies.some((ally) => ally.characterId === character.id)) return;
+        const existingMember = existingAllies.find((ally) => ally.characterId === character.id);
+        allies.push(
+          buildPartyMemberCombatant(character, existingMember ?? { position: pc.position })
+        );
+      });
+      const npcs = [...allies, ...enemies];
 
       const hasExplicitInitiative = Array.isArray(combatUpdate.initiative);
       let initiative = Array.isArray(existingCombat.initiative)
@@ -672,16 +1957,15 @@ export function createCombatSystem({ addLog }) {
               entry.id ??
               (entry.kind === "pc"
                 ? pc.id
-                : enemies.find((enemy) => enemy.name === entry.name)?.id) ??
+                : npcs.find((npc) => npc.name === entry.name)?.id) ??
               null;
             if (!resolvedId) return null;
             const isPc = resolvedId === pc.id;
+            const npc = npcs.find((candidate) => candidate.id === resolvedId);
             return {
               id: resolvedId,
-              name: isPc
-                ? pc.name
-                : enemies.find((enemy) => enemy.id === resolvedId)?.name ?? entry.name ?? "Enemy",
-              kind: isPc ? "pc" : "enemy",
+              name: isPc ? pc.name : npc?.name ?? entry.name ?? "Enemy",
+              kind: isPc ? "pc" : allies.includes(npc) ? "ally" : "enemy",
               initiative: normalizeInitiativeScore(entry.initiative),
             };
           })
@@ -697,17 +1981,17 @@ export function createCombatSystem({ addLog }) {
           kind: "pc",
         });
       }
-      enemies.forEach((enemy) => {
-        const hasEnemyEntry = initiative.some((entry) => entry.id === enemy.id);
-        if (!hasEnemyEntry) {
+      npcs.forEach((npc) => {
+        const hasNpcEntry = initiative.some((entry) => entry.id === npc.id);
+        if (!hasNpcEntry) {
           initiative.push({
-            id: enemy.id,
-            name: enemy.name,
-            kind: "enemy",
+            id: npc.id,
+            name: npc.name,
+            kind: allies.includes(npc) ? "ally" : "enemy",
           });
         }
       });
-      initiative = applyInitiativeScores(initiative).sort(
+      initiative = rollInitiative(game, initiative).sort(
         (a, b) => Number(b.initiative ?? 0) - Number(a.initiative ?? 0)
       );
 
@@ -723,28 +2007,37 @@ export function createCombatSystem({ addLog }) {
       }
 
       game.combat = {
+        encounter: existingCombat.encounter ?? startEncounter(game),
         round: Number(combatUpdate.round ?? existingCombat.round ?? 1),
         currentTurnId,
         pc,
+        allies,
         enemies,
         initiative,
+        fumbleEffect: combatUpdate.fumbleEffect ?? existingCombat.fumbleEffect,
+        grid: combatUpdate.grid !== undefined ? combatUpdate.grid : existingCombat.grid,
+        withdrawn: existingCombat.withdrawn ?? [],
       };
       game.phase = "combat";
       syncCombatState(game);
-      if (
-        game.combat &&
-        getCombatantRef(game.combat, game.combat.currentTurnId)?.kind === "enemy"
-      ) {
-        const enemyResolution = resolveEnemyTurnsUntilPlayerTurn(game);
-        if (!enemyResolution.ok) {
-          addLog(game, `Enemy turn resolution failed: ${enemyResolution.message}`, "system");
+      const currentRef = game.combat
+        ? getCombatantRef(game.combat, game.combat.currentTurnId)
+        : null;
+      if (currentRef && !isPlayerControlled(currentRef)) {
+        const autoResolution = resolveAutoTurnsUntilPlayerTurn(game);
+        if (!autoResolution.ok) {
+          addLog(game, `Automated turn resolution failed: ${autoResolution.message}`, "system");
         }
         syncCombatState(game);
       }
 
       if (!wasInCombat) {
         const enemyNames = enemies.map((enemy) => enemy.name).join(", ");
-        addLog(game, `Combat begins with ${enemyNames}.`, "combat");
+        const allyText =
+          allies.length > 0
+            ? ` Fighting alongside: ${allies.map((ally) => ally.name).join(", ")}.`
+            : "";
+        addLog(game, `Combat begins with ${enemyNames}.${allyText}`, "combat");
       }
     }
   }
@@ -756,26 +2049,26 @@ export function createCombatSystem({ addLog }) {
     syncCombatState(game);
     if (
       game.combat &&
-      getCombatantRef(game.combat, game.combat.currentTurnId)?.kind === "enemy"
+      !isPlayerControlled(getCombatantRef(game.combat, game.combat.currentTurnId))
     ) {
-      const enemyResolution = resolveEnemyTurnsUntilPlayerTurn(game);
-      if (!enemyResolution.ok) {
-        return { ok: false, message: enemyResolution.message };
+      const autoResolution = resolveAutoTurnsUntilPlayerTurn(game);
+      if (!autoResolution.ok) {
+        return { ok: false, message: autoResolution.message };
       }
       syncCombatState(game);
       if (!game.combat) {
         return {
           ok: true,
           message:
-            enemyResolution.summaries.length > 0
-              ? `Enemy turns resolved: ${enemyResolution.summaries.join(" ")}`
-              : "Enemy turns resolved.",
+            autoResolution.summaries.length > 0
+              ? `Automated turns resolved: ${autoResolution.summaries.join(" ")}`
+              : "Automated turns resolved.",
         };
       }
     }
 
     let combat = game.combat;
-    let actorId = actionArgs.actorId ?? combat.currentTurnId;
+    let actorId = actionArgs.actorId ?? actionArgs.characterId ?? combat.currentTurnId;
     const actionType = actionArgs.action;
     let actorRef = getCombatantRef(combat, actorId);
     if (!actorRef) {
@@ -791,7 +2084,7 @@ export function createCombatSystem({ addLog }) {
       return { ok: false, message: `${actor.name} is down and cannot act.` };
     }
     if (
-      actorRef.kind === "pc" &&
+      isPlayerControlled(actorRef) &&
       COMBAT_ACTIONS_REQUIRING_ACTION.has(actionType) &&
       actionType !== "end_turn" &&
       actor.actionUsed
@@ -807,7 +2100,7 @@ export function createCombatSystem({ addLog }) {
       combat = game.combat;
       actorId = combat.currentTurnId;
       actorRef = getCombatantRef(combat, actorId);
-      if (!actorRef || actorRef.kind !== "pc") {
+      if (!isPlayerControlled(actorRef)) {
         return { ok: false, message: "Player turn is not ready yet. Try again." };
       }
     }
@@ -832,6 +2125,7 @@ export function createCombatSystem({ addLog }) {
       return { targetRef };
     };
 
+    const moraleBefore = snapshotMorale(combat);
     let message = "";
     let usedAction = false;
 
@@ -839,26 +2133,45 @@ export function createCombatSystem({ addLog }) {
       if (actionArgs.moveBy === undefined && actionArgs.moveTo === undefined) {
         return { ok: false, message: "Move requires moveBy or moveTo." };
       }
-      const current = Number(actor.position ?? 0);
-      const nextPosition =
-        actionArgs.moveTo !== undefined
-          ? clamp(Number(actionArgs.moveTo), 0, 100)
-          : clamp(current + Number(actionArgs.moveBy), 0, 100);
-      const distance = Math.abs(nextPosition - current);
-      if (distance > Number(actor.movementRemaining ?? 0)) {
+      if (refreshGrapple(combat, refreshedActor)) {
+        const grappler = getCombatantRef(combat, refreshedActor.grappledBy).combatant;
         return {
           ok: false,
-          message: `${actor.name} only has ${actor.movementRemaining} movement remaining this turn.`,
+          message: `${refreshedActor.name} is grappled by ${grappler.name} and cannot move.`,
         };
       }
-      refreshedActor.position = nextPosition;
-      refreshedActor.movementRemaining = clamp(
-        refreshedActor.movementRemaining - distance,
-        0,
-        refreshedActor.speed
+      const origin = getPositionSnapshot(refreshedActor);
+      if (combat.grid) {
+        const gridMove = moveCombatantToCell(combat, refreshedActor, actionArgs.moveTo);
+        if (!gridMove.ok) return gridMove;
+      } else {
+        if (typeof actionArgs.moveTo === "object") {
+          return { ok: false, message: "moveTo coordinates require a battle grid." };
+        }
+        const current = Number(actor.position ?? 0);
+        const nextPosition =
+          actionArgs.moveTo !== undefined
+            ? clamp(Number(actionArgs.moveTo), 0, 100)
+            : clamp(current + Number(actionArgs.moveBy), 0, 100);
+        const distance = Math.abs(nextPosition - current);
+        if (distance > Number(actor.movementRemaining ?? 0)) {
+          return {
+            ok: false,
+            message: `${actor.name} only has ${actor.movementRemaining} movement remaining this turn.`,
+          };
+        }
+        refreshedActor.position = nextPosition;
+        refreshedActor.movementRemaining = clamp(
+          refreshedActor.movementRemaining - distance,
+          0,
+          getEffectiveSpeed(refreshedActor)
+        );
+      }
+      message = logWithReactions(
+        game,
+        `${refreshedActor.name} moves to ${formatPosition(refreshedActor)}.`,
+        resolveOpportunityAttacks(game, refreshedActor, origin)
       );
-      message = `${refreshedActor.name} moves to position ${refreshedActor.position}.`;
-      addLog(game, message, "combat");
     } else if (actionType === "attack") {
       if (!actionArgs.targetId) {
         return { ok: false, message: "Attack requires a targetId." };
@@ -888,33 +2201,48 @@ export function createCombatSystem({ addLog }) {
             `${refreshedActor.name} needs range ${attackRange} but distance is ${distance}.`,
         };
       }
-      const damageResolution = resolveCombatAmount({
-        explicitAmount: actionArgs.damage,
-        formula: weapon.damageFormula,
-        fallback: 0,
-      });
+      const weaponProblem = getWeaponProblem(game, refreshedActor, weapon);
+      if (weaponProblem) {
+        return { ok: false, message: weaponProblem };
+      }
       refreshedActor.actionUsed = true;
       usedAction = true;
-      const dealt = applyDamage(targetRef.combatant, damageResolution.amount);
-      message =
-        dealt > 0
-          ? `${refreshedActor.name} attacks ${targetRef.combatant.name} with ${weapon.name} for ${dealt} damage.`
-          : `${refreshedActor.name} attacks ${targetRef.combatant.name} with ${weapon.name}.`;
-      if (damageResolution.source === "rolled" && damageResolution.roll) {
-        message += ` [${damageResolution.roll.formula}=${damageResolution.roll.total}]`;
+      const reactions = [];
+      message = logWithReactions(
+        game,
+        resolveWeaponAttack(game, {
+          attacker: refreshedActor,
+          target: targetRef.combatant,
+          weapon,
+          rollMode: actionArgs.rollMode,
+          explicitDamage: actionArgs.damage,
+          reactions,
+        }),
+        reactions
+      );
+    } else if (actionType === "reload") {
+      const weapon = getWeaponFromCombatant(refreshedActor, actionArgs.weaponId);
+      if (!weapon) {
+        return { ok: false, message: `${refreshedActor.name} must equip a weapon to reload it.` };
       }
+      const reload = reloadWeapon(game, refreshedActor, weapon);
+      if (!reload.ok) return reload;
+      usedAction = reload.usedAction;
+      message = reload.message;
       addLog(game, message, "combat");
     } else if (actionType === "defend") {
       refreshedActor.actionUsed = true;
       refreshedActor.defending = true;
       usedAction = true;
-      message = `${refreshedActor.name} takes a defensive stance.`;
+      message =
+        `${refreshedActor.name} takes a defensive stance; incoming damage is halved until their next turn.`;
       addLog(game, message, "combat");
     } else if (actionType === "dodge") {
       refreshedActor.actionUsed = true;
       refreshedActor.dodging = true;
       usedAction = true;
-      message = `${refreshedActor.name} focuses on dodging.`;
+      message =
+        `${refreshedActor.name} focuses on dodging; attacks against them have disadvantage until their next turn.`;
       addLog(game, message, "combat");
     } else if (actionType === "use_skill") {
       if (!actionArgs.skillId) {
@@ -927,25 +2255,65 @@ export function createCombatSystem({ addLog }) {
           message: `${refreshedActor.name} does not have that unlocked skill.`,
         };
       }
+      if (skill.reaction) {
+        return {
+          ok: false,
+          message: `${skill.name} is a reaction and triggers on its own.`,
+        };
+      }
       if (refreshedActor.mp < skill.mpCost) {
         return {
           ok: false,
           message: `${refreshedActor.name} does not have enough MP for ${skill.name}.`,
         };
       }
+      if (
+        (actionArgs.damage !== undefined || actionArgs.heal !== undefined) &&
+        !actionArgs.gmOverride
+      ) {
+        return {
+          ok: false,
+          message:
+            `${skill.name} rolls its own effects. ` +
+            "Only pass damage or heal with gmOverride: true when the GM must force a result.",
+        };
+      }
 
-      let skillTargetRef = null;
-      if (skill.target === "self") {
-        skillTargetRef = actorRef;
-      } else {
-        if (!actionArgs.targetId) {
-          return { ok: false, message: `${skill.name} requires a targetId.` };
-        }
-        const targetResult = resolveTarget(actionArgs.targetId);
+      const centeredOnUser = skill.target === "self" || skill.area?.shape === "aura";
+      const requestedTargetIds = centeredOnUser
+        ? []
+        : [
+            ...new Set(
+              actionArgs.targetIds?.length > 0
+                ? actionArgs.targetIds
+                : [actionArgs.targetId].filter(Boolean)
+            ),
+          ];
+      if (!centeredOnUser && requestedTargetIds.length === 0) {
+        return { ok: false, message: `${skill.name} requires a targetId.` };
+      }
+      if (skill.area && requestedTargetIds.length > 1) {
+        return {
+          ok: false,
+          message: `${skill.name} is centered on one target. Pass a single targetId.`,
+        };
+      }
+      if (requestedTargetIds.length > skill.maxTargets) {
+        return {
+          ok: false,
+          message: `${skill.name} can target at most ${skill.maxTargets} combatant${
+            skill.maxTargets === 1 ? "" : "s"
+          }.`,
+        };
+      }
+
+      const primaryTargets = centeredOnUser ? [refreshedActor] : [];
+      for (const targetId of requestedTargetIds) {
+        const targetResult = resolveTarget(targetId);
         if (targetResult.error) {
           return { ok: false, message: targetResult.error };
         }
-        skillTargetRef = targetResult.targetRef;
+        const skillTargetRef = targetResult.targetRef;
         const distance = distanceBetweenCombatants(refreshedActor, skillTargetRef.combatant);
         const skillRange = clamp(Number(skill.range ?? DEFAULT_MELEE_RANGE), 0, MAX_RANGE);
         if (distance > skillRange) {
@@ -956,32 +2324,263 @@ export function createCombatSystem({ addLog }) {
               `${skill.name} has range ${skillRange}, distance is ${distance}.`,
           };
         }
-        if (skill.target === "enemy" && skillTargetRef.kind === actorRef.kind) {
+        const sameSide = getCombatSide(skillTargetRef.kind) === getCombatSide(actorRef.kind);
+        if (skill.target === "enemy" && sameSide) {
           return { ok: false, message: `${skill.name} can only target enemies.` };
         }
-        if (skill.target === "ally" && skillTargetRef.kind !== actorRef.kind) {
+        if (skill.target === "ally" && !sameSide) {
           return { ok: false, message: `${skill.name} can only target allies.` };
         }
+        primaryTargets.push(skillTargetRef.combatant);
+      }
+      const skillTargets = getSkillTargets(combat, actorRef, skill, primaryTargets);
+      if (skillTargets.length === 0) {
+        return { ok: false, message: `${skill.name} would not affect anyone there.` };
       }
 
-      refreshedActor.mp = clamp(refreshedActor.mp - skill.mpCost, 0, refreshedActor.mpMax);
       refreshedActor.actionUsed = true;
       usedAction = true;
-      const dealt = applyDamage(skillTargetRef.combatant, actionArgs.damage ?? 0);
-      const healed = applyHealing(skillTargetRef.combatant, actionArgs.heal ?? 0);
-      message = `${refreshedActor.name} uses ${skill.name}${
-        skillTargetRef.combatant.id !== refreshedActor.id
-          ? ` on ${skillTargetRef.combatant.name}`
-          : ""
-      }.`;
-      if (dealt > 0) message += ` ${dealt} damage dealt.`;
-      if (healed > 0) message += ` ${healed} HP restored.`;
+      const reactions = [];
+      message = logWithReactions(
+        game,
+        resolveSkillUse(game, {
+          actor: refreshedActor,
+          targets: skillTargets,
+          skill,
+          rollMode: actionArgs.rollMode,
+          explicitDamage: actionArgs.damage,
+          explicitHeal: actionArgs.heal,
+          reactions,
+        }),
+        reactions
+      );
+    } else if (actionType === "force_save") {
+      const save = normalizeSave(actionArgs.save);
+      if (!actionArgs.targetId || !save) {
+        return { ok: false, message: "A saving throw requires a targetId and save.stat." };
+      }
+      const targetResult = resolveTarget(actionArgs.targetId);
+      if (targetResult.error) {
+        return { ok: false, message: targetResult.error };
+      }
+      const { targetRef } = targetResult;
+      if (targetRef.combatant.id === refreshedActor.id) {
+        return { ok: false, message: "A combatant cannot force a saving throw on itself." };
+      }
+      if (!isValidDiceFormula(actionArgs.damageFormula)) {
+        return { ok: false, message: INVALID_DICE_FORMULA_MESSAGE };
+      }
+      if (actionArgs.damage !== undefined && !actionArgs.gmOverride) {
+        return {
+          ok: false,
+          message:
+            "A saving throw rolls its damageFormula. " +
+            "Only pass damage with gmOverride: true when the GM must force a result.",
+        };
+      }
+      const saveResult = rollCombatSave(game, {
+        source: refreshedActor,
+        target: targetRef.combatant,
+        save,
+      });
+      refreshedActor.actionUsed = true;
+      usedAction = true;
+      const damageResolution = rollCombatAmount(game, {
+        explicitAmount: actionArgs.damage,
+        formula: actionArgs.damageFormula,
+        actorId: refreshedActor.id,
+        source: "save",
+        reason: `${refreshedActor.name} save damage to ${targetRef.combatant.name}`,
+      });
+      const saveDamage = applySaveOutcome(damageResolution.amount, saveResult, save);
+      const dealt = applyDamage(targetRef.combatant, saveDamage, actionArgs.damageType);
+      tallyDamage(combat, refreshedActor, targetRef.combatant, dealt);
+      message = `${refreshedActor.name} forces ${targetRef.combatant.name} to resist.`;
+      if (damageResolution.source === "explicit") message += " (GM override)";
+      message += ` ${describeSaveResult(targetRef.combatant, save, saveResult)}`;
+      if (dealt > 0) message += ` ${formatDamage(dealt, actionArgs.damageType)} dealt.`;
+      if (damageResolution.roll) {
+        message += ` [${formatRollBreakdown(damageResolution.roll)} = ${damageResolution.roll.total}]`;
+      }
+      message += describeDefense(targetRef.combatant, saveDamage);
+      message += describeDamageAffinity(targetRef.combatant, actionArgs.damageType, saveDamage);
+      addLog(game, message, "combat");
+    } else if (actionType === "contest") {
+      if (!actionArgs.targetId) {
+        return { ok: false, message: "A contest requires a targetId." };
+      }
+      const targetResult = resolveTarget(actionArgs.targetId);
+      if (targetResult.error) {
+        return { ok: false, message: targetResult.error };
+      }
+      const { targetRef } = targetResult;
+      const target = targetRef.combatant;
+      if (target.id === refreshedActor.id) {
+        return { ok: false, message: "A combatant cannot contest itself." };
+      }
+      const contestType = CONTEST_TYPES[actionArgs.contest?.type]
+        ? actionArgs.contest.type
+        : "custom";
+      const preset = CONTEST_TYPES[contestType];
+      const distance = distanceBetweenCombatants(refreshedActor, target);
+      if (preset.melee && distance > DEFAULT_MELEE_RANGE) {
+        return {
+          ok: false,
+          message:
+            `${target.name} is out of reach for a ${contestType}. ` +
+            `It needs range ${DEFAULT_MELEE_RANGE} but distance is ${distance}.`,
+        };
+      }
+      const actorStat = actionArgs.contest?.actorStat ?? preset.actorStat;
+      const targetStat = actionArgs.contest?.targetStat ?? getBestStat(target, preset.targetStats);
+      const contest = resolveContest({
+        actorBonus: getCombatantCheckBonus(refreshedActor, actorStat),
+        targetBonus: getCombatantCheckBonus(target, targetStat),
+        actorRollMode: actionArgs.rollMode,
+        rng: getRng(game),
+      });
+      recordRoll(game, contest.targetRoll, {
+        source: "contest",
+        actorId: target.id,
+        reason: `${target.name} resists ${refreshedActor.name}'s ${contestType}`,
+      });
+      recordRoll(game, contest.actorRoll, {
+        source: "contest",
+        actorId: refreshedActor.id,
+        reason: `${refreshedActor.name} ${contestType} contest against ${target.name}`,
+        contest: {
+          type: contestType,
+          targetId: target.id,
+          actorStat,
+          targetStat,
+          opposedTotal: contest.targetRoll.total,
+          winner: contest.winner,
+        },
+      });
+      refreshedActor.actionUsed = true;
+      usedAction = true;
+      message =
+        `${refreshedActor.name} contests ${target.name} (${contestType}): ` +
+        `${actorStat.toUpperCase()} ${contest.actorRoll.total} vs ` +
+        `${targetStat.toUpperCase()} ${contest.targetRoll.total}.`;
+      if (contest.winner === "actor") {
+        message += ` ${refreshedActor.name} wins.`;
+        if (contestType === "grapple") {
+          target.grappledBy = refreshedActor.id;
+          message += ` ${target.name} is grappled.`;
+        } else if (contestType === "shove") {
+          const pushed = pushCombatantAway(refreshedActor, target, SHOVE_DISTANCE, combat);
+          if (pushed > 0) message += ` ${target.name} is pushed to ${formatPosition(target)}.`;
+        }
+      } else {
+        message += ` ${target.name} holds.`;
+      }
       addLog(game, message, "combat");
+    } else if (actionType === "use_item") {
+      if (!actionArgs.itemId) {
+        return { ok: false, message: "Using an item requires itemId." };
+      }
+      const character = getCombatantCharacter(game, refreshedActor);
+      if (!character) {
+        return { ok: false, message: `${refreshedActor.name} has no inventory to use items from.` };
+      }
+      const { item, error } = findConsumableItem(character, actionArgs.itemId);
+      if (error) {
+        return { ok: false, message: error };
+      }
+      const itemSkill = getItemSkill(item);
+      let itemTarget = refreshedActor;
+      if (itemSkill.target !== "self" && (actionArgs.targetId || itemSkill.target === "enemy")) {
+        if (!actionArgs.targetId) {
+          return { ok: false, message: `${item.name} requires a targetId.` };
+        }
+        const targetResult = resolveTarget(actionArgs.targetId);
+        if (targetResult.error) {
+          return { ok: false, message: targetResult.error };
+        }
+        const sameSide =
+          getCombatSide(targetResult.targetRef.kind) === getCombatSide(actorRef.kind);
+        if (itemSkill.target === "enemy" && sameSide) {
+          return { ok: false, message: `${item.name} can only target enemies.` };
+        }
+        if (itemSkill.target === "ally" && !sameSide) {
+          return { ok: false, message: `${item.name} can only target allies.` };
+        }
+        itemTarget = targetResult.targetRef.combatant;
+      }
+      const distance = distanceBetweenCombatants(refreshedActor, itemTarget);
+      if (distance > itemSkill.range) {
+        return {
+          ok: false,
+          message:
+            `${itemTarget.name} is out of range. ` +
+            `${item.name} has range ${itemSkill.range}, distance is ${distance}.`,
+        };
+      }
+      refreshedActor.actionUsed = true;
+      usedAction = true;
+      const reactions = [];
+      message = logWithReactions(
+        game,
+        resolveSkillUse(game, {
+          actor: refreshedActor,
+          targets: [itemTarget],
+          skill: itemSkill,
+          rollMode: actionArgs.rollMode,
+          source: "item",
+          counterable: false,
+          reactions,
+        }),
+        reactions
+      );
+      consumeItem(character, item);
+    } else if (actionType === "flee") {
+      const pursuers = getOpponents(combat, actorRef.kind).filter((combatant) =>
+        isCombatantAlive(combatant)
+      );
+      const nearest = chooseNearestOpponent(combat, actorRef);
+      const gap = nearest
+        ? Math.max(0, distanceBetweenCombatants(refreshedActor, nearest) - DEFAULT_MELEE_RANGE)
+        : 0;
+      const fastest = Math.max(0, ...pursuers.map((combatant) => getEffectiveSpeed(combatant)));
+      const dc = clamp(
+        FLEE_BASE_DC + fastest - getEffectiveSpeed(refreshedActor) - gap,
+        1,
+        MAX_DIFFICULTY_CLASS
+      );
+      const escape = resolveSavingThrow({
+        bonus: getCombatantCheckBonus(refreshedActor, "agi"),
+        dc,
+        rollMode: actionArgs.rollMode,
+        rng: getRng(game),
+      });
+      recordRoll(game, escape.roll, {
+        source: "flee",
+        actorId: refreshedActor.id,
+        reason: `${refreshedActor.name} tries to flee`,
+      });
+      refreshedActor.actionUsed = true;
+      usedAction = true;
+      const checkText = `AGI ${escape.total} vs DC ${dc}.`;
+      if (!escape.success) {
+        message = `${refreshedActor.name} tries to flee but cannot break away. ${checkText}`;
+        addLog(game, message, "combat");
+      } else if (actorRef.kind === "pc") {
+        message = `${refreshedActor.name} breaks away and escapes. ${checkText}`;
+        addLog(game, message, "combat");
+        endCombat(game, "escaped", "Combat ended. The party escaped.");
+        return { ok: true, message: `${message} ${COMBAT_OUTCOME_SUMMARIES.escaped}` };
+      } else {
+        message = `${refreshedActor.name} breaks away and leaves the fight. ${checkText}`;
+        addLog(game, message, "combat");
+        withdrawCombatant(game, actorRef, "fled");
+      }
     } else if (actionType === "end_turn") {
       if (!refreshedActor.actionUsed) {
         return {
           ok: false,
-          message: "A turn cannot end before using one action (attack, defend, dodge, or skill).",
+          message:
+            "A turn cannot end before using one action (attack, defend, dodge, reload, skill, item, save, contest, or flee).",
         };
       }
       const transition = resolveTurnTransition(game);
@@ -993,7 +2592,11 @@ export function createCombatSystem({ addLog }) {
       return { ok: false, message: "Unsupported combat action." };
     }
 
-    if (usedAction && actorRef.kind === "pc") {
+    const moraleEvents = resolveMoraleChecks(game, moraleBefore);
+    moraleEvents.forEach((entry) => addLog(game, entry, "combat"));
+    message = [message, ...moraleEvents].join(" ");
+
+    if (usedAction && isPlayerControlled(actorRef)) {
       const transition = resolveTurnTransition(game);
       if (!transition.ok) {
         return { ok: false, message: transition.message };
@@ -1003,11 +2606,12 @@ export function createCombatSystem({ addLog }) {
 
     syncCombatState(game);
     const outcome = resolveCombatOutcome(game);
-    if (outcome === "victory") {
-      return { ok: true, message: `${message} Combat ends in victory.`.trim() };
-    }
-    if (outcome === "player_down") {
-      return { ok: true, message: `${message} Combat ends with the player down.`.trim() };
+    if (outcome) {
+      const rewardText = describeCombatRewards(game.lastCombatOutcome?.rewards);
+      return {
+        ok: true,
+        message: `${message} ${COMBAT_OUTCOME_SUMMARIES[outcome]}${rewardText}`.trim(),
+      };
     }
     return { ok: true, message };
   }
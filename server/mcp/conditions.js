@@ -0,0 +1,134 @@
+import { CONDITION_DEFINITIONS, MAX_CONDITION_DURATION, MAX_RANGE } from "./constants.js";
+import { clamp, combineRollModes } from "./core-utils.js";
+
+function getMaxStacks(definition) {
+  return definition.stacking === "stack" ? Number(definition.maxStacks ?? 1) : 1;
+}
+
+export function normalizeConditionApplication(raw) {
+  const definition = CONDITION_DEFINITIONS[raw?.id];
+  if (!definition) return null;
+  const duration = Number(raw.duration ?? definition.defaultDuration);
+  return {
+    id: raw.id,
+    duration: clamp(
+      Number.isFinite(duration) ? Math.trunc(duration) : definition.defaultDuration,
+      1,
+      MAX_CONDITION_DURATION
+    ),
+  };
+}
+
+export function normalizeConditions(raw) {
+  if (!Array.isArray(raw)) return [];
+  const byId = new Map();
+  raw.forEach((entry) => {
+    const definition = CONDITION_DEFINITIONS[entry?.id];
+    if (!definition) return;
+    const remaining = clamp(
+      Number(entry.remaining ?? entry.duration ?? definition.defaultDuration) || 0,
+      0,
+      MAX_CONDITION_DURATION
+    );
+    if (remaining <= 0) return;
+    byId.set(entry.id, {
+      id: entry.id,
+      label: definition.label,
+      remaining,
+      stacks: clamp(Number(entry.stacks ?? 1) || 1, 1, getMaxStacks(definition)),
+      sourceId: entry.sourceId ?? null,
+    });
+  });
+  return [...byId.values()];
+}
+
+export function applyCondition(combatant, application, sourceId = null) {
+  const definition = CONDITION_DEFINITIONS[application.id];
+  const conditions = normalizeConditions(combatant.conditions);
+  let condition = conditions.find((entry) => entry.id === application.id);
+  if (!condition) {
+    condition = {
+      id: application.id,
+      label: definition.label,
+      remaining: application.duration,
+      stacks: 1,
+      sourceId,
+    };
+    conditions.push(condition);
+  } else if (definition.stacking === "extend") {
+    condition.remaining = clamp(
+      condition.remaining + application.duration,
+      1,
+      MAX_CONDITION_DURATION
+    );
+  } else {
+    condition.remaining = Math.max(condition.remaining, application.duration);
+    condition.stacks = Math.min(condition.stacks + 1, getMaxStacks(definition));
+  }
+  combatant.conditions = conditions;
+  return condition;
+}
+
+export function removeCondition(combatant, conditionId) {
+  combatant.conditions = normalizeConditions(combatant.conditions).filter(
+    (entry) => entry.id !== conditionId
+  );
+}
+
+export function getConditionRollMode(combatant, role = "attacker") {
+  const key = role === "target" ? "attackedMode" : "attackMode";
+  return combineRollModes(
+    ...normalizeConditions(combatant?.conditions).map(
+      (entry) => CONDITION_DEFINITIONS[entry.id][key] ?? "normal"
+    )
+  );
+}
+
+export function getConditionSpeed(combatant, baseSpeed) {
+  const multiplier = normalizeConditions(combatant?.conditions).reduce(
+    (product, entry) => product * Number(CONDITION_DEFINITIONS[entry.id].speedMultiplier ?? 1),
+    1
+  );
+  return clamp(Math.floor(baseSpeed * multiplier), 0, MAX_RANGE);
+}
+
+export function getSkipCondition(combatant) {
+  return (
+    normalizeConditions(combatant?.conditions).find(
+      (entry) => CONDITION_DEFINITIONS[entry.id].skipTurn
+    ) ?? null
+  );
+}
+
+export function getConditionDamageTicks(combatant, phase) {
+  return normalizeConditions(combatant?.conditions)
+    .filter((entry) => {
+      const definition = CONDITION_DEFINITIONS[entry.id];
+      return definition.damageFormula && definition.tick === phase;
+    })
+    .map((entry) => {
+      const definition = CONDITION_DEFINITIONS[entry.id];
+      return {
+        id: entry.id,
+        damageLabel: definition.damageLabel,
+        formula: Array(entry.stacks).fill(definition.damageFormula).join("+"),
+      };
+    });
+}
+
+export function expireConditions(combatant) {
+  const expired = [];
+  combatant.conditions = normalizeConditions(combatant.conditions).filter((entry) => {
+    entry.remaining -= 1;
+    if (entry.remaining > 0) return true;
+    expired.push(entry);
+    return false;
+  });
+  return expired;
+}
+
+export function describeCondition(condition) {
+  const stackText = condition.stacks > 1 ? ` x${condition.stacks}` : "";
+  const roundText = condition.remaining === 1 ? "1 round" : `${condition.remaining} rounds`;
+  return `${condition.label.toLowerCase()}${stackText} (${roundText})`;
+}
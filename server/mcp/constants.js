@@ -40,22 +40,57 @@ Running a session:
 - Start with a hook, a goal, and a constraint.
 - Track stakes: what happens on success, partial, or failure.
 - Keep the pace by alternating spotlight between players.
+- For group play, add each player's character with update_state party.add and pass characterId to rolls and actions.
 - Use short, concrete descriptions; ask questions to fill in details.
 
 Encounters:
 - Make enemies intelligible: name, intent, and a tell.
-- Use the environment (cover, hazards, objectives) to vary tactics.
-- End fights when the story shifts: surrender, retreat, or twist.
+- Enemy intent drives their tactics ("snipe from the ridge", "flee when hurt"); set tactics explicitly to override.
+- Companions and summons join fights as combat.allies; enemies attack whichever party member is closest.
+- Use the environment (cover, hazards, objectives) to vary tactics; a combat.grid makes walls, rough ground, and cover mechanical.
+- Leaving an enemy's melee reach provokes an opportunity attack; counter and parry skills fire on their own as reactions.
+- Give skills effect formulas (damage, healing, MP, push/pull) and let combat roll them; save gmOverride for rulings.
+- Give weapons and skills a damageType and combatants resistances, immunities, or vulnerabilities; combat scales the damage for you.
+- Guns and bows can track ammo (an inventory item or a count), a magazine that needs reloading, and durability that wears down on fumbles.
+- Potions, bombs, and scrolls are consumable items; players use them with use_item in or out of combat.
+- Lingering effects (poison, fire, stuns) are conditions; set them with update_state outside combat and let combat tick them.
+- End fights when the story shifts: surrender, retreat, or twist. Enemies break at their morale thresholds and the player can flee; narrate lastCombatOutcome.
+
+Combat rules (enforced by combat_action):
+- rollMode advantage or disadvantage on an action rolls its d20 twice and keeps the higher or lower result.
+- Attacks roll d20 + stat modifier (STR melee, AGI ranged) + proficiency against the target's AC; misses deal no damage.
+- Enemy-targeted skills without a save make the same roll with their scalingStat (or best stat); a miss skips damage and conditions.
+- A natural 20 is a critical hit that doubles damage dice; a natural 1 is a fumble with the consequence set by combat.fumbleEffect.
+- defend halves incoming damage and dodge gives attackers disadvantage (and advantage on AGI saves) until the combatant's next turn.
+- force_save makes the target save against the actor's DC and rolls damageFormula; contest resolves opposed grapple, shove, or hide checks.
+- Area skills (burst around one target, aura around the user, or a line toward one target) hit every opponent inside, or everyone with friendlyFire.
+- Skills roll their own damageFormula, healFormula, mpRestoreFormula (plus the scalingStat modifier), condition, and push/pull; damage or heal on use_skill and damage on force_save need gmOverride: true.
+- Conditions (poisoned, burning, stunned, blinded, prone, hasted) come from weapon onHit and skill condition and tick and expire as turns pass.
+- Typed damage is halved by resistances, ignored by immunities, and doubled by vulnerabilities.
+- Each combatant has one reaction per round: opportunity attacks when leaving melee reach, and counter or parry skills against enemy skills and melee hits.
+- On a grid, move takes moveTo { x, y }, paths around blockers (difficult terrain costs double), counts diagonals as one square, and cover adds +2 AC against ranged attacks.
+- Weapons spend ammo per attack and magazines need reload (the action, or half speed with reload "move"); fumbles wear durability and broken weapons cannot attack.
+- use_item spends the action to use a consumable from the actor's inventory.
+- flee is an AGI check against a DC set by the gap to the nearest enemy and the pursuers' speed; a successful player escape ends combat.
+- Automated combatants follow a tactics profile (aggressive, ranged, defensive, support, coward), cast affordable skills, and log a one-line rationale.
+- Enemy morale (fearless, steady, wavering) breaks on heavy wounds or, in groups of three or more, fallen allies; broken enemies flee or surrender (onBreak).
+- lastCombatOutcome records victory, player_down, enemies_fled, surrendered, or escaped, plus a report of damage, healing, and skills used.
+- Winning awards downed enemies' xp to each player character in the fight and rolls their loot into the inventory (lastCombatOutcome.rewards).
 
 Stats & leveling (D&D 5e style, not enforced):
 - Starting stats: standard array 15,14,13,12,10,8 or 27-point buy (8-15 pre-bonuses).
 - Primary stat: aim for 14-16 after ancestry/background bonuses.
 - Ability increases at levels 4,8,12,16,19: +2 one stat or +1/+1, max 20.
 - Optional: proficiency bonus +2 at level 1; +3 at 5; +4 at 9; +5 at 13; +6 at 17.
+- ability_check applies the stat modifier ((stat - 10) / 2, rounded down) and proficiency for you.
+- Check outcomes: meet the DC for success, miss by 3 or less for a partial, otherwise failure.
+- Armor class: 10 + AGI modifier + equipped armor (inventory items with armor and equipped: true) for the player; enemies use their ac or a level-based default.
+- Use hidden rolls for secret checks (perception, stealth, traps); narrate the consequence, not the number.
 
 Rewards and progression:
 - Reward what you want to see: risk, creativity, teamwork.
 - Give tangible progress: clues, allies, reputation, or gear.
+- Give enemies xp and loot tables; winning a fight awards both and lastCombatOutcome carries a combat report to narrate.
 
 Safety and consent:
 - Confirm boundaries; allow players to skip content without explanation.
@@ -77,12 +112,174 @@ export const DEFAULT_MELEE_RANGE = 1;
 export const DEFAULT_MOVE_SPEED = 6;
 export const MAX_RANGE = 30;
 export const MAX_LEVEL = 20;
+export const MAX_PARTY_SIZE = 6;
+export const CHECK_PARTIAL_MARGIN = 3;
+export const MAX_DIFFICULTY_CLASS = 40;
+export const MAX_DICE_TERMS = 20;
+export const MAX_DICE_COUNT = 100;
+export const MAX_DICE_SIDES = 1000;
+export const MAX_DICE_EXPLOSIONS = 20;
+export const BASE_ARMOR_CLASS = 10;
+export const MAX_ARMOR_CLASS = 30;
+export const MAX_ARMOR_BONUS = 10;
+export const MAX_ROLL_HISTORY = 200;
+export const ROLL_SOURCES = Object.freeze([
+  "roll_dice",
+  "ability_check",
+  "attack",
+  "skill",
+  "save",
+  "contest",
+  "initiative",
+  "enemy_turn",
+  "condition",
+  "reaction",
+  "item",
+  "loot",
+  "flee",
+]);
+export const INVALID_DICE_FORMULA_MESSAGE = "Invalid dice formula. Try d20, 2d6+3, or 4d6kh3.";
+export const HIDDEN_ROLL_PREFIX = "Secret GM roll (do not reveal the number to the player):";
 export const COMBAT_ACTIONS_REQUIRING_ACTION = new Set([
   "attack",
   "defend",
   "dodge",
   "use_skill",
+  "force_save",
+  "contest",
+  "use_item",
+  "flee",
 ]);
+export const COMBAT_OUTCOME_SUMMARIES = Object.freeze({
+  victory: "Combat ends in victory.",
+  player_down: "Combat ends with the player down.",
+  enemies_fled: "Combat ends as the remaining enemies flee.",
+  surrendered: "Combat ends with the enemies surrendering.",
+  escaped: "Combat ends as the party escapes.",
+});
+export const COMBAT_REWARD_OUTCOMES = Object.freeze(["victory", "surrendered", "enemies_fled"]);
+export const MAX_XP = 999999;
+export const MAX_LOOT_CHANCE = 100;
+export const FUMBLE_EFFECTS = Object.freeze(["lose_movement", "drop_guard", "none"]);
+export const DEFAULT_FUMBLE_EFFECT = "lose_movement";
+export const CRITICAL_HIT_ROLL = 20;
+export const FUMBLE_ROLL = 1;
+export const DEFEND_DAMAGE_MULTIPLIER = 0.5;
+export const DAMAGE_TYPES = Object.freeze([
+  "slashing",
+  "piercing",
+  "bludgeoning",
+  "ballistic",
+  "explosive",
+  "fire",
+  "cold",
+  "lightning",
+  "acid",
+  "poison",
+  "psychic",
+  "radiant",
+  "necrotic",
+  "force",
+  "thunder",
+  "energy",
+]);
+export const DAMAGE_AFFINITY_MULTIPLIERS = Object.freeze({
+  immune: 0,
+  resistant: 0.5,
+  vulnerable: 2,
+});
+export const ENEMY_DEFENSIVE_HP_RATIO = 0.25;
+export const ENEMY_RETREAT_HP_RATIO = 0.5;
+export const ENEMY_TACTICS = Object.freeze([
+  "aggressive",
+  "ranged",
+  "defensive",
+  "support",
+  "coward",
+]);
+export const DEFAULT_ENEMY_TACTIC = "aggressive";
+export const TACTIC_INTENT_KEYWORDS = Object.freeze({
+  coward: Object.freeze(["flee", "escape", "cower", "retreat", "surrender", "survive"]),
+  support: Object.freeze(["heal", "support", "buff", "bless", "aid", "mend", "shield ally"]),
+  ranged: Object.freeze(["shoot", "snipe", "ranged", "kite", "arrow", "bolt", "distance", "afar"]),
+  defensive: Object.freeze(["guard", "defend", "protect", "hold", "block", "wait"]),
+  aggressive: Object.freeze(["attack", "charge", "rush", "kill", "berserk", "strike", "flank"]),
+});
+export const ENEMY_MORALE = Object.freeze(["fearless", "steady", "wavering"]);
+export const DEFAULT_ENEMY_MORALE = "steady";
+export const MORALE_THRESHOLDS = Object.freeze({
+  steady: Object.freeze({ hpRatio: 0.25, allyLossRatio: 0.5 }),
+  wavering: Object.freeze({ hpRatio: 0.5, allyLossRatio: 0.25 }),
+});
+export const MORALE_MIN_GROUP_SIZE = 3;
+export const MORALE_BREAK_ACTIONS = Object.freeze(["flee", "surrender"]);
+export const FLEE_BASE_DC = 12;
+export const MAX_CONDITION_DURATION = 10;
+export const CONDITION_DEFINITIONS = Object.freeze({
+  poisoned: Object.freeze({
+    label: "Poisoned",
+    defaultDuration: 3,
+    stacking: "refresh",
+    damageFormula: "1d4",
+    damageLabel: "poison",
+    tick: "start",
+    attackMode: "disadvantage",
+  }),
+  burning: Object.freeze({
+    label: "Burning",
+    defaultDuration: 2,
+    stacking: "stack",
+    maxStacks: 3,
+    damageFormula: "1d6",
+    damageLabel: "fire",
+    tick: "end",
+  }),
+  stunned: Object.freeze({
+    label: "Stunned",
+    defaultDuration: 1,
+    stacking: "refresh",
+    skipTurn: true,
+    attackedMode: "advantage",
+  }),
+  blinded: Object.freeze({
+    label: "Blinded",
+    defaultDuration: 2,
+    stacking: "refresh",
+    attackMode: "disadvantage",
+    attackedMode: "advantage",
+  }),
+  prone: Object.freeze({
+    label: "Prone",
+    defaultDuration: 1,
+    stacking: "refresh",
+    speedMultiplier: 0.5,
+    attackedMode: "advantage",
+  }),
+  hasted: Object.freeze({
+    label: "Hasted",
+    defaultDuration: 3,
+    stacking: "extend",
+    speedMultiplier: 2,
+  }),
+});
+export const CONDITION_IDS = Object.freeze(Object.keys(CONDITION_DEFINITIONS));
+export const SKILL_AREA_SHAPES = Object.freeze(["burst", "aura", "line"]);
+export const MAX_SKILL_TARGETS = 10;
+export const SKILL_REACTIONS = Object.freeze(["counter", "parry"]);
+export const SAVE_SUCCESS_EFFECTS = Object.freeze(["half", "negate"]);
+export const CONTEST_TYPES = Object.freeze({
+  grapple: Object.freeze({ actorStat: "str", targetStats: Object.freeze(["str", "agi"]), melee: true }),
+  shove: Object.freeze({ actorStat: "str", targetStats: Object.freeze(["str", "agi"]), melee: true }),
+  hide: Object.freeze({ actorStat: "agi", targetStats: Object.freeze(["wis"]), melee: false }),
+  custom: Object.freeze({ actorStat: "str", targetStats: Object.freeze(["str"]), melee: false }),
+});
+export const SHOVE_DISTANCE = 1;
+export const MAX_GRID_SIZE = 50;
+export const GRID_TERRAIN_TYPES = Object.freeze(["blocking", "difficult", "cover"]);
+export const DIFFICULT_TERRAIN_COST = 2;
+export const COVER_AC_BONUS = 2;
+export const WEAPON_RELOAD_COSTS = Object.freeze(["action", "move"]);
+export const MAX_WEAPON_AMMO = 999;
 export const UNARMED_WEAPON_ID = "weapon_unarmed";
 export const UNARMED_WEAPON = Object.freeze({
   id: UNARMED_WEAPON_ID,
@@ -1,5 +1,51 @@
 import crypto from "node:crypto";
-import { STAT_KEYS, STANDARD_ARRAY, baseStats } from "./constants.js";
+import {
+  MAX_DICE_COUNT,
+  MAX_DICE_EXPLOSIONS,
+  MAX_DICE_SIDES,
+  MAX_DICE_TERMS,
+  STAT_KEYS,
+  STANDARD_ARRAY,
+  baseStats,
+} from "./constants.js";
+
+export const defaultRng = Object.freeze({
+  int(min, max) {
+    return crypto.randomInt(min, max);
+  },
+});
+
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+export function createRngState(seed) {
+  if (seed === undefined || seed === null || String(seed).trim() === "") return null;
+  return { seed: String(seed).trim(), state: hashSeed(String(seed).trim()) };
+}
+
+export function createRng(rngState) {
+  if (!rngState || !Number.isFinite(Number(rngState.state))) return defaultRng;
+  return {
+    int(min, max) {
+      rngState.state = (Number(rngState.state) + 0x6d2b79f5) >>> 0;
+      let t = rngState.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      const fraction = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      return min + Math.floor(fraction * (max - min));
+    },
+  };
+}
+
+export function getGameRng(game) {
+  return createRng(game?.rng);
+}
 
 export function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
@@ -28,10 +74,10 @@ export function normalizeStats(rawStats = {}, fallbackStats = baseStats) {
   return normalized;
 }
 
-export function buildStartingStats(statFocus) {
+export function buildStartingStats(statFocus, rng = defaultRng) {
   const values = [...STANDARD_ARRAY];
   for (let index = values.length - 1; index > 0; index -= 1) {
-    const swapIndex = crypto.randomInt(0, index + 1);
+    const swapIndex = rng.int(0, index + 1);
     [values[index], values[swapIndex]] = [values[swapIndex], values[index]];
   }
 
@@ -61,35 +107,235 @@ export function nowIso() {
   return new Date().toISOString();
 }
 
+const DICE_TERM_PATTERN = /([+-]?)(?:(\d*)d(\d+|%)([a-z!<>\d]*)|(\d+))/y;
+const DICE_MODIFIER_PATTERN = /(kh|kl|dh|dl|k)(\d*)|(!)|(ro?)([<>]?)(\d+)/y;
+
+function parseDiceModifiers(raw, count, sides) {
+  const modifiers = { keep: null, explode: false, reroll: null };
+  let index = 0;
+  while (index < raw.length) {
+    DICE_MODIFIER_PATTERN.lastIndex = index;
+    const match = DICE_MODIFIER_PATTERN.exec(raw);
+    if (!match) return null;
+    index = DICE_MODIFIER_PATTERN.lastIndex;
+    if (match[1]) {
+      if (modifiers.keep) return null;
+      const type = match[1] === "k" ? "kh" : match[1];
+      const amount = match[2] ? Number(match[2]) : 1;
+      const maxAmount = type.startsWith("d") ? count - 1 : count;
+      if (amount < 1 || amount > maxAmount) return null;
+      modifiers.keep = { type, amount };
+    } else if (match[3]) {
+      if (modifiers.explode) return null;
+      modifiers.explode = true;
+    } else {
+      if (modifiers.reroll) return null;
+      const compare = match[5] || "=";
+      const value = Number(match[6]);
+      const rerollsEveryFace =
+        (compare === "<" && value > sides) || (compare === ">" && value < 1);
+      const matchesNoFace =
+        (compare === "=" && (value < 1 || value > sides)) ||
+        (compare === "<" && value <= 1) ||
+        (compare === ">" && value >= sides);
+      if (rerollsEveryFace || matchesNoFace) return null;
+      modifiers.reroll = { once: match[4] === "ro", compare, value };
+    }
+  }
+  return modifiers;
+}
+
 export function parseDiceFormula(formula) {
   if (!formula || typeof formula !== "string") return null;
   const cleaned = formula.replace(/\s+/g, "").toLowerCase();
-  const match = cleaned.match(/^(\d*)d(\d+)([+-]\d+)?$/);
-  if (!match) return null;
-  const count = Number(match[1] || 1);
-  const sides = Number(match[2]);
-  const modifier = Number(match[3] || 0);
-  if (!Number.isFinite(count) || !Number.isFinite(sides) || count < 1 || sides < 2) {
-    return null;
+  if (!cleaned) return null;
+  const terms = [];
+  let index = 0;
+  while (index < cleaned.length) {
+    if (terms.length >= MAX_DICE_TERMS) return null;
+    DICE_TERM_PATTERN.lastIndex = index;
+    const match = DICE_TERM_PATTERN.exec(cleaned);
+    if (!match || (terms.length > 0 && !match[1])) return null;
+    index = DICE_TERM_PATTERN.lastIndex;
+    const sign = match[1] === "-" ? -1 : 1;
+    if (match[5] !== undefined) {
+      terms.push({ type: "constant", sign, value: Number(match[5]) });
+      continue;
+    }
+    const count = Number(match[2] || 1);
+    const sides = match[3] === "%" ? 100 : Number(match[3]);
+    if (count < 1 || count > MAX_DICE_COUNT || sides < 2 || sides > MAX_DICE_SIDES) {
+      return null;
+    }
+    const modifiers = parseDiceModifiers(match[4], count, sides);
+    if (!modifiers) return null;
+    terms.push({
+      type: "dice",
+      sign,
+      notation: `${count}d${match[3]}${match[4]}`,
+      count,
+      sides,
+      ...modifiers,
+    });
+  }
+  return { cleaned, terms };
+}
+
+export function matchesReroll(value, reroll) {
+  if (reroll.compare === "<") return value < reroll.value;
+  if (reroll.compare === ">") return value > reroll.value;
+  return value === reroll.value;
+}
+
+function rollSingleDie(sides, reroll, rng) {
+  const rerolled = [];
+  let value = rng.int(1, sides + 1);
+  while (reroll && matchesReroll(value, reroll) && !(reroll.once && rerolled.length > 0)) {
+    rerolled.push(value);
+    value = rng.int(1, sides + 1);
   }
-  return { count, sides, modifier, cleaned };
+  return { value, kept: true, exploded: false, rerolled };
+}
+
+function applyKeepModifier(dice, keep) {
+  if (!keep) return;
+  const ascending = dice
+    .map((die, index) => ({ value: die.value, index }))
+    .sort((a, b) => a.value - b.value || a.index - b.index);
+  const { type, amount } = keep;
+  const dropped =
+    type === "kh"
+      ? ascending.slice(0, Math.max(0, ascending.length - amount))
+      : type === "kl"
+        ? ascending.slice(amount)
+        : type === "dh"
+          ? ascending.slice(ascending.length - amount)
+          : ascending.slice(0, amount);
+  dropped.forEach(({ index }) => {
+    dice[index].kept = false;
+  });
 }
 
-export function rollDice(formula) {
+function rollDiceTerm(term, rng) {
+  const dice = [];
+  for (let index = 0; index < term.count; index += 1) {
+    let die = rollSingleDie(term.sides, term.reroll, rng);
+    dice.push(die);
+    let explosions = 0;
+    while (term.explode && die.value === term.sides && explosions < MAX_DICE_EXPLOSIONS) {
+      die.exploded = true;
+      explosions += 1;
+      die = rollSingleDie(term.sides, term.reroll, rng);
+      dice.push(die);
+    }
+  }
+  applyKeepModifier(dice, term.keep);
+  const kept = dice.filter((die) => die.kept).reduce((sum, die) => sum + die.value, 0);
+  return {
+    type: "dice",
+    sign: term.sign,
+    notation: term.notation,
+    count: term.count,
+    sides: term.sides,
+    dice,
+    subtotal: term.sign * kept,
+  };
+}
+
+function doubleDiceTerm(term) {
+  const count = term.count * 2;
+  return {
+    ...term,
+    count,
+    notation: term.notation.replace(/^\d*d/, `${count}d`),
+    keep: term.keep ? { ...term.keep, amount: term.keep.amount * 2 } : null,
+  };
+}
+
+export function rollDice(formula, rng = defaultRng, { critical = false } = {}) {
   const parsed = parseDiceFormula(formula);
   if (!parsed) return null;
-  const rolls = Array.from({ length: parsed.count }, () =>
-    crypto.randomInt(1, parsed.sides + 1)
+  const terms = parsed.terms.map((term) =>
+    term.type === "dice"
+      ? rollDiceTerm(critical ? doubleDiceTerm(term) : term, rng)
+      : {
+          type: "constant",
+          sign: term.sign,
+          value: term.value,
+          subtotal: term.sign * term.value,
+        }
   );
-  const total = rolls.reduce((sum, value) => sum + value, 0) + parsed.modifier;
-  return {
+  const rolls = terms.flatMap((term) =>
+    term.type === "dice"
+      ? term.dice.filter((die) => die.kept).map((die) => term.sign * die.value)
+      : []
+  );
+  const modifier = terms
+    .filter((term) => term.type === "constant")
+    .reduce((sum, term) => sum + term.subtotal, 0);
+  const total = terms.reduce((sum, term) => sum + term.subtotal, 0);
+  const result = {
     formula: parsed.cleaned,
     rolls,
-    modifier: parsed.modifier,
+    modifier,
     total,
+    terms,
+  };
+  if (critical) {
+    result.critical = true;
+  }
+  return result;
+}
+
+export function combineRollModes(...modes) {
+  const advantage = modes.includes("advantage");
+  const disadvantage = modes.includes("disadvantage");
+  if (advantage === disadvantage) return "normal";
+  return advantage ? "advantage" : "disadvantage";
+}
+
+export function rollWithMode(formula, mode = "normal", rng = defaultRng) {
+  const first = rollDice(formula, rng);
+  if (!first) return null;
+  if (mode !== "advantage" && mode !== "disadvantage") {
+    return { ...first, mode: "normal", candidates: [first.total] };
+  }
+  const second = rollDice(formula, rng);
+  const useSecond =
+    mode === "advantage" ? second.total > first.total : second.total < first.total;
+  return {
+    ...(useSecond ? second : first),
+    mode,
+    candidates: [first.total, second.total],
   };
 }
 
+export function describeRollMode(roll) {
+  if (!roll?.mode || roll.mode === "normal") return "";
+  return `with ${roll.mode} (rolled ${roll.candidates.join(", ")}; kept ${roll.total})`;
+}
+
+function formatDieResult(die) {
+  let text = String(die.value);
+  if (die.exploded) text += "!";
+  if (die.rerolled.length > 0) text += ` (rerolled ${die.rerolled.join(", ")})`;
+  return die.kept ? text : `~${text}~`;
+}
+
+export function formatRollBreakdown(roll) {
+  if (!Array.isArray(roll?.terms)) return "";
+  return roll.terms
+    .map((term, index) => {
+      const body =
+        term.type === "dice"
+          ? `${term.notation} [${term.dice.map(formatDieResult).join(", ")}]`
+          : String(term.value);
+      if (index === 0) return term.sign < 0 ? `-${body}` : body;
+      return `${term.sign < 0 ? "-" : "+"} ${body}`;
+    })
+    .join(" ");
+}
+
 export function normalizeStoryElements(raw) {
   if (!raw) return [];
   if (Array.isArray(raw)) return raw.filter(Boolean).map(String);
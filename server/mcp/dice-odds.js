@@ -0,0 +1,240 @@
+import { INVALID_DICE_FORMULA_MESSAGE, MAX_DICE_EXPLOSIONS } from "./constants.js";
+import { matchesReroll, parseDiceFormula } from "./core-utils.js";
+
+const MAX_CONVOLUTION_STEPS = 20_000_000;
+const MAX_KEEP_COMBINATIONS = 200_000;
+const PERCENTILES = [10, 25, 50, 75, 90];
+const MAX_LISTED_OUTCOMES = 100;
+
+function pointDistribution(value) {
+  return { min: value, probs: [1] };
+}
+
+function convolve(a, b, budget) {
+  budget.steps += a.probs.length * b.probs.length;
+  if (budget.steps > MAX_CONVOLUTION_STEPS) return null;
+  const probs = new Array(a.probs.length + b.probs.length - 1).fill(0);
+  a.probs.forEach((left, i) => {
+    if (!left) return;
+    b.probs.forEach((right, j) => {
+      probs[i + j] += left * right;
+    });
+  });
+  return { min: a.min + b.min, probs };
+}
+
+function negateDistribution(distribution) {
+  return {
+    min: -(distribution.min + distribution.probs.length - 1),
+    probs: [...distribution.probs].reverse(),
+  };
+}
+
+function faceDistribution({ sides, reroll }) {
+  const faces = Array.from({ length: sides }, (_, index) => index + 1);
+  if (!reroll) {
+    return { min: 1, probs: faces.map(() => 1 / sides) };
+  }
+  const matching = faces.filter((face) => matchesReroll(face, reroll)).length;
+  if (reroll.once) {
+    return {
+      min: 1,
+      probs: faces.map(
+        (face) =>
+          (matchesReroll(face, reroll) ? 0 : 1 / sides) + (matching / sides) * (1 / sides)
+      ),
+    };
+  }
+  return {
+    min: 1,
+    probs: faces.map((face) => (matchesReroll(face, reroll) ? 0 : 1 / (sides - matching))),
+  };
+}
+
+function explodingDistribution(face, sides) {
+  const maxFaceChance = face.probs[sides - 1];
+  if (!maxFaceChance) return face;
+  const head = [...face.probs];
+  head[sides - 1] = 0;
+  let chain = face;
+  for (let depth = 0; depth < MAX_DICE_EXPLOSIONS; depth += 1) {
+    const probs = new Array(sides + chain.probs.length).fill(0);
+    head.forEach((probability, index) => {
+      probs[index] += probability;
+    });
+    chain.probs.forEach((probability, index) => {
+      probs[chain.min + index + sides - 1] += probability * maxFaceChance;
+    });
+    chain = { min: 1, probs };
+  }
+  return chain;
+}
+
+function multisetCount(kinds, size) {
+  let count = 1;
+  for (let index = 1; index <= size; index += 1) {
+    count = (count * (kinds - 1 + index)) / index;
+    if (count > MAX_KEEP_COMBINATIONS) return count;
+  }
+  return count;
+}
+
+function keptDistribution(term, face) {
+  const values = face.probs
+    .map((probability, index) => ({ value: face.min + index, probability }))
+    .filter((entry) => entry.probability > 0);
+  const size = term.count;
+  if (multisetCount(values.length, size) > MAX_KEEP_COMBINATIONS) return null;
+
+  const factorials = [1];
+  for (let index = 1; index <= size; index += 1) {
+    factorials[index] = factorials[index - 1] * index;
+  }
+  const { type, amount } = term.keep;
+  const [keepStart, keepEnd] =
+    type === "kh"
+      ? [size - amount, size]
+      : type === "kl"
+        ? [0, amount]
+        : type === "dh"
+          ? [0, size - amount]
+          : [amount, size];
+
+  const totals = new Map();
+  const counts = new Array(values.length).fill(0);
+  const record = () => {
+    let probability = factorials[size];
+    const sorted = [];
+    counts.forEach((count, index) => {
+      probability *= values[index].probability ** count / factorials[count];
+      for (let copy = 0; copy < count; copy += 1) sorted.push(values[index].value);
+    });
+    const kept = sorted.slice(keepStart, keepEnd).reduce((sum, value) => sum + value, 0);
+    totals.set(kept, (totals.get(kept) ?? 0) + probability);
+  };
+  const visit = (index, remaining) => {
+    if (index === values.length - 1) {
+      counts[index] = remaining;
+      record();
+      return;
+    }
+    for (let count = remaining; count >= 0; count -= 1) {
+      counts[index] = count;
+      visit(index + 1, remaining - count);
+    }
+    counts[index] = 0;
+  };
+  visit(0, size);
+
+  const keys = [...totals.keys()];
+  const min = Math.min(...keys);
+  const probs = new Array(Math.max(...keys) - min + 1).fill(0);
+  totals.forEach((probability, total) => {
+    probs[total - min] = probability;
+  });
+  return { min, probs };
+}
+
+function termDistribution(term, budget) {
+  if (term.type === "constant") return pointDistribution(term.value);
+  const face = faceDistribution(term);
+  if (term.keep) {
+    return term.explode ? null : keptDistribution(term, face);
+  }
+  const single = term.explode ? explodingDistribution(face, term.sides) : face;
+  let total = pointDistribution(0);
+  for (let index = 0; index < term.count; index += 1) {
+    total = convolve(total, single, budget);
+    if (!total) return null;
+  }
+  return total;
+}
+
+function applyRollMode(distribution, rollMode) {
+  if (rollMode !== "advantage" && rollMode !== "disadvantage") return distribution;
+  let cumulative = 0;
+  let previous = 0;
+  const probs = distribution.probs.map((probability) => {
+    cumulative += probability;
+    const combined =
+      rollMode === "advantage" ? cumulative ** 2 : 1 - (1 - cumulative) ** 2;
+    const mass = combined - previous;
+    previous = combined;
+    return mass;
+  });
+  return { min: distribution.min, probs };
+}
+
+function roundProbability(value) {
+  return Math.round(value * 1_000_000) / 1_000_000 || 0;
+}
+
+export function computeDiceOdds(formula, { target, rollMode } = {}) {
+  const parsed = parseDiceFormula(formula);
+  if (!parsed) {
+    return { ok: false, message: INVALID_DICE_FORMULA_MESSAGE };
+  }
+
+  const budget = { steps: 0 };
+  let distribution = pointDistribution(0);
+  for (const term of parsed.terms) {
+    const single = termDistribution(term, budget);
+    const signed = single && term.sign < 0 ? negateDistribution(single) : single;
+    distribution = signed ? convolve(distribution, signed, budget) : null;
+    if (!distribution) {
+      return {
+        ok: false,
+        message:
+          `${parsed.cleaned} is too complex to compute exactly. ` +
+          "Use fewer dice, or avoid combining keep/drop with exploding dice.",
+      };
+    }
+  }
+  distribution = applyRollMode(distribution, rollMode);
+
+  const outcomes = distribution.probs
+    .map((probability, index) => ({ total: distribution.min + index, probability }))
+    .filter((entry) => entry.probability > 0);
+  const mean = outcomes.reduce((sum, entry) => sum + entry.total * entry.probability, 0);
+  const percentiles = {};
+  let cumulative = 0;
+  let nextPercentile = 0;
+  outcomes.forEach((entry) => {
+    cumulative += entry.probability;
+    while (
+      nextPercentile < PERCENTILES.length &&
+      cumulative >= PERCENTILES[nextPercentile] / 100 - 1e-9
+    ) {
+      percentiles[`p${PERCENTILES[nextPercentile]}`] = entry.total;
+      nextPercentile += 1;
+    }
+  });
+  const targetValue = Number.isFinite(Number(target)) ? Number(target) : null;
+  const chanceAtLeastTarget =
+    targetValue === null
+      ? null
+      : roundProbability(
+          outcomes
+            .filter((entry) => entry.total >= targetValue)
+            .reduce((sum, entry) => sum + entry.probability, 0)
+        );
+
+  return {
+    ok: true,
+    formula: parsed.cleaned,
+    rollMode: rollMode === "advantage" || rollMode === "disadvantage" ? rollMode : "normal",
+    min: outcomes[0].total,
+    max: outcomes[outcomes.length - 1].total,
+    mean: roundProbability(mean),
+    percentiles,
+    target: targetValue,
+    chanceAtLeastTarget,
+    outcomes:
+      outcomes.length <= MAX_LISTED_OUTCOMES
+        ? outcomes.map((entry) => ({
+            total: entry.total,
+            probability: roundProbability(entry.probability),
+          }))
+        : null,
+  };
+}
@@ -0,0 +1,266 @@
+import {
+  DEFAULT_ENEMY_MORALE,
+  DEFAULT_ENEMY_TACTIC,
+  DEFAULT_MELEE_RANGE,
+  ENEMY_DEFENSIVE_HP_RATIO,
+  ENEMY_MORALE,
+  ENEMY_RETREAT_HP_RATIO,
+  ENEMY_TACTICS,
+  MAX_RANGE,
+  MORALE_THRESHOLDS,
+  TACTIC_INTENT_KEYWORDS,
+} from "./constants.js";
+import { getCombatDistance } from "./battle-grid.js";
+
+export function chooseTacticProfile(combatant) {
+  if (ENEMY_TACTICS.includes(combatant?.tactics)) return combatant.tactics;
+  const intent = String(combatant?.intent ?? "").toLowerCase();
+  if (!intent) return DEFAULT_ENEMY_TACTIC;
+  const match = Object.entries(TACTIC_INTENT_KEYWORDS).find(([, keywords]) =>
+    keywords.some((keyword) => new RegExp(`\\b${keyword}`).test(intent))
+  );
+  return match?.[0] ?? DEFAULT_ENEMY_TACTIC;
+}
+
+export function chooseMorale(combatant) {
+  if (ENEMY_MORALE.includes(combatant?.morale)) return combatant.morale;
+  return chooseTacticProfile(combatant) === "coward" ? "wavering" : DEFAULT_ENEMY_MORALE;
+}
+
+export function checkMoraleBreak(combatant, { hpBefore, lossRatioBefore, lossRatio }) {
+  const threshold = MORALE_THRESHOLDS[chooseMorale(combatant)];
+  if (!threshold) return null;
+  const hpLimit = Number(combatant.hpMax ?? 1) * threshold.hpRatio;
+  if (hpBefore > hpLimit && Number(combatant.hp ?? 0) <= hpLimit) return "wounds";
+  if (lossRatioBefore < threshold.allyLossRatio && lossRatio >= threshold.allyLossRatio) {
+    return "losses";
+  }
+  return null;
+}
+
+export function getSkillReach(skill) {
+  return skill.area?.shape === "aura" ? skill.area.radius : skill.range;
+}
+
+function getHpRatio(combatant) {
+  return Number(combatant.hp ?? 0) / Math.max(1, Number(combatant.hpMax ?? 1));
+}
+
+function sortEquippedFirst(weapons) {
+  return [...weapons].sort((a, b) => Number(Boolean(b.equipped)) - Number(Boolean(a.equipped)));
+}
+
+function pickReachableWeapon(weapons, distance, movement) {
+  return (
+    sortEquippedFirst(weapons).find((weapon) => distance - movement <= weapon.range) ?? null
+  );
+}
+
+function planAdvance(actor, target, weapons, distance, rationale) {
+  const movement = Number(actor.movementRemaining ?? 0);
+  const weapon = pickReachableWeapon(weapons, distance, movement);
+  const fallback = weapon ?? sortEquippedFirst(weapons)[0] ?? null;
+  return {
+    decision: weapon ? "attack" : "dodge",
+    weaponId: fallback?.id ?? null,
+    movement: { mode: "toward", distance: fallback?.range ?? DEFAULT_MELEE_RANGE },
+    rationale,
+  };
+}
+
+function planAggressive(actor, target, weapons, distance) {
+  if (getHpRatio(actor) <= ENEMY_DEFENSIVE_HP_RATIO && target.dodging) {
+    return {
+      decision: "defend",
+      weaponId: null,
+      movement: { mode: "hold" },
+      rationale: `${actor.name} is badly hurt and braces behind its guard rather than swing at ${target.name}'s dodge.`,
+    };
+  }
+  return planAdvance(
+    actor,
+    target,
+    weapons,
+    distance,
+    `${actor.name} presses the attack on ${target.name}.`
+  );
+}
+
+function planRanged(actor, target, weapons, distance) {
+  const ranged = weapons
+    .filter((weapon) => weapon.category === "ranged")
+    .sort((a, b) => b.range - a.range)[0];
+  if (!ranged) {
+    return planAdvance(
+      actor,
+      target,
+      weapons,
+      distance,
+      `${actor.name} has nothing to shoot with and closes in on ${target.name}.`
+    );
+  }
+  const movement = Number(actor.movementRemaining ?? 0);
+  if (distance <= DEFAULT_MELEE_RANGE && movement > 0) {
+    return {
+      decision: "attack",
+      weaponId: ranged.id,
+      movement: { mode: "away", distance: ranged.range },
+      rationale: `${actor.name} backs away from ${target.name} to keep shooting from range.`,
+    };
+  }
+  return {
+    decision: distance - movement <= ranged.range ? "attack" : "dodge",
+    weaponId: ranged.id,
+    movement: { mode: "toward", distance: ranged.range },
+    rationale: `${actor.name} keeps its distance and shoots at ${target.name}.`,
+  };
+}
+
+function planDefensive(actor, target, weapons, distance) {
+  if (getHpRatio(actor) <= ENEMY_RETREAT_HP_RATIO) {
+    return {
+      decision: "defend",
+      weaponId: null,
+      movement: { mode: "hold" },
+      rationale: `${actor.name} is wounded and hunkers down behind its guard.`,
+    };
+  }
+  const weapon = pickReachableWeapon(weapons, distance, 0);
+  if (weapon) {
+    return {
+      decision: "attack",
+      weaponId: weapon.id,
+      movement: { mode: "hold" },
+      rationale: `${actor.name} holds its ground and strikes at ${target.name} within reach.`,
+    };
+  }
+  return {
+    decision: "defend",
+    weaponId: null,
+    movement: { mode: "hold" },
+    rationale: `${actor.name} holds its position behind its guard until ${target.name} comes within reach.`,
+  };
+}
+
+function planSupport(actor, target, weapons, distance) {
+  const ranged = weapons.filter((weapon) => weapon.category === "ranged");
+  const weapon = pickReachableWeapon(ranged, distance, 0);
+  return {
+    decision: weapon ? "attack" : "dodge",
+    weaponId: weapon?.id ?? null,
+    movement:
+      distance <= DEFAULT_MELEE_RANGE
+        ? { mode: "away", distance: weapon?.range ?? DEFAULT_MELEE_RANGE + 1 }
+        : { mode: "hold" },
+    rationale: `${actor.name} hangs back out of ${target.name}'s reach to support its side.`,
+  };
+}
+
+function planCoward(actor, target, weapons, distance) {
+  if (getHpRatio(actor) <= ENEMY_RETREAT_HP_RATIO) {
+    return {
+      decision: "retreat",
+      weaponId: null,
+      movement: { mode: "away", distance: MAX_RANGE },
+      rationale: `${actor.name} loses its nerve and falls back from ${target.name}.`,
+    };
+  }
+  return planAdvance(
+    actor,
+    target,
+    weapons,
+    distance,
+    `${actor.name} attacks ${target.name} while the odds still favor it.`
+  );
+}
+
+function pickMostHurt(combatants, threshold) {
+  return combatants
+    .filter((combatant) => Number(combatant.hp ?? 0) > 0 && getHpRatio(combatant) <= threshold)
+    .sort((a, b) => getHpRatio(a) - getHpRatio(b))[0];
+}
+
+function planSupportSkill(actor, skills, allies, profile) {
+  const threshold = profile === "support" ? ENEMY_RETREAT_HP_RATIO : ENEMY_DEFENSIVE_HP_RATIO;
+  for (const skill of skills.filter((entry) => entry.healFormula && entry.target !== "enemy")) {
+    const candidates =
+      skill.target === "self" || profile !== "support"
+        ? [actor]
+        : allies.filter((ally) => getCombatDistance(actor, ally) <= skill.range);
+    const patient = pickMostHurt(candidates, threshold);
+    if (patient) {
+      return {
+        decision: "skill",
+        skillId: skill.id,
+        skillTargetId: patient.id,
+        movement: { mode: "hold" },
+        rationale:
+          patient.id === actor.id
+            ? `${actor.name} spends its magic mending its own wounds.`
+            : `${actor.name} spends its magic mending ${patient.name}.`,
+      };
+    }
+  }
+  if (profile !== "support") return null;
+  for (const skill of skills.filter((entry) => entry.target === "ally" && entry.condition)) {
+    const recipient = allies.find(
+      (ally) =>
+        Number(ally.hp ?? 0) > 0 &&
+        getCombatDistance(actor, ally) <= skill.range &&
+        !(ally.conditions ?? []).some((condition) => condition.id === skill.condition.id)
+    );
+    if (recipient) {
+      return {
+        decision: "skill",
+        skillId: skill.id,
+        skillTargetId: recipient.id,
+        movement: { mode: "hold" },
+        rationale: `${actor.name} empowers ${recipient.name} with ${skill.name}.`,
+      };
+    }
+  }
+  return null;
+}
+
+function planOffensiveSkill(actor, target, skills, distance, profile) {
+  const approach = profile === "aggressive" || profile === "coward";
+  const movement = approach ? Number(actor.movementRemaining ?? 0) : 0;
+  const skill = skills
+    .filter(
+      (entry) =>
+        entry.target === "enemy" &&
+        (entry.damageFormula || entry.condition || entry.save || entry.push || entry.pull) &&
+        distance - movement <= getSkillReach(entry)
+    )
+    .sort((a, b) => b.mpCost - a.mpCost || getSkillReach(b) - getSkillReach(a))[0];
+  if (!skill) return null;
+  return {
+    decision: "skill",
+    skillId: skill.id,
+    skillTargetId: target.id,
+    movement: approach ? { mode: "toward", distance: getSkillReach(skill) } : { mode: "hold" },
+    rationale: `${actor.name} calls on ${skill.name} against ${target.name}.`,
+  };
+}
+
+const PLANNERS = {
+  aggressive: planAggressive,
+  ranged: planRanged,
+  defensive: planDefensive,
+  support: planSupport,
+  coward: planCoward,
+};
+
+export function planNpcTurn({ actor, target, weapons = [], skills = [], allies = [], profile }) {
+  const resolvedProfile = PLANNERS[profile] ? profile : chooseTacticProfile(actor);
+  const distance = getCombatDistance(actor, target);
+  const supportPlan = planSupportSkill(actor, skills, allies, resolvedProfile);
+  if (supportPlan) return { profile: resolvedProfile, weaponId: null, ...supportPlan };
+  const plan = PLANNERS[resolvedProfile](actor, target, weapons, distance);
+  const keepsGuard = plan.decision === "defend" && getHpRatio(actor) <= ENEMY_DEFENSIVE_HP_RATIO;
+  if (plan.decision !== "retreat" && !keepsGuard) {
+    const skillPlan = planOffensiveSkill(actor, target, skills, distance, resolvedProfile);
+    if (skillPlan) return { profile: resolvedProfile, weaponId: null, ...skillPlan };
+  }
+  return { profile: resolvedProfile, ...plan };
+}
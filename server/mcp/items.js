@@ -0,0 +1,96 @@
+import { clamp, formatRollBreakdown, getGameRng, rollDice } from "./core-utils.js";
+import { applyCondition, describeCondition } from "./conditions.js";
+import { getCharacter } from "./party.js";
+import { applyInventoryDelta } from "./player-data.js";
+import { recordRoll } from "./roll-history.js";
+
+export function findConsumableItem(character, itemId) {
+  const name = character?.pc?.name ?? "The character";
+  const item = (Array.isArray(character?.inventory) ? character.inventory : []).find(
+    (entry) => entry.id === itemId && Number(entry.qty ?? 0) > 0
+  );
+  if (!item) return { error: `${name} does not have that item.` };
+  if (!item.consumable) return { error: `${item.name} is not a usable consumable.` };
+  return { item };
+}
+
+export function consumeItem(character, item, qty = 1) {
+  applyInventoryDelta(character, { remove: [{ id: item.id, qty }] });
+}
+
+export function findAmmoItem(character, ammoItem) {
+  const name = String(ammoItem ?? "").toLowerCase();
+  return (
+    (Array.isArray(character?.inventory) ? character.inventory : []).find(
+      (entry) =>
+        Number(entry.qty ?? 0) > 0 && (entry.id === ammoItem || entry.name.toLowerCase() === name)
+    ) ?? null
+  );
+}
+
+export function getItemSkill(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    mpCost: 0,
+    scalingStat: null,
+    push: 0,
+    pull: 0,
+    ...item.consumable,
+  };
+}
+
+export function useItemOutsideCombat(game, { characterId, itemId, targetId }) {
+  const user = getCharacter(game, characterId);
+  if (!user) return { ok: false, message: "Character not found in this party." };
+  const { item, error } = findConsumableItem(user, itemId);
+  if (error) return { ok: false, message: error };
+  const { consumable } = item;
+  if (consumable.target === "enemy") {
+    return {
+      ok: false,
+      message: `${item.name} is meant for enemies; use it with combat_action during a fight.`,
+    };
+  }
+  if (consumable.target === "self" && targetId && targetId !== user.id) {
+    return { ok: false, message: `${item.name} can only be used on ${user.pc.name}.` };
+  }
+  const target = getCharacter(game, targetId ?? user.id);
+  if (!target) return { ok: false, message: "Target not found in this party." };
+
+  const rollAmount = (formula, label) => {
+    const roll = formula ? rollDice(formula, getGameRng(game)) : null;
+    if (!roll) return { amount: 0, text: "" };
+    recordRoll(game, roll, {
+      source: "item",
+      actorId: user.id,
+      reason: `${user.pc.name} ${item.name} ${label} for ${target.pc.name}`,
+    });
+    return {
+      amount: clamp(Number(roll.total), 0, 999),
+      text: ` [${formatRollBreakdown(roll)} = ${roll.total}]`,
+    };
+  };
+  const damage = rollAmount(consumable.damageFormula, "damage");
+  const heal = rollAmount(consumable.healFormula, "healing");
+  const mpRestore = rollAmount(consumable.mpRestoreFormula, "MP restore");
+
+  const hpBefore = target.hp.current;
+  target.hp.current = clamp(hpBefore - damage.amount + heal.amount, 0, target.hp.max);
+  const mpBefore = target.mp.current;
+  target.mp.current = clamp(mpBefore + mpRestore.amount, 0, target.mp.max);
+
+  const onText = target.id === user.id ? "" : ` on ${target.pc.name}`;
+  let message = `${user.pc.name} uses ${item.name}${onText}.`;
+  const hpChange = target.hp.current - hpBefore;
+  if (hpChange > 0) message += ` ${hpChange} HP restored.`;
+  if (hpChange < 0) message += ` ${-hpChange} damage dealt.`;
+  if (target.mp.current > mpBefore) message += ` ${target.mp.current - mpBefore} MP restored.`;
+  message += `${damage.text}${heal.text}${mpRestore.text}`;
+  if (consumable.condition) {
+    const condition = applyCondition(target.pc, consumable.condition, user.id);
+    message += ` ${target.pc.name} is ${describeCondition(condition)}.`;
+  }
+  consumeItem(user, item);
+  return { ok: true, message };
+}
@@ -0,0 +1,84 @@
+import crypto from "node:crypto";
+import { MAX_LEVEL, MAX_XP } from "./constants.js";
+import { clamp, normalizeStats } from "./core-utils.js";
+import { normalizeConditions } from "./conditions.js";
+import {
+  normalizeInventoryItem,
+  normalizeSkill,
+  syncInventoryWeaponEquipFlags,
+} from "./player-data.js";
+
+export function getPrimaryCharacterId(game) {
+  return `pc_${game.gameId}`;
+}
+
+function getPrimaryCharacter(game) {
+  return {
+    id: getPrimaryCharacterId(game),
+    pc: game.pc,
+    stats: game.stats,
+    hp: game.hp,
+    mp: game.mp,
+    inventory: game.inventory,
+  };
+}
+
+export function listCharacters(game) {
+  const members = Array.isArray(game?.party) ? game.party : [];
+  return [getPrimaryCharacter(game), ...members];
+}
+
+export function getCharacter(game, characterId) {
+  const resolvedId = characterId ?? game?.activeCharacterId ?? getPrimaryCharacterId(game);
+  return listCharacters(game).find((character) => character.id === resolvedId) ?? null;
+}
+
+export function isPrimaryCharacter(game, character) {
+  return character?.id === getPrimaryCharacterId(game);
+}
+
+export function normalizePartyMember(raw) {
+  if (!raw?.name) return null;
+  const hpMax = clamp(Number(raw.hpMax ?? 12), 1, 999);
+  const mpMax = clamp(Number(raw.mpMax ?? 0), 0, 999);
+  const inventory = (Array.isArray(raw.inventory) ? raw.inventory : [])
+    .map((item) => normalizeInventoryItem(item))
+    .filter(Boolean);
+  syncInventoryWeaponEquipFlags(inventory);
+  return {
+    id: raw.id ?? `pc_${crypto.randomUUID()}`,
+    pc: {
+      name: raw.name,
+      pronouns: raw.pronouns ?? "",
+      archetype: raw.archetype ?? "",
+      background: raw.background ?? "",
+      goal: raw.goal ?? "",
+      level: clamp(Number(raw.level ?? 1), 1, MAX_LEVEL),
+      xp: clamp(Number(raw.xp ?? 0), 0, MAX_XP),
+      skills: (Array.isArray(raw.skills) ? raw.skills : [])
+        .map((skill) => normalizeSkill(skill, skill?.name, "skill"))
+        .filter(Boolean),
+      conditions: normalizeConditions(raw.conditions),
+    },
+    stats: normalizeStats(raw.stats),
+    hp: { current: clamp(Number(raw.hp ?? hpMax), 0, hpMax), max: hpMax },
+    mp: { current: clamp(Number(raw.mp ?? mpMax), 0, mpMax), max: mpMax },
+    inventory,
+  };
+}
+
+export function summarizeRoster(game) {
+  const activeId = getCharacter(game)?.id ?? getPrimaryCharacterId(game);
+  return listCharacters(game).map((character) => ({
+    id: character.id,
+    name: character.pc?.name ?? "",
+    archetype: character.pc?.archetype ?? "",
+    level: character.pc?.level ?? 1,
+    xp: character.pc?.xp ?? 0,
+    hp: character.hp,
+    mp: character.mp,
+    conditions: character.pc?.conditions ?? [],
+    primary: isPrimaryCharacter(game, character),
+    active: character.id === activeId,
+  }));
+}
@@ -1,6 +1,45 @@
 import crypto from "node:crypto";
-import { DEFAULT_MELEE_RANGE, MAX_LEVEL, MAX_RANGE } from "./constants.js";
-import { clamp, slugifyId } from "./core-utils.js";
+import {
+  DAMAGE_TYPES,
+  DEFAULT_MELEE_RANGE,
+  MAX_ARMOR_BONUS,
+  MAX_DIFFICULTY_CLASS,
+  MAX_LEVEL,
+  MAX_LOOT_CHANCE,
+  MAX_RANGE,
+  MAX_SKILL_TARGETS,
+  MAX_WEAPON_AMMO,
+  SAVE_SUCCESS_EFFECTS,
+  SKILL_AREA_SHAPES,
+  SKILL_REACTIONS,
+  STAT_KEYS,
+  WEAPON_RELOAD_COSTS,
+} from "./constants.js";
+import { clamp, parseDiceFormula, slugifyId } from "./core-utils.js";
+import { normalizeConditionApplication } from "./conditions.js";
+
+export function normalizeDamageType(raw) {
+  return DAMAGE_TYPES.includes(raw) ? raw : null;
+}
+
+export function normalizeDamageTypes(raw) {
+  if (!Array.isArray(raw)) return [];
+  return [...new Set(raw.map(normalizeDamageType).filter(Boolean))];
+}
+
+export function isValidDiceFormula(raw) {
+  return raw === undefined || raw === null || raw === "" || Boolean(parseDiceFormula(raw));
+}
+
+function normalizeFormula(raw) {
+  return typeof raw === "string" && parseDiceFormula(raw) ? raw : "";
+}
+
+function normalizeCount(raw, min, max) {
+  if (raw === undefined || raw === null) return null;
+  const value = Math.trunc(Number(raw));
+  return Number.isFinite(value) ? clamp(value, min, max) : null;
+}
 
 export function normalizeWeapon(raw, fallbackName, fallbackIdPrefix = "weapon") {
   if (!raw) return null;
@@ -13,20 +52,65 @@ export function normalizeWeapon(raw, fallbackName, fallbackIdPrefix = "weapon")
     MAX_RANGE
   );
   const fallbackId = `${fallbackIdPrefix}_${slugifyId(fallbackName, "weapon")}`;
-  return {
+  const normalized = {
     id: raw.id ?? fallbackId,
     name: raw.name ?? fallbackName ?? "Weapon",
     category,
     range,
     equipped: Boolean(raw.equipped),
-    damageFormula: raw.damageFormula ?? "",
+    damageFormula: normalizeFormula(raw.damageFormula),
+    damageType: normalizeDamageType(raw.damageType),
+  };
+  const onHit = normalizeConditionApplication(raw.onHit);
+  if (onHit) {
+    normalized.onHit = onHit;
+  }
+  if (typeof raw.ammoItem === "string" && raw.ammoItem.trim()) {
+    normalized.ammoItem = raw.ammoItem.trim();
+  }
+  const ammo = normalizeCount(raw.ammo, 0, MAX_WEAPON_AMMO);
+  if (ammo !== null) {
+    normalized.ammo = ammo;
+  }
+  const magazine = normalizeCount(raw.magazine, 1, MAX_WEAPON_AMMO);
+  if (magazine !== null) {
+    normalized.magazine = magazine;
+    normalized.loaded = normalizeCount(raw.loaded ?? magazine, 0, magazine) ?? magazine;
+    normalized.reload = WEAPON_RELOAD_COSTS.includes(raw.reload) ? raw.reload : "action";
+  }
+  const durabilityMax = normalizeCount(raw.durabilityMax ?? raw.durability, 1, 999);
+  if (durabilityMax !== null) {
+    normalized.durabilityMax = durabilityMax;
+    normalized.durability = normalizeCount(raw.durability, 0, durabilityMax) ?? durabilityMax;
+  }
+  return normalized;
+}
+
+export function normalizeSave(raw) {
+  if (!raw || !STAT_KEYS.includes(raw.stat)) return null;
+  const rawDc = Number(raw.dc);
+  return {
+    stat: raw.stat,
+    dc: Number.isFinite(rawDc) ? clamp(rawDc, 1, MAX_DIFFICULTY_CLASS) : null,
+    dcStat: STAT_KEYS.includes(raw.dcStat) ? raw.dcStat : null,
+    onSuccess: SAVE_SUCCESS_EFFECTS.includes(raw.onSuccess) ? raw.onSuccess : "half",
+  };
+}
+
+export function normalizeSkillArea(raw) {
+  if (!SKILL_AREA_SHAPES.includes(raw?.shape)) return null;
+  const radius = Number(raw.radius ?? 1);
+  return {
+    shape: raw.shape,
+    radius: clamp(Number.isFinite(radius) ? Math.trunc(radius) : 1, 0, MAX_RANGE),
   };
 }
 
 export function normalizeSkill(raw, fallbackName, fallbackIdPrefix = "skill") {
   if (!raw) return null;
   const fallbackId = `${fallbackIdPrefix}_${slugifyId(fallbackName, "skill")}`;
-  return {
+  const save = normalizeSave(raw.save);
+  const normalized = {
     id: raw.id ?? fallbackId,
     name: raw.name ?? fallbackName ?? "Skill",
     unlockLevel: clamp(Number(raw.unlockLevel ?? 1), 1, MAX_LEVEL),
@@ -34,7 +118,58 @@ export function normalizeSkill(raw, fallbackName, fallbackIdPrefix = "skill") {
     range: clamp(Number(raw.range ?? DEFAULT_MELEE_RANGE), 0, MAX_RANGE),
     target: raw.target === "self" || raw.target === "ally" ? raw.target : "enemy",
     description: raw.description ?? "",
+    damageFormula: normalizeFormula(raw.damageFormula),
+    damageType: normalizeDamageType(raw.damageType),
+    healFormula: normalizeFormula(raw.healFormula),
+    mpRestoreFormula: normalizeFormula(raw.mpRestoreFormula),
+    scalingStat: STAT_KEYS.includes(raw.scalingStat) ? raw.scalingStat : null,
+    push: clamp(Math.trunc(Number(raw.push ?? 0)) || 0, 0, MAX_RANGE),
+    pull: clamp(Math.trunc(Number(raw.pull ?? 0)) || 0, 0, MAX_RANGE),
+    maxTargets: clamp(Math.trunc(Number(raw.maxTargets ?? 1)) || 1, 1, MAX_SKILL_TARGETS),
+    friendlyFire: Boolean(raw.friendlyFire),
+    reaction: SKILL_REACTIONS.includes(raw.reaction) ? raw.reaction : null,
   };
+  if (save) {
+    normalized.save = save;
+  }
+  const area = normalizeSkillArea(raw.area);
+  if (area) {
+    normalized.area = area;
+  }
+  const condition = normalizeConditionApplication(raw.condition);
+  if (condition) {
+    normalized.condition = condition;
+  }
+  return normalized;
+}
+
+export function normalizeConsumable(raw) {
+  if (!raw) return null;
+  const target = raw.target === "ally" || raw.target === "enemy" ? raw.target : "self";
+  const range = Number(raw.range ?? (target === "self" ? 0 : DEFAULT_MELEE_RANGE));
+  const normalized = {
+    target,
+    range: clamp(Number.isFinite(range) ? Math.trunc(range) : 0, 0, MAX_RANGE),
+    healFormula: normalizeFormula(raw.healFormula),
+    mpRestoreFormula: normalizeFormula(raw.mpRestoreFormula),
+    damageFormula: normalizeFormula(raw.damageFormula),
+    damageType: normalizeDamageType(raw.damageType),
+  };
+  const condition = normalizeConditionApplication(raw.condition);
+  if (condition) {
+    normalized.condition = condition;
+  }
+  return normalized;
+}
+
+export function normalizeLootTable(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .filter((entry) => entry?.name)
+    .map((entry) => ({
+      ...entry,
+      qty: clamp(Math.trunc(Number(entry.qty ?? 1)) || 1, 1, 999),
+      chance: clamp(Math.trunc(Number(entry.chance ?? MAX_LOOT_CHANCE)) || 1, 1, MAX_LOOT_CHANCE),
+    }));
 }
 
 export function normalizeInventoryItem(item) {
@@ -49,9 +184,31 @@ export function normalizeInventoryItem(item) {
   if (normalizedWeapon) {
     normalized.weapon = normalizedWeapon;
   }
+  const armor = normalizeArmorBonus(item.armor);
+  if (armor) {
+    normalized.armor = armor;
+    normalized.equipped = Boolean(item.equipped);
+  }
+  const consumable = normalizeConsumable(item.consumable);
+  if (consumable) {
+    normalized.consumable = consumable;
+  }
   return normalized;
 }
 
+function normalizeArmorBonus(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? clamp(Math.trunc(parsed), 0, MAX_ARMOR_BONUS) : 0;
+}
+
+export function getInventoryArmorBonus(inventory = []) {
+  if (!Array.isArray(inventory)) return 0;
+  const total = inventory
+    .filter((item) => item?.equipped && Number(item.qty ?? 0) > 0)
+    .reduce((sum, item) => sum + normalizeArmorBonus(item.armor), 0);
+  return Math.min(total, MAX_ARMOR_BONUS);
+}
+
 export function getSkillCatalog(level, existing = []) {
   const known = new Map();
   if (Array.isArray(existing)) {
@@ -127,6 +284,10 @@ export function applyInventoryDelta(game, delta) {
         if (item.notes) existing.notes = item.notes;
         const normalizedWeapon = normalizeWeapon(item.weapon, item.name, "weapon");
         if (normalizedWeapon) existing.weapon = normalizedWeapon;
+        if (item.armor !== undefined) existing.armor = normalizeArmorBonus(item.armor);
+        if (item.equipped !== undefined) existing.equipped = Boolean(item.equipped);
+        const consumable = normalizeConsumable(item.consumable);
+        if (consumable) existing.consumable = consumable;
       } else {
         const normalized = normalizeInventoryItem(item);
         if (!normalized) return;
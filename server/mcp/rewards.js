@@ -0,0 +1,48 @@
+import { MAX_LOOT_CHANCE, MAX_XP } from "./constants.js";
+import { clamp, getGameRng, rollDice } from "./core-utils.js";
+import { applyInventoryDelta } from "./player-data.js";
+import { recordRoll } from "./roll-history.js";
+
+export function awardExperience(characters, xp) {
+  const amount = clamp(Math.trunc(Number(xp ?? 0)) || 0, 0, MAX_XP);
+  if (!amount) return [];
+  return characters.map((character) => {
+    character.pc.xp = clamp(Number(character.pc.xp ?? 0) + amount, 0, MAX_XP);
+    return { id: character.id, name: character.pc.name, xp: amount, total: character.pc.xp };
+  });
+}
+
+export function rollEnemyLoot(game, enemy) {
+  return (Array.isArray(enemy?.loot) ? enemy.loot : []).filter((entry) => {
+    if (entry.chance >= MAX_LOOT_CHANCE) return true;
+    const roll = rollDice(`1d${MAX_LOOT_CHANCE}`, getGameRng(game));
+    recordRoll(game, roll, {
+      source: "loot",
+      reason: `${entry.name} drop from ${enemy.name} (${entry.chance}% chance)`,
+    });
+    return roll.total <= entry.chance;
+  });
+}
+
+export function addLootToInventory(character, loot) {
+  const drops = loot.map(({ chance, ...item }) => item);
+  applyInventoryDelta(character, { add: drops });
+  return drops.map((item) => ({ name: item.name, qty: item.qty }));
+}
+
+export function describeCombatRewards(rewards) {
+  if (!rewards) return "";
+  let text = "";
+  if (rewards.xp > 0 && rewards.recipients.length > 0) {
+    const names = rewards.recipients.map((recipient) => recipient.name).join(", ");
+    const verb = rewards.recipients.length > 1 ? "each gain" : "gains";
+    text += ` ${names} ${verb} ${rewards.xp} XP.`;
+  }
+  if (rewards.loot.length > 0) {
+    const items = rewards.loot.map((item) =>
+      item.qty > 1 ? `${item.name} x${item.qty}` : item.name
+    );
+    text += ` Loot: ${items.join(", ")}.`;
+  }
+  return text;
+}
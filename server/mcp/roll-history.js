@@ -0,0 +1,53 @@
+import { MAX_ROLL_HISTORY } from "./constants.js";
+import { formatRollBreakdown, nowIso } from "./core-utils.js";
+
+export function recordRoll(
+  game,
+  roll,
+  { source, reason = "", actorId = null, hidden = false, ...details } = {}
+) {
+  const history = Array.isArray(game.rollHistory) ? game.rollHistory : [];
+  const entry = {
+    seq: Number(history[history.length - 1]?.seq ?? 0) + 1,
+    ...roll,
+    ...details,
+    source,
+    actorId,
+    encounter: game.combat?.encounter ?? null,
+    round: game.combat?.round ?? null,
+    reason,
+    hidden: Boolean(hidden),
+    at: nowIso(),
+  };
+  history.push(entry);
+  game.rollHistory = history.slice(-MAX_ROLL_HISTORY);
+  if (!entry.hidden) {
+    game.lastRoll = entry;
+  }
+  return entry;
+}
+
+export function queryRollHistory(
+  game,
+  { source, round, encounter, limit, includeHidden = false } = {}
+) {
+  const history = Array.isArray(game?.rollHistory) ? game.rollHistory : [];
+  const byRound = round !== undefined && round !== null;
+  const fight = encounter ?? (byRound ? game?.combat?.encounter ?? game?.encounterCount : null);
+  const filtered = history.filter(
+    (entry) =>
+      (includeHidden || !entry.hidden) &&
+      (!source || entry.source === source) &&
+      (fight === undefined || fight === null || entry.encounter === fight) &&
+      (!byRound || entry.round === round)
+  );
+  return limit ? filtered.slice(-limit) : filtered;
+}
+
+export function describeRollEntry(entry) {
+  const encounterText = entry.encounter ? `, encounter ${entry.encounter}` : "";
+  const roundText = `${encounterText}${entry.round ? `, round ${entry.round}` : ""}`;
+  const reasonText = entry.reason ? ` ${entry.reason}:` : "";
+  const hiddenText = entry.hidden ? ", hidden" : "";
+  return `#${entry.seq} [${entry.source}${roundText}${hiddenText}]${reasonText} ${entry.total} (${formatRollBreakdown(entry)})`;
+}
@@ -1,5 +1,82 @@
 import { z } from "zod";
-import { MAX_LEVEL, MAX_RANGE } from "./constants.js";
+import {
+  CONDITION_IDS,
+  CONTEST_TYPES,
+  DAMAGE_TYPES,
+  ENEMY_MORALE,
+  ENEMY_TACTICS,
+  FUMBLE_EFFECTS,
+  GRID_TERRAIN_TYPES,
+  INVALID_DICE_FORMULA_MESSAGE,
+  MAX_ARMOR_BONUS,
+  MAX_ARMOR_CLASS,
+  MAX_CONDITION_DURATION,
+  MAX_DIFFICULTY_CLASS,
+  MAX_GRID_SIZE,
+  MAX_LEVEL,
+  MAX_LOOT_CHANCE,
+  MAX_PARTY_SIZE,
+  MAX_RANGE,
+  MAX_ROLL_HISTORY,
+  MAX_SKILL_TARGETS,
+  MAX_WEAPON_AMMO,
+  MAX_XP,
+  MORALE_BREAK_ACTIONS,
+  ROLL_SOURCES,
+  SAVE_SUCCESS_EFFECTS,
+  SKILL_AREA_SHAPES,
+  SKILL_REACTIONS,
+  STAT_KEYS,
+  WEAPON_RELOAD_COSTS,
+} from "./constants.js";
+import { isValidDiceFormula } from "./player-data.js";
+
+export const rollModeSchema = z.enum(["normal", "advantage", "disadvantage"]);
+
+export const saveInputSchema = z.object({
+  stat: z.enum(STAT_KEYS),
+  dc: z.number().int().min(1).max(MAX_DIFFICULTY_CLASS).optional(),
+  dcStat: z.enum(STAT_KEYS).optional(),
+  onSuccess: z.enum(SAVE_SUCCESS_EFFECTS).optional(),
+});
+
+export const damageTypeSchema = z.enum(DAMAGE_TYPES);
+
+const diceFormulaSchema = z
+  .string()
+  .refine(isValidDiceFormula, { message: INVALID_DICE_FORMULA_MESSAGE });
+
+const damageAffinityFields = {
+  resistances: z.array(damageTypeSchema).optional(),
+  immunities: z.array(damageTypeSchema).optional(),
+  vulnerabilities: z.array(damageTypeSchema).optional(),
+};
+
+export const contestInputSchema = z.object({
+  type: z.enum(Object.keys(CONTEST_TYPES)).optional(),
+  actorStat: z.enum(STAT_KEYS).optional(),
+  targetStat: z.enum(STAT_KEYS).optional(),
+});
+
+const gridCoordinateSchema = z.number().int().min(0).max(MAX_GRID_SIZE - 1);
+
+export const gridCellSchema = z.object({
+  x: gridCoordinateSchema,
+  y: gridCoordinateSchema,
+});
+
+export const battleGridSchema = z.object({
+  width: z.number().int().min(1).max(MAX_GRID_SIZE),
+  height: z.number().int().min(1).max(MAX_GRID_SIZE),
+  terrain: z
+    .array(gridCellSchema.extend({ type: z.enum(GRID_TERRAIN_TYPES) }))
+    .optional(),
+});
+
+export const conditionApplicationSchema = z.object({
+  id: z.enum(CONDITION_IDS),
+  duration: z.number().int().min(1).max(MAX_CONDITION_DURATION).optional(),
+});
 
 export const weaponInputSchema = z.object({
   id: z.string().optional(),
@@ -7,7 +84,16 @@ export const weaponInputSchema = z.object({
   category: z.enum(["melee", "ranged"]).optional(),
   range: z.number().int().min(1).max(MAX_RANGE).optional(),
   equipped: z.boolean().optional(),
-  damageFormula: z.string().optional(),
+  damageFormula: diceFormulaSchema.optional(),
+  damageType: damageTypeSchema.optional(),
+  onHit: conditionApplicationSchema.optional(),
+  ammoItem: z.string().optional(),
+  ammo: z.number().int().min(0).max(MAX_WEAPON_AMMO).optional(),
+  magazine: z.number().int().min(1).max(MAX_WEAPON_AMMO).optional(),
+  loaded: z.number().int().min(0).max(MAX_WEAPON_AMMO).optional(),
+  reload: z.enum(WEAPON_RELOAD_COSTS).optional(),
+  durability: z.number().int().min(0).max(999).optional(),
+  durabilityMax: z.number().int().min(1).max(999).optional(),
 });
 
 export const skillInputSchema = z.object({
@@ -18,6 +104,34 @@ export const skillInputSchema = z.object({
   range: z.number().int().min(0).max(MAX_RANGE).optional(),
   target: z.enum(["enemy", "ally", "self"]).optional(),
   description: z.string().optional(),
+  damageFormula: diceFormulaSchema.optional(),
+  damageType: damageTypeSchema.optional(),
+  healFormula: diceFormulaSchema.optional(),
+  mpRestoreFormula: diceFormulaSchema.optional(),
+  scalingStat: z.enum(STAT_KEYS).optional(),
+  push: z.number().int().min(0).max(MAX_RANGE).optional(),
+  pull: z.number().int().min(0).max(MAX_RANGE).optional(),
+  area: z
+    .object({
+      shape: z.enum(SKILL_AREA_SHAPES),
+      radius: z.number().int().min(0).max(MAX_RANGE).optional(),
+    })
+    .optional(),
+  maxTargets: z.number().int().min(1).max(MAX_SKILL_TARGETS).optional(),
+  friendlyFire: z.boolean().optional(),
+  reaction: z.enum(SKILL_REACTIONS).optional(),
+  save: saveInputSchema.optional(),
+  condition: conditionApplicationSchema.optional(),
+});
+
+export const consumableInputSchema = z.object({
+  target: z.enum(["self", "ally", "enemy"]).optional(),
+  range: z.number().int().min(0).max(MAX_RANGE).optional(),
+  healFormula: diceFormulaSchema.optional(),
+  mpRestoreFormula: diceFormulaSchema.optional(),
+  damageFormula: diceFormulaSchema.optional(),
+  damageType: damageTypeSchema.optional(),
+  condition: conditionApplicationSchema.optional(),
 });
 
 export const inventoryItemInputSchema = z.object({
@@ -26,10 +140,41 @@ export const inventoryItemInputSchema = z.object({
   qty: z.number().int().optional(),
   notes: z.string().optional(),
   weapon: weaponInputSchema.optional(),
+  armor: z.number().int().min(0).max(MAX_ARMOR_BONUS).optional(),
+  equipped: z.boolean().optional(),
+  consumable: consumableInputSchema.optional(),
+});
+
+const statsInputSchema = z.object({
+  str: z.number().int().min(1).max(20),
+  agi: z.number().int().min(1).max(20),
+  con: z.number().int().min(1).max(20),
+  int: z.number().int().min(1).max(20),
+  wis: z.number().int().min(1).max(20),
+  cha: z.number().int().min(1).max(20),
+});
+
+export const partyMemberInputSchema = z.object({
+  id: z.string().optional(),
+  name: z.string(),
+  pronouns: z.string().optional(),
+  archetype: z.string().optional(),
+  background: z.string().optional(),
+  goal: z.string().optional(),
+  level: z.number().int().min(1).max(MAX_LEVEL).optional(),
+  xp: z.number().int().min(0).max(MAX_XP).optional(),
+  stats: statsInputSchema.optional(),
+  hpMax: z.number().int().min(1).max(999).optional(),
+  mpMax: z.number().int().min(0).max(999).optional(),
+  hp: z.number().int().min(0).max(999).optional(),
+  mp: z.number().int().min(0).max(999).optional(),
+  skills: z.array(skillInputSchema).optional(),
+  inventory: z.array(inventoryItemInputSchema).optional(),
 });
 
 export const setupPreferencesSchema = z.object({
   gameId: z.string().optional(),
+  seed: z.union([z.string(), z.number().int()]).optional(),
   genre: z.string().optional(),
   tone: z.string().optional(),
   storyElements: z.union([z.array(z.string()), z.string()]).optional(),
@@ -40,16 +185,7 @@ export const setupPreferencesSchema = z.object({
   startingHp: z.number().int().min(0).max(999).optional(),
   startingMp: z.number().int().min(0).max(999).optional(),
   statFocus: z.enum(["str", "agi", "con", "int", "wis", "cha"]).optional(),
-  stats: z
-    .object({
-      str: z.number().int().min(1).max(20),
-      agi: z.number().int().min(1).max(20),
-      con: z.number().int().min(1).max(20),
-      int: z.number().int().min(1).max(20),
-      wis: z.number().int().min(1).max(20),
-      cha: z.number().int().min(1).max(20),
-    })
-    .optional(),
+  stats: statsInputSchema.optional(),
   pc: z
     .object({
       name: z.string().optional(),
@@ -83,20 +219,114 @@ export const getStateSchema = z.object({
   gameId: z.string(),
 });
 
+export const rollHistorySchema = z.object({
+  gameId: z.string(),
+  source: z.enum(ROLL_SOURCES).optional(),
+  encounter: z.number().int().min(1).optional(),
+  round: z.number().int().min(1).optional(),
+  limit: z.number().int().min(1).max(MAX_ROLL_HISTORY).optional(),
+  includeHidden: z.boolean().optional(),
+});
+
 export const rollDiceSchema = z.object({
   gameId: z.string(),
+  characterId: z.string().optional(),
   formula: z.string(),
   reason: z.string().optional(),
+  rollMode: rollModeSchema.optional(),
+  hidden: z.boolean().optional(),
+});
+
+export const diceOddsSchema = z.object({
+  formula: z.string(),
+  target: z.number().int().optional(),
+  rollMode: rollModeSchema.optional(),
+});
+
+export const abilityCheckSchema = z.object({
+  gameId: z.string(),
+  characterId: z.string().optional(),
+  stat: z.enum(STAT_KEYS),
+  dc: z.number().int().min(1).max(MAX_DIFFICULTY_CLASS),
+  proficient: z.boolean().optional(),
+  rollMode: rollModeSchema.optional(),
+  reason: z.string().optional(),
+  hidden: z.boolean().optional(),
+});
+
+export const lootEntryInputSchema = inventoryItemInputSchema.extend({
+  chance: z.number().int().min(1).max(MAX_LOOT_CHANCE).optional(),
+});
+
+export const enemyInputSchema = z.object({
+  id: z.string().optional(),
+  name: z.string(),
+  hp: z.number().int().optional(),
+  hpMax: z.number().int().optional(),
+  status: z.string().optional(),
+  intent: z.string().optional(),
+  tactics: z.enum(ENEMY_TACTICS).optional(),
+  morale: z.enum(ENEMY_MORALE).optional(),
+  onBreak: z.enum(MORALE_BREAK_ACTIONS).optional(),
+  note: z.string().optional(),
+  xp: z.number().int().min(0).max(MAX_XP).optional(),
+  loot: z.array(lootEntryInputSchema).optional(),
+  mp: z.number().int().min(0).max(999).optional(),
+  mpMax: z.number().int().min(0).max(999).optional(),
+  level: z.number().int().min(1).max(MAX_LEVEL).optional(),
+  ac: z.number().int().min(1).max(MAX_ARMOR_CLASS).optional(),
+  conditions: z.array(conditionApplicationSchema).optional(),
+  ...damageAffinityFields,
+  stats: z
+    .object({
+      str: z.number().int().min(1).max(20).optional(),
+      agi: z.number().int().min(1).max(20).optional(),
+      con: z.number().int().min(1).max(20).optional(),
+      int: z.number().int().min(1).max(20).optional(),
+      wis: z.number().int().min(1).max(20).optional(),
+      cha: z.number().int().min(1).max(20).optional(),
+    })
+    .optional(),
+  position: z.number().int().min(0).max(100).optional(),
+  x: gridCoordinateSchema.optional(),
+  y: gridCoordinateSchema.optional(),
+  speed: z.number().int().min(0).max(MAX_RANGE).optional(),
+  movementRemaining: z.number().int().min(0).max(MAX_RANGE).optional(),
+  actionUsed: z.boolean().optional(),
+  reactionUsed: z.boolean().optional(),
+  defending: z.boolean().optional(),
+  dodging: z.boolean().optional(),
+  equippedWeaponId: z.string().optional(),
+  weapons: z.array(weaponInputSchema).optional(),
+  skills: z.array(skillInputSchema).optional(),
+});
+
+export const allyInputSchema = enemyInputSchema.extend({
+  controlledBy: z.enum(["auto", "player"]).optional(),
 });
 
 export const updateStateSchema = z.object({
   gameId: z.string(),
+  characterId: z.string().optional(),
+  activeCharacterId: z.string().optional(),
+  party: z
+    .object({
+      add: z.array(partyMemberInputSchema).max(MAX_PARTY_SIZE).optional(),
+      remove: z.array(z.string()).optional(),
+    })
+    .optional(),
   hpDelta: z.number().int().optional(),
   mpDelta: z.number().int().optional(),
   hp: z.number().int().optional(),
   mp: z.number().int().optional(),
   location: z.string().optional(),
   skills: z.array(skillInputSchema).optional(),
+  conditions: z
+    .object({
+      add: z.array(conditionApplicationSchema).optional(),
+      remove: z.array(z.enum(CONDITION_IDS)).optional(),
+    })
+    .optional(),
   pc: z
     .object({
       name: z.string().optional(),
@@ -105,7 +335,9 @@ export const updateStateSchema = z.object({
       background: z.string().optional(),
       goal: z.string().optional(),
       level: z.number().int().min(1).max(MAX_LEVEL).optional(),
+      xp: z.number().int().min(0).max(MAX_XP).optional(),
       skills: z.array(skillInputSchema).optional(),
+      ...damageAffinityFields,
     })
     .optional(),
   inventory: z
@@ -135,14 +367,19 @@ export const updateStateSchema = z.object({
       enemyHp: z.number().int().optional(),
       enemyHpMax: z.number().int().optional(),
       enemyIntent: z.string().optional(),
+      fumbleEffect: z.enum(FUMBLE_EFFECTS).optional(),
+      grid: battleGridSchema.nullable().optional(),
       pc: z
         .object({
           id: z.string().optional(),
           level: z.number().int().min(1).max(MAX_LEVEL).optional(),
           position: z.number().int().min(0).max(100).optional(),
+          x: gridCoordinateSchema.optional(),
+          y: gridCoordinateSchema.optional(),
           speed: z.number().int().min(0).max(MAX_RANGE).optional(),
           movementRemaining: z.number().int().min(0).max(MAX_RANGE).optional(),
           actionUsed: z.boolean().optional(),
+          reactionUsed: z.boolean().optional(),
           defending: z.boolean().optional(),
           dodging: z.boolean().optional(),
           equippedWeaponId: z.string().optional(),
@@ -152,39 +389,17 @@ export const updateStateSchema = z.object({
           mpMax: z.number().int().min(0).max(999).optional(),
           weapons: z.array(weaponInputSchema).optional(),
           skills: z.array(skillInputSchema).optional(),
+          ...damageAffinityFields,
         })
         .optional(),
-      enemies: z
-        .array(
-          z.object({
-            id: z.string().optional(),
-            name: z.string(),
-            hp: z.number().int().optional(),
-            hpMax: z.number().int().optional(),
-            status: z.string().optional(),
-            intent: z.string().optional(),
-            note: z.string().optional(),
-            mp: z.number().int().min(0).max(999).optional(),
-            mpMax: z.number().int().min(0).max(999).optional(),
-            level: z.number().int().min(1).max(MAX_LEVEL).optional(),
-            position: z.number().int().min(0).max(100).optional(),
-            speed: z.number().int().min(0).max(MAX_RANGE).optional(),
-            movementRemaining: z.number().int().min(0).max(MAX_RANGE).optional(),
-            actionUsed: z.boolean().optional(),
-            defending: z.boolean().optional(),
-            dodging: z.boolean().optional(),
-            equippedWeaponId: z.string().optional(),
-            weapons: z.array(weaponInputSchema).optional(),
-            skills: z.array(skillInputSchema).optional(),
-          })
-        )
-        .optional(),
+      allies: z.array(allyInputSchema).optional(),
+      enemies: z.array(enemyInputSchema).optional(),
       initiative: z
         .array(
           z.object({
             id: z.string().optional(),
             name: z.string(),
-            kind: z.enum(["pc", "enemy"]).optional(),
+            kind: z.enum(["pc", "ally", "enemy"]).optional(),
             initiative: z.number().int().optional(),
           })
         )
@@ -198,14 +413,42 @@ export const updateStateSchema = z.object({
 export const combatActionSchema = z.object({
   gameId: z.string(),
   actorId: z.string().optional(),
-  action: z.enum(["attack", "defend", "dodge", "use_skill", "move", "end_turn"]),
+  characterId: z.string().optional(),
+  action: z.enum([
+    "attack",
+    "defend",
+    "dodge",
+    "use_skill",
+    "force_save",
+    "contest",
+    "use_item",
+    "flee",
+    "reload",
+    "move",
+    "end_turn",
+  ]),
   targetId: z.string().optional(),
+  targetIds: z.array(z.string()).min(1).max(MAX_SKILL_TARGETS).optional(),
   weaponId: z.string().optional(),
   skillId: z.string().optional(),
+  itemId: z.string().optional(),
   damage: z.number().int().min(0).optional(),
+  damageFormula: diceFormulaSchema.optional(),
+  damageType: damageTypeSchema.optional(),
   heal: z.number().int().min(0).optional(),
+  gmOverride: z.boolean().optional(),
   moveBy: z.number().int().optional(),
-  moveTo: z.number().int().min(0).max(100).optional(),
+  moveTo: z.union([z.number().int().min(0).max(100), gridCellSchema]).optional(),
+  rollMode: rollModeSchema.optional(),
+  save: saveInputSchema.optional(),
+  contest: contestInputSchema.optional(),
+});
+
+export const useItemSchema = z.object({
+  gameId: z.string(),
+  characterId: z.string().optional(),
+  itemId: z.string(),
+  targetId: z.string().optional(),
 });
 
 export const resetGameSchema = z.object({
@@ -10,6 +10,7 @@ import {
   SETUP_SESSION_TTL_MS,
   STAT_KEYS,
 } from "./constants.js";
+import { defaultRng } from "./core-utils.js";
 
 const setupSessions = new Map();
 
@@ -50,26 +51,27 @@ export function getRequiredSetupChoices(mode = "guided") {
     : [...BASE_REQUIRED_SETUP_CHOICES];
 }
 
-function pickRandom(list, fallback) {
+function pickRandom(list, fallback, rng = defaultRng) {
   if (!Array.isArray(list) || list.length === 0) return fallback;
-  const index = crypto.randomInt(0, list.length);
+  const index = rng.int(0, list.length);
   return list[index];
 }
 
-export function applySetupDefaults(args = {}) {
+export function applySetupDefaults(args = {}, rng = defaultRng) {
   const merged = mergeSetupArgs({}, args);
-  if (!merged.genre) merged.genre = pickRandom(DEFAULT_GENRES, "Adventure");
-  if (!merged.tone) merged.tone = pickRandom(DEFAULT_TONES, "Cinematic");
+  if (!merged.genre) merged.genre = pickRandom(DEFAULT_GENRES, "Adventure", rng);
+  if (!merged.tone) merged.tone = pickRandom(DEFAULT_TONES, "Cinematic", rng);
   if (!merged.startingLocation) {
     merged.startingLocation = pickRandom(
       DEFAULT_STARTING_LOCATIONS,
-      "Old Harbor Market"
+      "Old Harbor Market",
+      rng
     );
   }
   merged.pc = merged.pc ?? {};
-  if (!merged.pc.name) merged.pc.name = pickRandom(DEFAULT_PC_NAMES, "Traveler");
+  if (!merged.pc.name) merged.pc.name = pickRandom(DEFAULT_PC_NAMES, "Traveler", rng);
   if (!merged.pc.archetype) {
-    merged.pc.archetype = pickRandom(DEFAULT_ARCHETYPES, "Specialist");
+    merged.pc.archetype = pickRandom(DEFAULT_ARCHETYPES, "Specialist", rng);
   }
   return merged;
 }
@@ -1,4 +1,5 @@
 import { normalizeStats, normalizeStoryElements, nowIso } from "./core-utils.js";
+import { getCharacter, summarizeRoster } from "./party.js";
 
 function sanitizeImageTheme(rawTheme) {
   const sanitized = String(rawTheme ?? "")
@@ -59,8 +60,12 @@ export function summarizeState(game, { imageRequest } = {}) {
     hp: game.hp,
     mp: game.mp,
     inventory: game.inventory,
+    party: Array.isArray(game.party) ? game.party : [],
+    activeCharacterId: getCharacter(game)?.id ?? null,
+    roster: summarizeRoster(game),
     location: game.location,
     combat: game.combat,
+    lastCombatOutcome: game.lastCombatOutcome ?? null,
     lastRoll: game.lastRoll,
     log: game.log.slice(-12),
     updatedAt: game.updatedAt,
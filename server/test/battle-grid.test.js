@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  chooseGridDestination,
+  findNearestOpenCell,
+  findReachableCells,
+  getCombatDistance,
+  getOccupiedCells,
+  hasCover,
+  isInSkillArea,
+  normalizeGrid,
+  pushOnGrid,
+} from "../mcp/battle-grid.js";
+import { MAX_GRID_SIZE, MAX_RANGE } from "../mcp/constants.js";
+
+function createWalledGrid() {
+  return normalizeGrid({
+    width: 6,
+    height: 4,
+    terrain: [
+      { x: 1, y: 0, type: "blocking" },
+      { x: 1, y: 1, type: "blocking" },
+      { x: 1, y: 2, type: "blocking" },
+      { x: 3, y: 2, type: "difficult" },
+      { x: 3, y: 3, type: "cover" },
+      { x: 9, y: 9, type: "cover" },
+      { x: 2, y: 2, type: "lava" },
+    ],
+  });
+}
+
+test("normalizeGrid keeps in-bounds terrain of known types", () => {
+  const grid = createWalledGrid();
+  assert.equal(grid.width, 6);
+  assert.equal(grid.height, 4);
+  assert.deepEqual(
+    grid.terrain.map((tile) => tile.type),
+    ["blocking", "blocking", "blocking", "difficult", "cover"]
+  );
+  assert.equal(normalizeGrid(null), null);
+});
+
+test("getCombatDistance counts diagonal squares on the grid and falls back to the line", () => {
+  assert.equal(getCombatDistance({ x: 0, y: 0 }, { x: 3, y: 2 }), 3);
+  assert.equal(getCombatDistance({ position: 2 }, { position: 7 }), 5);
+  assert.equal(getCombatDistance({ x: 0, y: 0, position: 2 }, { position: 7 }), 5);
+});
+
+test("findReachableCells paths around walls and pays double for difficult terrain", () => {
+  const grid = createWalledGrid();
+  const reachable = findReachableCells(grid, { x: 0, y: 0 }, 4);
+  assert.equal(reachable.has("1,0"), false);
+  assert.equal(reachable.get("0,3").cost, 3);
+  assert.equal(reachable.get("2,3").cost, 4);
+  assert.equal(reachable.has("3,2"), false);
+  assert.equal(findReachableCells(grid, { x: 2, y: 3 }, 2).get("3,2").cost, 2);
+
+  const occupied = getOccupiedCells([{ x: 0, y: 1 }]);
+  assert.equal(findReachableCells(grid, { x: 0, y: 0 }, 4, occupied).size, 1);
+});
+
+test("findReachableCells prices paths on the largest grid with dense terrain", () => {
+  const terrain = [];
+  for (let x = 1; x < MAX_GRID_SIZE; x += 2) {
+    for (let y = 0; y < MAX_GRID_SIZE; y += 1) terrain.push({ x, y, type: "difficult" });
+  }
+  const grid = normalizeGrid({ width: MAX_GRID_SIZE, height: MAX_GRID_SIZE, terrain });
+  const reachable = findReachableCells(grid, { x: 0, y: 0 }, MAX_RANGE);
+
+  assert.equal(reachable.get("20,0").cost, 30);
+  assert.equal(reachable.has("21,0"), false);
+  assert.equal(reachable.get(`0,${MAX_RANGE}`).cost, MAX_RANGE);
+  assert.equal(reachable.has(`0,${MAX_RANGE + 1}`), false);
+  assert.equal(reachable.get("1,1").cost, 2);
+});
+
+test("chooseGridDestination closes or opens distance along the cheapest path", () => {
+  const grid = createWalledGrid();
+  const toward = chooseGridDestination(
+    grid,
+    { x: 0, y: 0 },
+    { x: 5, y: 0 },
+    { desiredDistance: 1, movement: 6 }
+  );
+  assert.deepEqual(toward, { x: 4, y: 0, cost: 6 });
+  const away = chooseGridDestination(
+    grid,
+    { x: 4, y: 1 },
+    { x: 5, y: 1 },
+    { mode: "away", desiredDistance: 3, movement: 2 }
+  );
+  assert.equal(getCombatDistance(away, { x: 5, y: 1 }), 3);
+});
+
+test("hasCover, findNearestOpenCell, and pushOnGrid respect terrain", () => {
+  const grid = createWalledGrid();
+  assert.equal(hasCover(grid, { x: 0, y: 3 }, { x: 5, y: 3 }), true);
+  assert.equal(hasCover(grid, { x: 2, y: 0 }, { x: 5, y: 0 }), false);
+  assert.equal(hasCover(null, { x: 0, y: 3 }, { x: 5, y: 3 }), false);
+
+  assert.deepEqual(
+    findNearestOpenCell(grid, { x: 1, y: 1 }, getOccupiedCells([{ x: 0, y: 0 }])),
+    { x: 2, y: 0 }
+  );
+
+  const target = { x: 2, y: 1 };
+  assert.equal(pushOnGrid(grid, { x: 3, y: 1 }, target, 3), 0);
+  assert.deepEqual(target, { x: 2, y: 1 });
+  const shoved = { x: 3, y: 1 };
+  assert.equal(pushOnGrid(grid, { x: 2, y: 1 }, shoved, 3), 2);
+  assert.deepEqual(shoved, { x: 5, y: 1 });
+});
+
+test("isInSkillArea measures bursts, auras, and lines on the grid and the line", () => {
+  const caster = { x: 0, y: 0 };
+  const target = { x: 2, y: 2 };
+  const burst = { shape: "burst", radius: 1 };
+  const line = { shape: "line", radius: 0 };
+  const shape = { origin: caster, center: target, range: 4 };
+
+  assert.equal(isInSkillArea(burst, shape, { x: 3, y: 3 }), true);
+  assert.equal(isInSkillArea(burst, shape, { x: 0, y: 1 }), false);
+  assert.equal(isInSkillArea({ shape: "aura", radius: 1 }, shape, { x: 0, y: 1 }), true);
+  assert.equal(isInSkillArea(line, shape, { x: 4, y: 4 }), true);
+  assert.equal(isInSkillArea(line, shape, { x: 4, y: 3 }), false);
+  assert.equal(isInSkillArea(line, shape, caster), false);
+
+  const origin = { position: 5 };
+  const lineShape = { origin, center: { position: 2 }, range: 4 };
+  assert.equal(isInSkillArea(line, lineShape, { position: 1 }), true);
+  assert.equal(isInSkillArea(line, lineShape, { position: 0 }), false);
+  assert.equal(isInSkillArea(line, lineShape, { position: 6 }), false);
+});
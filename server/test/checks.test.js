@@ -0,0 +1,173 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  describeCheck,
+  formatModifier,
+  getArmorClass,
+  getAttackBonus,
+  getBestStat,
+  getCombatantCheckBonus,
+  getCombatantStats,
+  getLevelScaledModifier,
+  getProficiencyBonus,
+  getSaveDc,
+  getStatModifier,
+  gradeCheck,
+  resolveAbilityCheck,
+  resolveAttackRoll,
+  resolveContest,
+  resolveSavingThrow,
+} from "../mcp/checks.js";
+import { createRng, createRngState } from "../mcp/core-utils.js";
+
+test("getStatModifier follows the (stat - 10) / 2 rounded-down rule", () => {
+  assert.equal(getStatModifier(10), 0);
+  assert.equal(getStatModifier(15), 2);
+  assert.equal(getStatModifier(8), -1);
+  assert.equal(getStatModifier(1), -5);
+  assert.equal(getStatModifier(20), 5);
+  assert.equal(getStatModifier("bad"), 0);
+});
+
+test("getProficiencyBonus matches the guide progression", () => {
+  assert.equal(getProficiencyBonus(1), 2);
+  assert.equal(getProficiencyBonus(4), 2);
+  assert.equal(getProficiencyBonus(5), 3);
+  assert.equal(getProficiencyBonus(9), 4);
+  assert.equal(getProficiencyBonus(13), 5);
+  assert.equal(getProficiencyBonus(17), 6);
+  assert.equal(getProficiencyBonus(99), 6);
+});
+
+test("gradeCheck returns success, partial, or failure with margin", () => {
+  assert.deepEqual(gradeCheck(15, 15), { outcome: "success", margin: 0 });
+  assert.deepEqual(gradeCheck(12, 15), { outcome: "partial", margin: -3 });
+  assert.deepEqual(gradeCheck(11, 15), { outcome: "failure", margin: -4 });
+});
+
+test("resolveAbilityCheck applies stat modifier and proficiency", () => {
+  const check = resolveAbilityCheck({
+    stats: { str: 10, agi: 10, con: 10, int: 10, wis: 16, cha: 10 },
+    level: 5,
+    stat: "wis",
+    proficient: true,
+    dc: 15,
+    rng: createRng(createRngState("perception")),
+  });
+
+  assert.equal(check.modifier, 3);
+  assert.equal(check.proficiencyBonus, 3);
+  assert.equal(check.roll.formula, "d20+6");
+  assert.equal(check.total, check.roll.rolls[0] + 6);
+  assert.equal(check.margin, check.total - 15);
+  assert.equal(check.outcome, gradeCheck(check.total, 15).outcome);
+});
+
+test("resolveAbilityCheck omits proficiency and supports advantage", () => {
+  const check = resolveAbilityCheck({
+    stats: { str: 8, agi: 10, con: 10, int: 10, wis: 10, cha: 10 },
+    level: 9,
+    stat: "str",
+    dc: 10,
+    rollMode: "advantage",
+  });
+
+  assert.equal(check.proficiencyBonus, 0);
+  assert.equal(check.roll.formula, "d20-1");
+  assert.equal(check.roll.candidates.length, 2);
+  assert.equal(check.total, Math.max(...check.roll.candidates));
+});
+
+test("describeCheck and formatModifier produce narrator-friendly text", () => {
+  assert.equal(formatModifier(3), "+3");
+  assert.equal(formatModifier(-2), "-2");
+  assert.equal(
+    describeCheck({ stat: "agi", dc: 12, total: 10, outcome: "partial", margin: -2 }),
+    "AGI check vs DC 12: 10 (partial, missed by 2)"
+  );
+  assert.equal(
+    describeCheck({ stat: "int", dc: 12, total: 14, outcome: "success", margin: 2 }),
+    "INT check vs DC 12: 14 (success by 2)"
+  );
+});
+
+test("enemy combatants fall back to level-scaled stats", () => {
+  assert.equal(getLevelScaledModifier(1), 0);
+  assert.equal(getLevelScaledModifier(7), 2);
+  assert.equal(getLevelScaledModifier(20), 5);
+
+  const veteran = { level: 7, stats: null };
+  assert.equal(getCombatantStats(veteran).str, 14);
+  assert.equal(getCombatantCheckBonus(veteran, "str"), 2 + 3);
+  assert.equal(getSaveDc(veteran, "wis"), 8 + 3 + 2);
+
+  const brute = { level: 1, stats: { str: 18 } };
+  assert.equal(getCombatantStats(brute).str, 18);
+  assert.equal(getCombatantStats(brute).agi, 10);
+  assert.equal(getBestStat(brute), "str");
+  assert.equal(getBestStat(brute, ["agi", "wis"]), "agi");
+});
+
+test("resolveSavingThrow compares the total against the DC", () => {
+  const save = resolveSavingThrow({
+    bonus: 3,
+    dc: 13,
+    rng: createRng(createRngState("save")),
+  });
+
+  assert.equal(save.roll.formula, "d20+3");
+  assert.equal(save.success, save.total >= 13);
+  assert.equal(save.margin, save.total - 13);
+});
+
+test("resolveContest lets the defender win ties", () => {
+  const rng = { int: () => 10 };
+  const tie = resolveContest({ actorBonus: 2, targetBonus: 2, rng });
+  assert.equal(tie.winner, "target");
+  assert.equal(tie.margin, 0);
+
+  const win = resolveContest({ actorBonus: 3, targetBonus: 2, rng });
+  assert.equal(win.winner, "actor");
+  assert.equal(win.actorRoll.total, 13);
+  assert.equal(win.targetRoll.total, 12);
+});
+
+test("getArmorClass prefers explicit AC and otherwise uses agility plus armor", () => {
+  assert.equal(getArmorClass({ ac: 17, level: 1 }), 17);
+  assert.equal(getArmorClass({ level: 1, stats: { agi: 14 } }, 2), 14);
+  assert.equal(getArmorClass({ level: 1 }), 10);
+  assert.equal(getArmorClass({ level: 20 }), 15);
+});
+
+test("getAttackBonus uses STR for melee and AGI for ranged weapons", () => {
+  const combatant = { level: 5, stats: { str: 16, agi: 12 } };
+  assert.equal(getAttackBonus(combatant, { category: "melee" }), 6);
+  assert.equal(getAttackBonus(combatant, { category: "ranged" }), 4);
+});
+
+test("resolveAttackRoll compares the total against AC", () => {
+  const attack = resolveAttackRoll({
+    bonus: 4,
+    ac: 15,
+    rng: createRng(createRngState("arrow")),
+  });
+
+  assert.equal(attack.roll.formula, "d20+4");
+  assert.equal(attack.natural, attack.roll.rolls[0]);
+  assert.equal(attack.total, attack.natural + 4);
+  assert.equal(attack.hit, attack.total >= 15);
+  assert.equal(attack.margin, attack.total - 15);
+});
+
+test("resolveAttackRoll treats natural 20s as critical hits and natural 1s as fumbles", () => {
+  const critical = resolveAttackRoll({ bonus: 0, ac: 40, rng: createRng(createRngState("crit-42")) });
+  assert.equal(critical.natural, 20);
+  assert.equal(critical.critical, true);
+  assert.equal(critical.hit, true);
+
+  const fumble = resolveAttackRoll({ bonus: 10, ac: 1, rng: createRng(createRngState("fumble-23")) });
+  assert.equal(fumble.natural, 1);
+  assert.equal(fumble.fumble, true);
+  assert.equal(fumble.hit, false);
+});
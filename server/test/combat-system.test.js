@@ -2,8 +2,12 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import { createCombatSystem } from "../mcp/combat-system.js";
+import { createRngState } from "../mcp/core-utils.js";
+import { normalizePartyMember } from "../mcp/party.js";
+import { queryRollHistory } from "../mcp/roll-history.js";
+import { rollHistorySchema } from "../mcp/schemas.js";
 
-function createGame({ inventory = [], skills = [], hp = 12, mp = 6 } = {}) {
+function createGame({ inventory = [], skills = [], hp = 12, mp = 6, seed } = {}) {
   return {
     gameId: "game_test",
     phase: "exploration",
@@ -29,7 +33,9 @@ function createGame({ inventory = [], skills = [], hp = 12, mp = 6 } = {}) {
     location: "Test Arena",
     combat: null,
     lastRoll: null,
+    rollHistory: [],
     log: [],
+    rng: createRngState(seed),
   };
 }
 
@@ -51,7 +57,15 @@ function createSwordInventory() {
   ];
 }
 
-function createCombatSystemForTest() {
+function createRiggedRng(d20) {
+  return {
+    int(min, max) {
+      return max - min === 20 ? d20 : min;
+    },
+  };
+}
+
+function createCombatSystemForTest({ d20 } = {}) {
   return createCombatSystem({
     addLog(game, entry, kind = "system") {
       game.log.push({
@@ -60,10 +74,15 @@ function createCombatSystemForTest() {
         text: entry,
       });
     },
+    getRng: d20 === undefined ? undefined : () => createRiggedRng(d20),
   });
 }
 
-function startCombat(system, game, { enemyPosition = 1, enemyHp = 6 } = {}) {
+function findRoll(game, predicate) {
+  return game.rollHistory.find(predicate);
+}
+
+function startCombat(system, game, { enemyPosition = 1, enemyHp = 6, enemyAc } = {}) {
   const pcId = `pc_${game.gameId}`;
   const enemyId = "enemy_1";
 
@@ -83,6 +102,7 @@ function startCombat(system, game, { enemyPosition = 1, enemyHp = 6 } = {}) {
         hp: enemyHp,
         hpMax: enemyHp,
         position: enemyPosition,
+        ac: enemyAc,
         speed: 6,
         movementRemaining: 6,
         weapons: [
@@ -190,7 +210,7 @@ test("resolveCombatAction rejects out-of-range attacks", () => {
 });
 
 test("resolveCombatAction attack can end combat in victory", () => {
-  const system = createCombatSystemForTest();
+  const system = createCombatSystemForTest({ d20: 15 });
   const game = createGame({ inventory: createSwordInventory() });
   const { enemyId } = startCombat(system, game, { enemyPosition: 1, enemyHp: 4 });
 
@@ -205,6 +225,239 @@ test("resolveCombatAction attack can end combat in victory", () => {
   assert.match(result.message, /victory/i);
   assert.equal(game.combat, null);
   assert.equal(game.phase, "exploration");
+  assert.equal(game.lastCombatOutcome.encounter, 1);
+
+  startCombat(system, game);
+  assert.equal(game.combat.encounter, 2);
+  assert.equal(game.combat.round, 1);
+});
+
+test("resolveCombatAction records both d20s for attacks with advantage", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  const { enemyId } = startCombat(system, game, { enemyPosition: 1, enemyHp: 20 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+    damage: 1,
+    rollMode: "advantage",
+  });
+
+  assert.equal(result.ok, true);
+  const attackRoll = findRoll(game, (entry) => entry.source === "attack");
+  assert.equal(attackRoll.mode, "advantage");
+  assert.equal(attackRoll.candidates.length, 2);
+  assert.equal(attackRoll.total, Math.max(...attackRoll.candidates));
+  assert.match(result.message, /with advantage \(rolled \d+, \d+; kept \d+\)/);
+  assert.ok(
+    game.log.some((entry) => /Attack roll: \d+ vs AC \d+ with advantage/.test(entry.text))
+  );
+});
+
+test("seeded games replay identical combat outcomes", () => {
+  const play = () => {
+    const system = createCombatSystemForTest();
+    const game = createGame({ inventory: createSwordInventory(), seed: "duel" });
+    game.inventory[0].weapon.damageFormula = "1d8+1";
+    const { enemyId } = startCombat(system, game, { enemyHp: 30 });
+    game.combat.enemies[0].weapons[0].damageFormula = "1d6";
+    game.combat.initiative = game.combat.initiative.map((entry) => ({
+      ...entry,
+      initiative: 0,
+    }));
+    system.syncCombatState(game);
+    for (let turn = 0; turn < 3 && game.combat; turn += 1) {
+      system.resolveCombatAction(game, {
+        gameId: game.gameId,
+        action: "attack",
+        targetId: enemyId,
+      });
+    }
+    return {
+      log: game.log.map((entry) => entry.text),
+      hp: game.hp.current,
+      lastRoll: game.lastRoll && { ...game.lastRoll, at: null },
+      rng: game.rng,
+    };
+  };
+
+  assert.deepEqual(play(), play());
+});
+
+test("resolveCombatAction force_save applies damage by save outcome", () => {
+  const forceSave = (d20) => {
+    const system = createCombatSystemForTest({ d20 });
+    const game = createGame({ inventory: createSwordInventory() });
+    const { enemyId } = startCombat(system, game, { enemyHp: 30 });
+    const result = system.resolveCombatAction(game, {
+      gameId: game.gameId,
+      action: "force_save",
+      targetId: enemyId,
+      save: { stat: "con", dc: 12, onSuccess: "negate" },
+      damageFormula: "6",
+    });
+    return { game, result, saveRoll: findRoll(game, (entry) => entry.save) };
+  };
+
+  const saved = forceSave(15);
+  assert.equal(saved.result.ok, true);
+  assert.equal(saved.saveRoll.save.dc, 12);
+  assert.equal(saved.saveRoll.save.stat, "con");
+  assert.equal(saved.saveRoll.save.success, true);
+  assert.match(saved.result.message, /CON save vs DC 12/);
+  assert.ok(saved.game.log.some((entry) => /forces Goblin to resist/.test(entry.text)));
+  assert.equal(saved.game.combat.enemies[0].hp, 30);
+
+  const failed = forceSave(1);
+  assert.equal(failed.result.ok, true);
+  assert.equal(failed.saveRoll.save.success, false);
+  assert.equal(failed.game.combat.enemies[0].hp, 24);
+});
+
+test("force_save rejects invalid formulas and takes explicit damage only as a GM override", () => {
+  const system = createCombatSystemForTest({ d20: 1 });
+  const game = createGame({ inventory: createSwordInventory() });
+  const { enemyId } = startCombat(system, game, { enemyHp: 30 });
+  const saveArgs = {
+    gameId: game.gameId,
+    action: "force_save",
+    targetId: enemyId,
+    save: { stat: "con", dc: 12 },
+    damage: 9,
+  };
+
+  const rejected = system.resolveCombatAction(game, saveArgs);
+  assert.equal(rejected.ok, false);
+  assert.match(rejected.message, /gmOverride: true/);
+
+  const garbled = system.resolveCombatAction(game, {
+    ...saveArgs,
+    damage: undefined,
+    damageFormula: "2x6",
+  });
+  assert.deepEqual(garbled, {
+    ok: false,
+    message: "Invalid dice formula. Try d20, 2d6+3, or 4d6kh3.",
+  });
+  assert.equal(game.combat.enemies[0].hp, 30);
+  assert.equal(game.combat.enemies[0].hp, 30);
+
+  const forced = system.resolveCombatAction(game, { ...saveArgs, gmOverride: true });
+  assert.equal(forced.ok, true);
+  assert.match(
+    forced.message,
+    /^Hero forces Goblin to resist\. \(GM override\) Goblin CON save vs DC 12: \d+ \(failure\)\. 9 damage dealt\./
+  );
+  assert.equal(game.combat.enemies[0].hp, 21);
+});
+
+test("skills that require a save roll it for the target instead of an attack", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({
+    inventory: createSwordInventory(),
+    skills: [
+      {
+        id: "skill_quake",
+        name: "Quake",
+        mpCost: 1,
+        range: 6,
+        target: "enemy",
+        save: { stat: "agi", dc: 30 },
+        damageFormula: "4",
+      },
+    ],
+  });
+  const { enemyId } = startCombat(system, game, { enemyHp: 30 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_quake",
+    targetId: enemyId,
+  });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Goblin AGI save vs DC 30: \d+ \(failure\)\. 4 damage dealt/);
+  assert.doesNotMatch(result.message.split("Turn ends")[0], /Attack roll/);
+  assert.equal(
+    findRoll(game, (entry) => entry.source === "skill" && /d20/.test(entry.formula)),
+    undefined
+  );
+});
+
+test("resolveCombatAction contest grapples or shoves the loser", () => {
+  const system = createCombatSystemForTest({ d20: 10 });
+  const game = createGame({ inventory: createSwordInventory() });
+  game.stats.str = 20;
+  const { enemyId, pcId } = startCombat(system, game, { enemyHp: 30 });
+  game.combat.enemies[0].stats = { str: 1, agi: 1 };
+
+  const grapple = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "contest",
+    targetId: enemyId,
+    contest: { type: "grapple" },
+  });
+
+  assert.equal(grapple.ok, true);
+  const contestRoll = findRoll(game, (entry) => entry.contest);
+  assert.equal(contestRoll.contest.type, "grapple");
+  assert.equal(contestRoll.contest.actorStat, "str");
+  assert.equal(contestRoll.contest.winner, "actor");
+  assert.equal(game.combat.enemies[0].grappledBy, pcId);
+
+  const shoveGame = createGame({ inventory: createSwordInventory() });
+  shoveGame.stats.str = 20;
+  startCombat(system, shoveGame, { enemyHp: 30 });
+  const goblin = getCombatantById(shoveGame, enemyId);
+  goblin.stats = { str: 1, agi: 1 };
+  goblin.speed = 0;
+
+  const shove = system.resolveCombatAction(shoveGame, {
+    gameId: shoveGame.gameId,
+    action: "contest",
+    targetId: enemyId,
+    contest: { type: "shove" },
+  });
+
+  assert.equal(shove.ok, true);
+  assert.match(shove.message, /Goblin is pushed to position 2\./);
+  assert.equal(getCombatantById(shoveGame, enemyId).position, 2);
+  assert.equal(getCombatantById(shoveGame, enemyId).grappledBy, null);
+});
+
+test("grappled combatants cannot move", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  const { enemyId } = startCombat(system, game);
+  game.combat.pc.grappledBy = enemyId;
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "move",
+    moveBy: -1,
+  });
+
+  assert.equal(result.ok, false);
+  assert.match(result.message, /grappled by Goblin/);
+});
+
+test("resolveCombatAction rejects grapples out of reach", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  const { enemyId } = startCombat(system, game, { enemyPosition: 5 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "contest",
+    targetId: enemyId,
+    contest: { type: "shove" },
+  });
+
+  assert.equal(result.ok, false);
+  assert.match(result.message, /out of reach for a shove/);
 });
 
 test("resolveCombatAction validates MP for skills", () => {
@@ -248,3 +501,1408 @@ test("applyCombatUpdate(active=false) exits combat and logs the change", () => {
   assert.equal(game.phase, "exploration");
   assert.ok(game.log.some((entry) => /combat ended/i.test(entry.text)));
 });
+
+test("combat rolls are recorded in the roll history by source", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory(), seed: "history" });
+  game.inventory[0].weapon.damageFormula = "1d4";
+  const { pcId, enemyId } = startCombat(system, game, { enemyHp: 30 });
+  game.combat.enemies[0].weapons[0].damageFormula = "1d6";
+  game.combat.initiative = game.combat.initiative.map((entry) => ({ ...entry, initiative: 0 }));
+  system.syncCombatState(game);
+
+  const initiativeRolls = game.rollHistory.filter((entry) => entry.source === "initiative");
+  assert.deepEqual(initiativeRolls.map((entry) => entry.actorId).sort(), [enemyId, pcId].sort());
+
+  game.combat.currentTurnId = pcId;
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+  });
+
+  assert.equal(result.ok, true);
+  const sources = game.rollHistory.map((entry) => entry.source);
+  assert.ok(sources.includes("attack"));
+  assert.ok(sources.includes("enemy_turn"));
+  assert.ok(game.rollHistory.every((entry) => entry.round >= 1 && entry.formula));
+  assert.equal(game.combat.encounter, 1);
+  assert.ok(game.rollHistory.every((entry) => entry.encounter === 1));
+});
+
+test("attacks that miss armor class deal no damage and are reported", () => {
+  const system = createCombatSystemForTest({ d20: 19 });
+  const game = createGame({ inventory: createSwordInventory() });
+  const { enemyId } = startCombat(system, game, { enemyHp: 20, enemyAc: 30 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+    damage: 5,
+  });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Hero attacks Goblin with Sword and misses\. Attack roll: 21 vs AC 30/);
+  assert.equal(game.combat.enemies[0].hp, 20);
+  const attackRoll = findRoll(game, (entry) => entry.source === "attack");
+  assert.equal(attackRoll.attack.hit, false);
+  assert.equal(attackRoll.attack.ac, 30);
+});
+
+test("enemy skills without a save roll to hit armor class and can miss", () => {
+  const skills = [
+    {
+      id: "skill_frost",
+      name: "Frost Bolt",
+      mpCost: 2,
+      range: 6,
+      damageFormula: "4",
+      scalingStat: "int",
+      condition: { id: "stunned", duration: 1 },
+    },
+  ];
+  const missSystem = createCombatSystemForTest({ d20: 10 });
+  const missed = createGame({ inventory: createSwordInventory(), skills });
+  const { enemyId } = startCombat(missSystem, missed, { enemyHp: 20, enemyAc: 15 });
+
+  const miss = missSystem.resolveCombatAction(missed, {
+    gameId: missed.gameId,
+    action: "use_skill",
+    skillId: "skill_frost",
+    targetId: enemyId,
+  });
+  assert.equal(miss.ok, true);
+  assert.match(
+    miss.message,
+    /^Hero uses Frost Bolt on Goblin\. Frost Bolt misses Goblin\. Attack roll: 12 vs AC 15\./
+  );
+  assert.equal(getCombatantById(missed, enemyId).hp, 20);
+  assert.deepEqual(getCombatantById(missed, enemyId).conditions, []);
+  assert.equal(missed.combat.pc.mp, 4);
+  const missRoll = findRoll(missed, (entry) => entry.source === "skill" && entry.attack);
+  assert.equal(missRoll.attack.hit, false);
+  assert.equal(missRoll.attack.ac, 15);
+
+  const hitSystem = createCombatSystemForTest({ d20: 13 });
+  const struck = createGame({ inventory: createSwordInventory(), skills });
+  startCombat(hitSystem, struck, { enemyHp: 20, enemyAc: 15 });
+  const hit = hitSystem.resolveCombatAction(struck, {
+    gameId: struck.gameId,
+    action: "use_skill",
+    skillId: "skill_frost",
+    targetId: enemyId,
+  });
+  assert.match(
+    hit.message,
+    /^Hero uses Frost Bolt on Goblin\. 4 damage dealt\. \[4 = 4\] Goblin is stunned.*Attack roll: 15 vs AC 15\./
+  );
+  assert.equal(getCombatantById(struck, enemyId).hp, 16);
+});
+
+test("player armor class comes from agility and worn armor", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({
+    inventory: [
+      ...createSwordInventory(),
+      { id: "item_mail", name: "Chain Mail", qty: 1, armor: 4, equipped: true },
+      { id: "item_plate", name: "Spare Plate", qty: 1, armor: 6 },
+    ],
+  });
+  game.stats.agi = 14;
+  startCombat(system, game);
+
+  assert.equal(game.combat.pc.ac, 16);
+  assert.equal(game.combat.enemies[0].ac, 10);
+});
+
+test("enemy armor class is re-derived from stats unless the caller sets it", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  startCombat(system, game);
+  const goblin = game.combat.enemies[0];
+  assert.equal(goblin.ac, 10);
+  assert.equal(goblin.explicitAc, null);
+
+  system.applyCombatUpdate(game, {
+    active: true,
+    enemies: [{ ...goblin, stats: { ...goblin.stats, agi: 16 } }],
+  });
+  assert.equal(game.combat.enemies[0].ac, 13);
+
+  system.applyCombatUpdate(game, {
+    active: true,
+    enemies: [{ id: goblin.id, name: "Goblin", ac: 17 }],
+  });
+  system.applyCombatUpdate(game, {
+    active: true,
+    enemies: [{ id: goblin.id, name: "Goblin", stats: { agi: 8 } }],
+  });
+  assert.equal(game.combat.enemies[0].ac, 17);
+  assert.equal(game.combat.enemies[0].explicitAc, 17);
+});
+
+test("critical hits double weapon damage dice", () => {
+  const system = createCombatSystemForTest({ d20: 20 });
+  const game = createGame({ inventory: createSwordInventory() });
+  game.inventory[0].weapon.damageFormula = "1d8+1";
+  const { enemyId } = startCombat(system, game, { enemyHp: 40, enemyAc: 30 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+  });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Hero lands a critical hit on Goblin with Sword for \d+ damage\. \[2d8 \[/);
+  assert.match(result.message, /Natural 20\./);
+  const damageRoll = findRoll(game, (entry) => entry.critical);
+  assert.equal(damageRoll.terms[0].dice.length, 2);
+  assert.equal(game.combat.enemies[0].hp, 40 - damageRoll.total);
+  assert.ok(game.log.some((entry) => /critical hit/.test(entry.text)));
+});
+
+test("fumbles apply the configured consequence", () => {
+  const system = createCombatSystemForTest({ d20: 1 });
+  const game = createGame({ inventory: createSwordInventory() });
+  const { enemyId } = startCombat(system, game, { enemyHp: 20, enemyAc: 1 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+    damage: 5,
+  });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Hero fumbles an attack on Goblin with Sword! Hero stumbles/);
+  assert.equal(game.combat.enemies[0].hp, 20);
+  assert.equal(game.combat.currentTurnId, game.combat.pc.id);
+  assert.equal(game.combat.pc.movementRemaining, 0);
+  assert.equal(game.combat.pc.offBalance, false);
+
+  const guarded = createGame({ inventory: createSwordInventory() });
+  const ids = startCombat(system, guarded, { enemyHp: 20, enemyAc: 1 });
+  system.applyCombatUpdate(guarded, { active: true, fumbleEffect: "drop_guard" });
+  const dropped = system.resolveCombatAction(guarded, {
+    gameId: guarded.gameId,
+    action: "attack",
+    targetId: ids.enemyId,
+  });
+
+  assert.match(dropped.message, /Hero drops their guard/);
+  assert.equal(guarded.combat.rules.fumbleEffect, "drop_guard");
+  assert.equal(findRoll(guarded, (entry) => entry.source === "enemy_turn").mode, "advantage");
+  assert.equal(guarded.combat.pc.exposed, false);
+});
+
+test("defending halves incoming damage and dodging imposes disadvantage", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createSwordInventory() });
+  const { enemyId } = startCombat(system, game, { enemyHp: 20 });
+  game.combat.enemies[0].defending = true;
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+    damage: 5,
+  });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Hero hits Goblin with Sword for 2 damage\. Goblin's guard halves the damage\./);
+  assert.equal(game.combat.enemies[0].hp, 18);
+
+  const dodgeGame = createGame({ inventory: createSwordInventory() });
+  const ids = startCombat(system, dodgeGame, { enemyHp: 20 });
+  dodgeGame.combat.enemies[0].dodging = true;
+  system.resolveCombatAction(dodgeGame, {
+    gameId: dodgeGame.gameId,
+    action: "attack",
+    targetId: ids.enemyId,
+  });
+  assert.equal(findRoll(dodgeGame, (entry) => entry.source === "attack").mode, "disadvantage");
+});
+
+test("dodging grants advantage on AGI saves", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory(), seed: "force-save" });
+  const { enemyId } = startCombat(system, game, { enemyHp: 30 });
+  game.combat.enemies[0].dodging = true;
+
+  system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "force_save",
+    targetId: enemyId,
+    save: { stat: "agi", dc: 12 },
+  });
+
+  assert.equal(findRoll(game, (entry) => entry.save).mode, "advantage");
+});
+
+test("badly hurt enemies defend instead of attacking a dodging player", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  startCombat(system, game, { enemyHp: 20 });
+  game.combat.enemies[0].hp = 3;
+
+  const result = system.resolveCombatAction(game, { gameId: game.gameId, action: "dodge" });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Goblin is badly hurt and braces behind its guard/);
+  assert.equal(game.combat.enemies[0].defending, true);
+  assert.equal(findRoll(game, (entry) => entry.source === "enemy_turn"), undefined);
+});
+
+test("weapon hits apply conditions that tick at the start of the target's turn", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createSwordInventory() });
+  game.inventory[0].weapon.onHit = { id: "poisoned", duration: 2 };
+  const { enemyId } = startCombat(system, game, { enemyHp: 20 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+    damage: 1,
+  });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Goblin is poisoned \(2 rounds\)\./);
+  assert.match(result.message, /Goblin takes \d+ poison damage\./);
+  const tick = findRoll(game, (entry) => entry.source === "condition");
+  assert.equal(tick.actorId, enemyId);
+  assert.equal(game.combat.enemies[0].hp, 19 - tick.total);
+  assert.equal(game.combat.enemies[0].conditions[0].remaining, 1);
+});
+
+test("a burn tick that drops the last enemy ends combat before the next turn starts", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createSwordInventory() });
+  startCombat(system, game, { enemyHp: 1 });
+  game.combat.enemies[0].conditions = [{ id: "burning", remaining: 2 }];
+
+  const result = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+
+  assert.equal(result.ok, true);
+  assert.match(
+    result.message,
+    /Goblin takes 1 fire damage\. \[1d6 \[1\] = 1\] Goblin goes down\. Combat ends in victory\.$/
+  );
+  assert.doesNotMatch(result.message, /It is now Hero's turn/);
+  assert.equal(game.combat, null);
+  assert.equal(game.lastCombatOutcome.outcome, "victory");
+  assert.equal(game.lastCombatOutcome.round, 1);
+});
+
+test("a poison tick that drops the last enemy at the start of its turn ends combat", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createSwordInventory() });
+  startCombat(system, game, { enemyHp: 1 });
+  game.combat.enemies[0].conditions = [{ id: "poisoned", remaining: 2 }];
+
+  const result = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+
+  assert.match(result.message, /Goblin goes down\. Combat ends in victory\.$/);
+  assert.equal(game.combat, null);
+  assert.equal(game.lastCombatOutcome.outcome, "victory");
+  assert.equal(findRoll(game, (entry) => entry.source === "enemy_turn"), undefined);
+});
+
+test("a stunned combatant that burns down on its skipped turn ends combat", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createSwordInventory() });
+  startCombat(system, game, { enemyHp: 1 });
+  game.combat.enemies[0].conditions = [
+    { id: "stunned", remaining: 1 },
+    { id: "burning", remaining: 2 },
+  ];
+
+  const result = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+
+  assert.match(
+    result.message,
+    /Goblin is stunned and loses the turn\. Goblin takes 1 fire damage\..* Goblin goes down\. Combat ends in victory\.$/
+  );
+  assert.doesNotMatch(result.message, /It is now/);
+  assert.equal(game.combat, null);
+  assert.equal(game.lastCombatOutcome.outcome, "victory");
+  assert.equal(game.lastCombatOutcome.round, 1);
+});
+
+test("stunned combatants lose their turn and the stun expires", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  startCombat(system, game);
+  game.combat.enemies[0].conditions = [{ id: "stunned", remaining: 1 }];
+
+  const result = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Goblin is stunned and loses the turn\. Goblin is no longer stunned\. It is now Hero's turn\./);
+  assert.equal(game.combat.currentTurnId, game.combat.pc.id);
+  assert.equal(game.combat.round, 2);
+  assert.deepEqual(game.combat.enemies[0].conditions, []);
+  assert.equal(findRoll(game, (entry) => entry.source === "enemy_turn"), undefined);
+});
+
+test("hasted combatants move farther each turn", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  game.pc.conditions = [{ id: "hasted", duration: 3 }];
+  startCombat(system, game, { enemyPosition: 20 });
+
+  assert.equal(game.combat.pc.movementRemaining, 6);
+  system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+
+  assert.equal(game.combat.currentTurnId, game.combat.pc.id);
+  assert.equal(game.combat.pc.movementRemaining, 12);
+  assert.equal(game.pc.conditions[0].remaining, 2);
+});
+
+function startCombatWithAlly(system, game, { controlledBy = "auto", allyHp = 30 } = {}) {
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    pc: { position: 0, speed: 6, movementRemaining: 6 },
+    allies: [
+      {
+        id: "ally_squire",
+        name: "Squire",
+        hp: allyHp,
+        hpMax: allyHp,
+        position: 5,
+        controlledBy,
+        weapons: [{ id: "w_spear", name: "Spear", category: "melee", equipped: true }],
+      },
+    ],
+    enemies: [{ id: "enemy_1", name: "Goblin", hp: 40, hpMax: 40, position: 6 }],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "ally_squire", name: "Squire", kind: "ally", initiative: 15 },
+      { id: "enemy_1", name: "Goblin", kind: "enemy", initiative: 10 },
+    ],
+  });
+  return { pcId, allyId: "ally_squire", enemyId: "enemy_1" };
+}
+
+test("auto allies take their turns and enemies target the nearest party member", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  const { allyId, enemyId } = startCombatWithAlly(system, game);
+
+  assert.deepEqual(
+    game.combat.initiative.map((entry) => entry.kind),
+    ["pc", "ally", "enemy"]
+  );
+  const result = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Automated turns resolved:/);
+  const allyAttack = findRoll(game, (entry) => entry.actorId === allyId);
+  assert.equal(allyAttack.attack.targetId, enemyId);
+  const enemyAttack = findRoll(game, (entry) => entry.source === "enemy_turn");
+  assert.equal(enemyAttack.attack.targetId, allyId);
+  assert.equal(game.combat.currentTurnId, game.combat.pc.id);
+});
+
+test("player-controlled allies wait for an order on their turn", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  const { allyId, enemyId } = startCombatWithAlly(system, game, { controlledBy: "player" });
+
+  const first = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+  assert.match(first.message, /It is now Squire's turn\.$/);
+  assert.equal(game.combat.currentTurnId, allyId);
+  assert.equal(game.combat.turn.playerControlled, true);
+
+  const order = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    actorId: allyId,
+    action: "attack",
+    targetId: enemyId,
+    damage: 4,
+  });
+  assert.equal(order.ok, true);
+  assert.match(order.message, /^Squire (hits|attacks|fumbles|lands)/);
+  assert.equal(findRoll(game, (entry) => entry.actorId === allyId).attack.targetId, enemyId);
+  assert.equal(game.combat.currentTurnId, game.combat.pc.id);
+});
+
+test("ally skills can target allied combatants", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({
+    inventory: createSwordInventory(),
+    skills: [
+      { id: "skill_mend", name: "Mend", target: "ally", range: 10, mpCost: 1, healFormula: "5" },
+    ],
+  });
+  const { allyId } = startCombatWithAlly(system, game);
+  game.combat.allies[0].hp = 10;
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_mend",
+    targetId: allyId,
+  });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /Hero uses Mend on Squire\. 5 HP restored\./);
+});
+
+test("combat continues while any member of the player's side is standing", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  const { allyId } = startCombatWithAlly(system, game, { controlledBy: "player" });
+  game.hp.current = 0;
+  game.combat.pc.hp = 0;
+  game.combat.currentTurnId = allyId;
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    actorId: allyId,
+    action: "defend",
+  });
+
+  assert.equal(result.ok, true);
+  assert.doesNotMatch(result.message, /Combat ends/);
+  assert.equal(game.phase, "combat");
+  assert.equal(findRoll(game, (entry) => entry.source === "enemy_turn").attack.targetId, allyId);
+  assert.equal(game.combat.currentTurnId, allyId);
+});
+
+test("party members join combat as player-controlled allies and keep their vitals", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  game.party = [
+    normalizePartyMember({
+      id: "pc_brin",
+      name: "Brin",
+      hpMax: 10,
+      inventory: [{ name: "Mace", weapon: { category: "melee", damageFormula: "1d6" } }],
+    }),
+  ];
+  startCombat(system, game, { enemyHp: 30 });
+
+  const brin = game.combat.allies[0];
+  assert.equal(brin.id, "pc_brin");
+  assert.equal(brin.characterId, "pc_brin");
+  assert.equal(brin.controlledBy, "player");
+  assert.equal(brin.equippedWeaponId, "weapon_mace");
+  assert.ok(game.combat.initiative.some((entry) => entry.id === "pc_brin" && entry.kind === "ally"));
+
+  game.combat.currentTurnId = "pc_brin";
+  brin.hp = 4;
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    characterId: "pc_brin",
+    action: "defend",
+  });
+
+  assert.equal(result.ok, true);
+  assert.match(result.message, /^Brin takes a defensive stance/);
+  assert.equal(game.party[0].hp.current, game.combat.allies[0].hp);
+  assert.ok(game.party[0].hp.current <= 4);
+});
+
+test("enemy intent picks the tactics profile for automated turns", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    pc: { position: 0, speed: 6, movementRemaining: 6 },
+    enemies: [
+      {
+        id: "enemy_archer",
+        name: "Archer",
+        hp: 20,
+        hpMax: 20,
+        intent: "Snipe from a distance",
+        position: 1,
+        weapons: [
+          { id: "w_knife", name: "Knife", category: "melee", equipped: true },
+          { id: "w_bow", name: "Bow", category: "ranged", range: 6 },
+        ],
+      },
+      { id: "enemy_rat", name: "Rat", hp: 2, hpMax: 8, tactics: "coward", position: 2 },
+    ],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "enemy_archer", name: "Archer", kind: "enemy", initiative: 15 },
+      { id: "enemy_rat", name: "Rat", kind: "enemy", initiative: 10 },
+    ],
+  });
+
+  const result = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+
+  assert.equal(result.ok, true);
+  const [archer, rat] = game.combat.enemies;
+  assert.equal(archer.lastTactic.profile, "ranged");
+  assert.equal(archer.equippedWeaponId, "w_bow");
+  assert.equal(archer.position, 6);
+  assert.match(result.message, /Archer backs away from Hero to keep shooting from range\./);
+  assert.match(result.message, /Archer switches to Bow\. Archer moves 5 to open distance\./);
+  assert.equal(findRoll(game, (entry) => entry.actorId === "enemy_archer").attack.targetId, pcId);
+  assert.deepEqual(
+    { profile: rat.lastTactic.profile, decision: rat.lastTactic.decision },
+    { profile: "coward", decision: "retreat" }
+  );
+  assert.equal(rat.position, 8);
+  assert.match(
+    result.message,
+    /Rat loses its nerve and falls back from Hero\. Rat moves 6 to open distance\./
+  );
+});
+
+test("enemy casters spend MP on skills and roll their effects during automated turns", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory(), hp: 30, seed: "strike" });
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    pc: { position: 0, speed: 6, movementRemaining: 6 },
+    enemies: [
+      {
+        id: "enemy_shaman",
+        name: "Shaman",
+        hp: 10,
+        hpMax: 10,
+        mp: 3,
+        mpMax: 3,
+        position: 4,
+        tactics: "defensive",
+        skills: [
+          {
+            id: "skill_hex",
+            name: "Hex Bolt",
+            target: "enemy",
+            range: 5,
+            mpCost: 2,
+            damageFormula: "2",
+          },
+        ],
+      },
+    ],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "enemy_shaman", name: "Shaman", kind: "enemy", initiative: 10 },
+    ],
+  });
+
+  const first = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+  assert.match(
+    first.message,
+    /Shaman calls on Hex Bolt against Hero\. Shaman uses Hex Bolt on Hero\./
+  );
+  assert.equal(game.combat.enemies[0].mp, 1);
+  assert.equal(game.combat.pc.hp, 29);
+
+  const second = system.resolveCombatAction(game, { gameId: game.gameId, action: "dodge" });
+  assert.doesNotMatch(second.message, /Hex Bolt/);
+  assert.equal(game.combat.enemies[0].mp, 1);
+});
+
+test("battle grid combat moves by coordinates and paths enemies around walls", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory(), hp: 30 });
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    grid: {
+      width: 8,
+      height: 5,
+      terrain: [
+        { x: 2, y: 0, type: "blocking" },
+        { x: 2, y: 1, type: "blocking" },
+        { x: 2, y: 2, type: "blocking" },
+        { x: 2, y: 3, type: "blocking" },
+        { x: 3, y: 4, type: "difficult" },
+      ],
+    },
+    pc: { x: 0, y: 0, speed: 6, movementRemaining: 6 },
+    enemies: [{ id: "enemy_1", name: "Goblin", hp: 20, hpMax: 20, x: 5, y: 0, speed: 6 }],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "enemy_1", name: "Goblin", kind: "enemy", initiative: 10 },
+    ],
+  });
+
+  const blocked = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "move",
+    moveTo: { x: 3, y: 0 },
+  });
+  assert.equal(blocked.ok, false);
+  assert.match(blocked.message, /cannot reach \(3, 0\)/);
+  assert.match(
+    system.resolveCombatAction(game, { gameId: game.gameId, action: "move", moveBy: 2 }).message,
+    /moveTo \{ x, y \}/
+  );
+
+  const moved = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "move",
+    moveTo: { x: 1, y: 3 },
+  });
+  assert.equal(moved.ok, true);
+  assert.equal(moved.message, "Hero moves to (1, 3).");
+  assert.equal(game.combat.pc.movementRemaining, 3);
+
+  const defended = system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+  assert.match(defended.message, /Goblin moves 4 to close distance\./);
+  const goblin = game.combat.enemies[0];
+  assert.deepEqual({ x: goblin.x, y: goblin.y }, { x: 2, y: 4 });
+  assert.equal(game.combat.currentTurnId, pcId);
+});
+
+test("ranged attacks against targets behind cover face a higher AC", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({
+    inventory: [
+      {
+        id: "item_bow",
+        name: "Bow",
+        qty: 1,
+        weapon: { id: "w_bow", name: "Bow", category: "ranged", range: 10, equipped: true },
+      },
+    ],
+  });
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    grid: { width: 8, height: 3, terrain: [{ x: 4, y: 1, type: "cover" }] },
+    pc: { x: 0, y: 1 },
+    enemies: [{ id: "enemy_1", name: "Goblin", hp: 20, hpMax: 20, ac: 12, x: 6, y: 1 }],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "enemy_1", name: "Goblin", kind: "enemy", initiative: 10 },
+    ],
+  });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: "enemy_1",
+    damage: 1,
+  });
+  assert.equal(result.ok, true);
+  assert.match(result.message, /vs AC 14/);
+  const attack = findRoll(game, (entry) => entry.source === "attack" && entry.actorId === pcId);
+  assert.equal(attack.attack.cover, true);
+});
+
+test("fallen combatants do not hold their grid cell against the living", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory() });
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    grid: { width: 8, height: 3 },
+    pc: { x: 0, y: 1 },
+    allies: [{ id: "ally_squire", name: "Squire", hp: 0, hpMax: 10, x: 3, y: 1 }],
+    enemies: [{ id: "enemy_1", name: "Goblin", hp: 20, hpMax: 20, x: 3, y: 1 }],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "ally_squire", name: "Squire", kind: "ally", initiative: 15 },
+      { id: "enemy_1", name: "Goblin", kind: "enemy", initiative: 10 },
+    ],
+  });
+  system.syncCombatState(game);
+
+  const goblin = getCombatantById(game, "enemy_1");
+  assert.deepEqual({ x: goblin.x, y: goblin.y }, { x: 3, y: 1 });
+  const squire = getCombatantById(game, "ally_squire");
+  assert.deepEqual({ x: squire.x, y: squire.y }, { x: 3, y: 1 });
+});
+
+function getCombatantById(game, id) {
+  return [game.combat.pc, ...game.combat.allies, ...game.combat.enemies].find(
+    (combatant) => combatant.id === id
+  );
+}
+
+function startSkirmish(system, game) {
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    pc: { position: 0 },
+    allies: [
+      {
+        id: "ally_squire",
+        name: "Squire",
+        hp: 20,
+        hpMax: 20,
+        position: 4,
+        controlledBy: "player",
+      },
+    ],
+    enemies: [
+      { id: "enemy_1", name: "Goblin", hp: 20, hpMax: 20, position: 5 },
+      { id: "enemy_2", name: "Orc", hp: 20, hpMax: 20, position: 6 },
+      { id: "enemy_3", name: "Troll", hp: 20, hpMax: 20, position: 9 },
+    ],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "ally_squire", name: "Squire", kind: "ally", initiative: 5 },
+      { id: "enemy_1", name: "Goblin", kind: "enemy", initiative: 4 },
+      { id: "enemy_2", name: "Orc", kind: "enemy", initiative: 3 },
+      { id: "enemy_3", name: "Troll", kind: "enemy", initiative: 2 },
+    ],
+  });
+}
+
+test("area skills hit every opponent in the burst and spare allies", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const fireball = {
+    id: "skill_fireball",
+    name: "Fireball",
+    mpCost: 3,
+    range: 8,
+    damageFormula: "5",
+    area: { shape: "burst", radius: 1 },
+    maxTargets: 2,
+  };
+  const game = createGame({ inventory: createSwordInventory(), skills: [fireball], mp: 10 });
+  startSkirmish(system, game);
+
+  const split = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_fireball",
+    targetIds: ["enemy_1", "enemy_3"],
+  });
+  assert.deepEqual(split, {
+    ok: false,
+    message: "Fireball is centered on one target. Pass a single targetId.",
+  });
+  assert.equal(game.combat.pc.mp, 10);
+
+  const first = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_fireball",
+    targetId: "enemy_1",
+  });
+  assert.equal(first.ok, true);
+  assert.match(
+    first.message,
+    /^Hero uses Fireball on Goblin, Orc\. \[5 = 5\] Goblin takes 5 damage\. Attack roll: 17 vs AC 10\. Orc takes 5 damage\. Attack roll: 17 vs AC 10\./
+  );
+  assert.equal(getCombatantById(game, "enemy_1").hp, 15);
+  assert.equal(getCombatantById(game, "ally_squire").hp, 20);
+  assert.equal(getCombatantById(game, "enemy_3").hp, 20);
+  assert.equal(game.combat.pc.mp, 7);
+});
+
+test("multi-target skills validate the target count and resolve each target", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const skills = [
+    {
+      id: "skill_volley",
+      name: "Volley",
+      mpCost: 2,
+      range: 10,
+      damageFormula: "2",
+      maxTargets: 2,
+    },
+  ];
+  const game = createGame({ inventory: createSwordInventory(), skills, mp: 10 });
+  startSkirmish(system, game);
+
+  const tooMany = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_volley",
+    targetIds: ["enemy_1", "enemy_2", "enemy_3"],
+  });
+  assert.equal(tooMany.ok, false);
+  assert.match(tooMany.message, /Volley can target at most 2 combatants\./);
+
+  const volley = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_volley",
+    targetIds: ["enemy_1", "enemy_3"],
+  });
+  assert.equal(volley.ok, true);
+  assert.match(volley.message, /^Hero uses Volley on Goblin, Troll\./);
+  assert.equal(getCombatantById(game, "enemy_1").hp, 18);
+  assert.equal(getCombatantById(game, "enemy_3").hp, 18);
+  assert.equal(getCombatantById(game, "enemy_2").hp, 20);
+});
+
+test("friendly fire area skills also catch allies in the blast", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const skills = [
+    {
+      id: "skill_wildfire",
+      name: "Wildfire",
+      mpCost: 3,
+      range: 8,
+      damageFormula: "5",
+      area: { shape: "burst", radius: 1 },
+      friendlyFire: true,
+    },
+  ];
+  const game = createGame({ inventory: createSwordInventory(), skills, mp: 10 });
+  startSkirmish(system, game);
+
+  const wildfire = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_wildfire",
+    targetId: "enemy_1",
+  });
+  assert.equal(wildfire.ok, true);
+  assert.match(wildfire.message, /^Hero uses Wildfire on Squire, Goblin, Orc\./);
+  assert.equal(getCombatantById(game, "ally_squire").hp, 15);
+  assert.equal(game.combat.pc.hp, game.combat.pc.hpMax);
+});
+
+test("skills roll their declared effects and only take explicit numbers as a GM override", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({
+    inventory: createSwordInventory(),
+    mp: 10,
+    skills: [
+      {
+        id: "skill_lash",
+        name: "Arcane Lash",
+        mpCost: 2,
+        range: 6,
+        damageFormula: "3",
+        scalingStat: "str",
+        pull: 3,
+      },
+      { id: "skill_focus", name: "Focus", target: "self", mpCost: 0, mpRestoreFormula: "3" },
+    ],
+  });
+  game.stats.str = 14;
+  const { enemyId } = startCombat(system, game, { enemyPosition: 5, enemyHp: 30 });
+
+  const rejected = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_lash",
+    targetId: enemyId,
+    damage: 20,
+  });
+  assert.equal(rejected.ok, false);
+  assert.match(rejected.message, /gmOverride: true/);
+
+  const rolled = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_lash",
+    targetId: enemyId,
+  });
+  assert.equal(rolled.ok, true);
+  assert.match(
+    rolled.message,
+    /^Hero uses Arcane Lash on Goblin\. 5 damage dealt\. \[3 = 3 \+2 STR\] Goblin is pulled to position 2\./
+  );
+  assert.equal(getCombatantById(game, enemyId).hp, 25);
+  assert.equal(game.combat.pc.mp, 8);
+
+  const focus = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_focus",
+  });
+  assert.match(focus.message, /^Hero uses Focus\. 2 MP restored\. \[3 = 3\]/);
+  assert.equal(game.combat.pc.mp, 10);
+});
+
+test("GM overrides replace a skill's rolled damage and are flagged in the log", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({
+    inventory: createSwordInventory(),
+    skills: [{ id: "skill_zap", name: "Zap", mpCost: 1, range: 6, damageFormula: "3" }],
+  });
+  const { enemyId } = startCombat(system, game, { enemyHp: 30 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_zap",
+    targetId: enemyId,
+    damage: 9,
+    gmOverride: true,
+  });
+  assert.equal(result.ok, true);
+  assert.match(result.message, /^Hero uses Zap on Goblin\. \(GM override\) 9 damage dealt\./);
+});
+
+test("leaving melee reach provokes one opportunity attack per round", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory(), seed: "crit-42" });
+  const { enemyId } = startCombat(system, game);
+
+  const retreat = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "move",
+    moveBy: 3,
+  });
+  assert.equal(retreat.ok, true);
+  assert.match(retreat.message, /^Hero moves to position 3\. Opportunity attack! Goblin /);
+  assert.match(game.log.at(-1).text, /^Opportunity attack! Goblin lands a critical hit on Hero/);
+  assert.equal(findRoll(game, (entry) => entry.source === "reaction").actorId, enemyId);
+  assert.equal(getCombatantById(game, enemyId).reactionUsed, true);
+
+  system.resolveCombatAction(game, { gameId: game.gameId, action: "move", moveBy: -2 });
+  const again = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "move",
+    moveBy: 1,
+  });
+  assert.equal(again.message, "Hero moves to position 2.");
+
+  system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+  assert.equal(getCombatantById(game, enemyId).reactionUsed, false);
+});
+
+test("counter and parry reaction skills fire on their own", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({
+    inventory: createSwordInventory().map((item) => ({
+      ...item,
+      weapon: { ...item.weapon, damageFormula: "6" },
+    })),
+    skills: [
+      { id: "skill_zap", name: "Zap", mpCost: 1, range: 6, damageFormula: "3" },
+      { id: "skill_riposte", name: "Riposte", reaction: "parry" },
+    ],
+    seed: "strike",
+  });
+  const { enemyId } = startCombat(system, game, { enemyHp: 30, enemyAc: 5 });
+  Object.assign(getCombatantById(game, enemyId), {
+    mp: 3,
+    mpMax: 3,
+    skills: [
+      { id: "skill_counter", name: "Counterspell", mpCost: 2, range: 6, reaction: "counter" },
+      { id: "skill_parry", name: "Parry", mpCost: 1, reaction: "parry" },
+    ],
+  });
+
+  const countered = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_zap",
+    targetId: enemyId,
+  });
+  assert.equal(countered.ok, true);
+  assert.match(countered.message, /^Hero uses Zap on Goblin\. Goblin reacts with Counterspell!/);
+  assert.ok(
+    game.log.some((entry) => entry.text === "Goblin reacts with Counterspell! Hero's Zap fizzles.")
+  );
+  assert.equal(getCombatantById(game, enemyId).hp, 30);
+  assert.equal(game.combat.pc.mp, 5);
+
+  const direct = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_riposte",
+  });
+  assert.equal(direct.ok, false);
+  assert.equal(direct.message, "Riposte is a reaction and triggers on its own.");
+
+  const parried = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+  });
+  assert.match(parried.message, /^Hero hits Goblin with Sword for 3 damage\./);
+  assert.match(parried.message, /Goblin reacts with Parry and turns aside half of Hero's blow\./);
+  assert.deepEqual(
+    { hp: getCombatantById(game, enemyId).hp, mp: getCombatantById(game, enemyId).mp },
+    { hp: 27, mp: 0 }
+  );
+});
+
+function createHeavySwordInventory() {
+  return createSwordInventory().map((item) => ({
+    ...item,
+    weapon: { ...item.weapon, damageFormula: "16" },
+  }));
+}
+
+test("fleeing rolls an escape check set by distance and speed", () => {
+  const system = createCombatSystemForTest();
+  const cornered = createGame({ inventory: createSwordInventory(), seed: "strike" });
+  startCombat(system, cornered);
+  getCombatantById(cornered, "enemy_1").speed = 8;
+  const failed = system.resolveCombatAction(cornered, { gameId: cornered.gameId, action: "flee" });
+  assert.equal(failed.ok, true);
+  assert.match(failed.message, /^Hero tries to flee but cannot break away\. AGI 12 vs DC 14\./);
+  assert.ok(cornered.combat);
+
+  const game = createGame({ inventory: createSwordInventory(), seed: "strike" });
+  startCombat(system, game, { enemyPosition: 6 });
+  const escaped = system.resolveCombatAction(game, { gameId: game.gameId, action: "flee" });
+  assert.equal(
+    escaped.message,
+    "Hero breaks away and escapes. AGI 12 vs DC 7. Combat ends as the party escapes."
+  );
+  assert.equal(game.combat, null);
+  assert.equal(game.lastCombatOutcome.outcome, "escaped");
+  assert.equal(findRoll(game, (entry) => entry.source === "flee").total, 12);
+  const query = rollHistorySchema.parse({ gameId: game.gameId, source: "flee" });
+  assert.deepEqual(
+    queryRollHistory(game, query).map((entry) => entry.total),
+    [12]
+  );
+});
+
+test("wounded enemies break and flee when their morale gives out", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createHeavySwordInventory() });
+  const { enemyId } = startCombat(system, game, { enemyHp: 20 });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+  });
+
+  assert.match(result.message, /Goblin's nerve breaks at its wounds and it flees the fight\./);
+  assert.match(result.message, /Combat ends as the remaining enemies flee\.$/);
+  assert.equal(game.lastCombatOutcome.outcome, "enemies_fled");
+  assert.deepEqual(game.lastCombatOutcome.withdrawn, [
+    { id: enemyId, name: "Goblin", kind: "enemy", reason: "fled", round: 1 },
+  ]);
+  assert.equal(game.log.at(-1).text, "Combat ended. The remaining enemies fled.");
+});
+
+test("enemies that see their allies fall can surrender instead", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createHeavySwordInventory() });
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    pc: { position: 0 },
+    enemies: [
+      { id: "enemy_1", name: "Goblin", hp: 4, hpMax: 4, position: 1 },
+      {
+        id: "enemy_2",
+        name: "Orc",
+        hp: 20,
+        hpMax: 20,
+        morale: "wavering",
+        onBreak: "surrender",
+        position: 1,
+      },
+      { id: "enemy_3", name: "Kobold", hp: 6, hpMax: 6, onBreak: "surrender", position: 1 },
+    ],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "enemy_1", name: "Goblin", kind: "enemy", initiative: 10 },
+      { id: "enemy_2", name: "Orc", kind: "enemy", initiative: 5 },
+      { id: "enemy_3", name: "Kobold", kind: "enemy", initiative: 3 },
+    ],
+  });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: "enemy_1",
+  });
+
+  assert.match(result.message, /Orc's nerve breaks as its allies fall and it surrenders\./);
+  assert.doesNotMatch(result.message, /Kobold's nerve breaks/);
+  assert.ok(game.combat);
+  assert.equal(getCombatantById(game, "enemy_3").hp, 6);
+});
+
+test("a lone survivor of a two-enemy fight keeps fighting when its ally falls", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createHeavySwordInventory() });
+  const pcId = `pc_${game.gameId}`;
+  system.applyCombatUpdate(game, {
+    active: true,
+    round: 1,
+    currentTurnId: pcId,
+    pc: { position: 0 },
+    enemies: [
+      { id: "enemy_1", name: "Goblin", hp: 4, hpMax: 4, position: 1 },
+      { id: "enemy_2", name: "Orc", hp: 20, hpMax: 20, position: 1 },
+    ],
+    initiative: [
+      { id: pcId, name: "Hero", kind: "pc", initiative: 20 },
+      { id: "enemy_1", name: "Goblin", kind: "enemy", initiative: 10 },
+      { id: "enemy_2", name: "Orc", kind: "enemy", initiative: 5 },
+    ],
+  });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: "enemy_1",
+  });
+
+  assert.equal(getCombatantById(game, "enemy_1").hp, 0);
+  assert.doesNotMatch(result.message, /nerve breaks/);
+  assert.ok(game.combat);
+  assert.equal(game.lastCombatOutcome ?? null, null);
+});
+
+test("use_item spends the action and one consumable from the actor's inventory", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({
+    inventory: [
+      ...createSwordInventory(),
+      {
+        id: "item_potion",
+        name: "Healing Potion",
+        qty: 1,
+        consumable: { target: "ally", healFormula: "5" },
+      },
+      {
+        id: "item_bomb",
+        name: "Fire Bomb",
+        qty: 2,
+        consumable: { target: "enemy", range: 6, damageFormula: "4" },
+      },
+    ],
+  });
+  game.hp.current = 5;
+  const { enemyId } = startCombat(system, game, { enemyPosition: 4, enemyHp: 20 });
+
+  const outOfRange = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_item",
+    itemId: "item_potion",
+    targetId: enemyId,
+  });
+  assert.equal(outOfRange.message, "Healing Potion can only target allies.");
+
+  const thrown = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_item",
+    itemId: "item_bomb",
+    targetId: enemyId,
+  });
+  assert.equal(thrown.ok, true);
+  assert.match(thrown.message, /^Hero uses Fire Bomb on Goblin\. 4 damage dealt\. \[4 = 4\]/);
+  assert.equal(getCombatantById(game, enemyId).hp, 16);
+  assert.equal(game.inventory.find((item) => item.id === "item_bomb").qty, 1);
+  assert.equal(
+    findRoll(game, (entry) => entry.source === "item" && /damage/.test(entry.reason)).total,
+    4
+  );
+
+  const drink = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_item",
+    itemId: "item_potion",
+  });
+  assert.match(drink.message, /^Hero uses Healing Potion\. 5 HP restored\./);
+  assert.equal(game.combat.pc.hp, 10);
+  assert.equal(game.inventory.some((item) => item.id === "item_potion"), false);
+});
+
+test("typed damage honors immunities, resistances, and vulnerabilities", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const cases = [
+    { affinity: { immunities: ["energy"] }, hp: 20, text: /Goblin is immune to energy\./ },
+    { affinity: { resistances: ["energy"] }, hp: 16, text: /for 4 energy damage\. .*resists/ },
+    {
+      affinity: { vulnerabilities: ["energy"] },
+      hp: 4,
+      text: /for 16 energy damage\. .*Goblin is vulnerable to energy\./,
+    },
+    {
+      affinity: { resistances: ["energy"], vulnerabilities: ["energy"] },
+      hp: 12,
+      text: /for 8 energy damage\./,
+    },
+  ];
+  cases.forEach(({ affinity, hp, text }) => {
+    const game = createGame({
+      inventory: createSwordInventory().map((item) => ({
+        ...item,
+        weapon: { ...item.weapon, name: "Shock Baton", damageFormula: "8", damageType: "energy" },
+      })),
+    });
+    const { enemyId } = startCombat(system, game, { enemyHp: 20 });
+    Object.assign(getCombatantById(game, enemyId), { morale: "fearless", ...affinity });
+
+    const result = system.resolveCombatAction(game, {
+      gameId: game.gameId,
+      action: "attack",
+      targetId: enemyId,
+    });
+
+    assert.match(result.message, /^Hero hits Goblin with Shock Baton/);
+    assert.match(result.message, text);
+    assert.equal(getCombatantById(game, enemyId).hp, hp);
+  });
+});
+
+test("magazine weapons spend linked ammo, need reloading, and report out of ammo", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({
+    inventory: [
+      {
+        id: "item_rifle",
+        name: "Rifle",
+        qty: 1,
+        weapon: {
+          id: "w_rifle",
+          name: "Rifle",
+          category: "ranged",
+          range: 6,
+          equipped: true,
+          damageFormula: "1",
+          ammoItem: "Rifle Rounds",
+          magazine: 1,
+        },
+      },
+      { id: "item_rounds", name: "Rifle Rounds", qty: 1 },
+    ],
+  });
+  const { enemyId } = startCombat(system, game, { enemyHp: 40, enemyPosition: 4 });
+  const act = (action) =>
+    system.resolveCombatAction(game, { gameId: game.gameId, action, targetId: enemyId });
+  const rifle = () => game.inventory.find((item) => item.id === "item_rifle").weapon;
+
+  assert.equal(act("attack").ok, true);
+  assert.equal(rifle().loaded, 0);
+  assert.deepEqual(act("attack"), {
+    ok: false,
+    message: "Hero's Rifle is out of ammo; reload it first.",
+  });
+
+  const reload = act("reload");
+  assert.match(reload.message, /^Hero reloads Rifle \(1\/1 loaded\)\./);
+  assert.equal(rifle().loaded, 1);
+  assert.equal(game.inventory.some((item) => item.id === "item_rounds"), false);
+
+  assert.equal(act("attack").ok, true);
+  assert.deepEqual(act("reload"), { ok: false, message: "Hero is out of ammo for Rifle." });
+  assert.deepEqual(act("attack"), { ok: false, message: "Hero is out of ammo for Rifle." });
+});
+
+test("enemies reload on their turn and fall back once their ammo runs dry", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({ inventory: createSwordInventory(), seed: "strike" });
+  const { enemyId } = startCombat(system, game, { enemyHp: 40, enemyPosition: 4 });
+  getCombatantById(game, enemyId).weapons = [
+    {
+      id: "w_pistol",
+      name: "Pistol",
+      category: "ranged",
+      range: 6,
+      equipped: true,
+      damageFormula: "1",
+      ammo: 1,
+      magazine: 1,
+      loaded: 0,
+    },
+  ];
+  const defend = () =>
+    system.resolveCombatAction(game, { gameId: game.gameId, action: "defend" });
+
+  assert.match(defend().message, /Goblin reloads Pistol \(1\/1 loaded\)\./);
+  assert.match(defend().message, /Goblin hits Hero with Pistol\./);
+  const pistol = getCombatantById(game, enemyId).weapons[0];
+  assert.deepEqual({ ammo: pistol.ammo, loaded: pistol.loaded }, { ammo: 0, loaded: 0 });
+  assert.match(defend().message, /Goblin takes a defensive stance\./);
+});
+
+test("fumbles wear down weapons with durability until they break", () => {
+  const system = createCombatSystemForTest({ d20: 1 });
+  const game = createGame({
+    inventory: createSwordInventory().map((item) => ({
+      ...item,
+      weapon: { ...item.weapon, durability: 1 },
+    })),
+  });
+  const { enemyId } = startCombat(system, game, { enemyHp: 20 });
+  const attack = () =>
+    system.resolveCombatAction(game, { gameId: game.gameId, action: "attack", targetId: enemyId });
+
+  assert.match(attack().message, /Hero fumbles an attack on Goblin with Sword!.* Sword breaks!/);
+  assert.equal(game.inventory[0].weapon.durability, 0);
+  assert.deepEqual(attack(), { ok: false, message: "Hero's Sword is broken." });
+});
+
+test("victory awards enemy xp and loot and reports the fight", () => {
+  const system = createCombatSystemForTest({ d20: 15 });
+  const game = createGame({ inventory: createHeavySwordInventory() });
+  const { pcId, enemyId } = startCombat(system, game);
+  Object.assign(getCombatantById(game, enemyId), {
+    xp: 50,
+    loot: [{ name: "Goblin Ear", qty: 2 }, { name: "Rusty Key" }],
+  });
+
+  const result = system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "attack",
+    targetId: enemyId,
+  });
+
+  assert.match(
+    result.message,
+    /Combat ends in victory\. Hero gains 50 XP\. Loot: Goblin Ear x2, Rusty Key\.$/
+  );
+  assert.equal(game.pc.xp, 50);
+  assert.deepEqual(
+    game.inventory.filter((item) => item.id !== "item_sword").map(({ name, qty }) => [name, qty]),
+    [
+      ["Goblin Ear", 2],
+      ["Rusty Key", 1],
+    ]
+  );
+  const { report, rewards } = game.lastCombatOutcome;
+  assert.deepEqual(rewards.recipients, [{ id: pcId, name: "Hero", xp: 50, total: 50 }]);
+  assert.equal(report.rounds, game.lastCombatOutcome.round);
+  assert.deepEqual(
+    report.combatants.map(({ id, damageDealt, damageTaken }) => [id, damageDealt, damageTaken]),
+    [
+      [pcId, 6, 0],
+      [enemyId, 0, 6],
+    ]
+  );
+  assert.equal(game.log.at(-1).text, "Hero gains 50 XP. Loot: Goblin Ear x2, Rusty Key.");
+});
+
+test("combat reports count skills used and healing done", () => {
+  const system = createCombatSystemForTest();
+  const game = createGame({
+    inventory: createSwordInventory(),
+    skills: [{ id: "skill_mend", name: "Mend", target: "self", range: 0, healFormula: "4" }],
+  });
+  game.hp.current = 4;
+  const { pcId } = startCombat(system, game, { enemyPosition: 6 });
+
+  system.resolveCombatAction(game, {
+    gameId: game.gameId,
+    action: "use_skill",
+    skillId: "skill_mend",
+  });
+  system.applyCombatUpdate(game, { active: false });
+
+  const hero = game.lastCombatOutcome.report.combatants.find((entry) => entry.id === pcId);
+  assert.deepEqual(hero.skillsUsed, { Mend: 1 });
+  assert.equal(hero.healingDone, 4);
+  assert.equal(game.lastCombatOutcome.rewards, null);
+});
@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  applyCondition,
+  describeCondition,
+  expireConditions,
+  getConditionDamageTicks,
+  getConditionRollMode,
+  getConditionSpeed,
+  getSkipCondition,
+  normalizeConditionApplication,
+  normalizeConditions,
+  removeCondition,
+} from "../mcp/conditions.js";
+
+test("normalizeConditionApplication uses default durations and rejects unknown ids", () => {
+  assert.deepEqual(normalizeConditionApplication({ id: "poisoned" }), { id: "poisoned", duration: 3 });
+  assert.deepEqual(normalizeConditionApplication({ id: "stunned", duration: 99 }), {
+    id: "stunned",
+    duration: 10,
+  });
+  assert.equal(normalizeConditionApplication({ id: "cursed" }), null);
+});
+
+test("applyCondition follows each condition's stacking rule", () => {
+  const combatant = { conditions: [] };
+  applyCondition(combatant, { id: "poisoned", duration: 2 });
+  applyCondition(combatant, { id: "poisoned", duration: 1 });
+  applyCondition(combatant, { id: "burning", duration: 2 });
+  applyCondition(combatant, { id: "burning", duration: 2 });
+  applyCondition(combatant, { id: "hasted", duration: 2 });
+  applyCondition(combatant, { id: "hasted", duration: 3 });
+
+  const byId = Object.fromEntries(combatant.conditions.map((entry) => [entry.id, entry]));
+  assert.equal(byId.poisoned.remaining, 2);
+  assert.equal(byId.poisoned.stacks, 1);
+  assert.equal(byId.burning.stacks, 2);
+  assert.equal(byId.hasted.remaining, 5);
+  assert.deepEqual(getConditionDamageTicks(combatant, "end"), [
+    { id: "burning", damageLabel: "fire", formula: "1d6+1d6" },
+  ]);
+  assert.equal(describeCondition(byId.burning), "burning x2 (2 rounds)");
+
+  removeCondition(combatant, "burning");
+  assert.equal(combatant.conditions.some((entry) => entry.id === "burning"), false);
+});
+
+test("expireConditions counts down and reports expired conditions", () => {
+  const combatant = {
+    conditions: normalizeConditions([
+      { id: "stunned", remaining: 1 },
+      { id: "prone", duration: 2 },
+    ]),
+  };
+
+  assert.equal(getSkipCondition(combatant).id, "stunned");
+  const expired = expireConditions(combatant);
+
+  assert.deepEqual(expired.map((entry) => entry.id), ["stunned"]);
+  assert.equal(getSkipCondition(combatant), null);
+  assert.equal(combatant.conditions[0].remaining, 1);
+});
+
+test("conditions adjust roll modes and speed", () => {
+  const blinded = { conditions: normalizeConditions([{ id: "blinded" }]) };
+  const hastedAndProne = {
+    conditions: normalizeConditions([{ id: "hasted" }, { id: "prone" }]),
+  };
+
+  assert.equal(getConditionRollMode(blinded, "attacker"), "disadvantage");
+  assert.equal(getConditionRollMode(blinded, "target"), "advantage");
+  assert.equal(getConditionRollMode(hastedAndProne, "attacker"), "normal");
+  assert.equal(getConditionSpeed(hastedAndProne, 6), 6);
+  assert.equal(getConditionSpeed({ conditions: normalizeConditions([{ id: "hasted" }]) }, 6), 12);
+});
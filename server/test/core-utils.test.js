@@ -5,10 +5,16 @@ import { STANDARD_ARRAY, STAT_KEYS } from "../mcp/constants.js";
 import {
   buildStartingStats,
   clamp,
+  combineRollModes,
+  createRng,
+  createRngState,
+  describeRollMode,
+  formatRollBreakdown,
   normalizeStats,
   normalizeStoryElements,
   parseDiceFormula,
   rollDice,
+  rollWithMode,
   slugifyId,
 } from "../mcp/core-utils.js";
 
@@ -60,15 +66,62 @@ test("buildStartingStats applies stat focus boost", () => {
 
 test("parseDiceFormula parses valid formulas and rejects invalid ones", () => {
   assert.deepEqual(parseDiceFormula(" 2d6 + 3 "), {
-    count: 2,
-    sides: 6,
-    modifier: 3,
     cleaned: "2d6+3",
+    terms: [
+      {
+        type: "dice",
+        sign: 1,
+        notation: "2d6",
+        count: 2,
+        sides: 6,
+        keep: null,
+        explode: false,
+        reroll: null,
+      },
+      { type: "constant", sign: 1, value: 3 },
+    ],
   });
 
   assert.equal(parseDiceFormula("2d1"), null);
   assert.equal(parseDiceFormula("xd6"), null);
   assert.equal(parseDiceFormula(""), null);
+  assert.equal(parseDiceFormula("2d6++3"), null);
+  assert.equal(parseDiceFormula("2d6*3"), null);
+});
+
+test("parseDiceFormula supports multi-term expressions and dice modifiers", () => {
+  const parsed = parseDiceFormula("4d6kh3 + 1d6! - 2d20ro1 + d%");
+  assert.ok(parsed);
+  assert.deepEqual(
+    parsed.terms.map((term) => term.notation),
+    ["4d6kh3", "1d6!", "2d20ro1", "1d%"]
+  );
+  assert.deepEqual(parsed.terms[0].keep, { type: "kh", amount: 3 });
+  assert.equal(parsed.terms[1].explode, true);
+  assert.equal(parsed.terms[2].sign, -1);
+  assert.deepEqual(parsed.terms[2].reroll, { once: true, compare: "=", value: 1 });
+  assert.equal(parsed.terms[3].sides, 100);
+});
+
+test("percentile dice parse and roll as a d100", () => {
+  const parsed = parseDiceFormula("d%+5");
+  assert.equal(parsed.terms[0].notation, "1d%");
+  assert.equal(parsed.terms[0].count, 1);
+  assert.equal(parsed.terms[0].sides, 100);
+  assert.deepEqual(parsed.terms[1], { type: "constant", sign: 1, value: 5 });
+
+  const roll = rollDice("2d%", createRng(createRngState("percentile")));
+  assert.equal(roll.terms[0].dice.length, 2);
+  assert.ok(roll.rolls.every((value) => value >= 1 && value <= 100));
+  assert.equal(roll.total, roll.rolls[0] + roll.rolls[1]);
+});
+
+test("parseDiceFormula rejects impossible modifiers", () => {
+  assert.equal(parseDiceFormula("2d6kh3"), null);
+  assert.equal(parseDiceFormula("2d6dl2"), null);
+  assert.equal(parseDiceFormula("1d6r<7"), null);
+  assert.equal(parseDiceFormula("1d6r7"), null);
+  assert.equal(parseDiceFormula("1d6!!"), null);
 });
 
 test("rollDice returns totals that match component rolls", () => {
@@ -83,6 +136,127 @@ test("rollDice returns totals that match component rolls", () => {
   assert.equal(result.total, result.rolls.reduce((sum, value) => sum + value, 0) - 2);
 });
 
+test("rollDice keeps and drops dice per term", () => {
+  const result = rollDice("4d6kh3+2");
+  assert.ok(result);
+
+  const [diceTerm, constantTerm] = result.terms;
+  assert.equal(diceTerm.dice.length, 4);
+  const kept = diceTerm.dice.filter((die) => die.kept);
+  const dropped = diceTerm.dice.filter((die) => !die.kept);
+  assert.equal(kept.length, 3);
+  assert.equal(dropped.length, 1);
+  assert.ok(kept.every((die) => die.value >= dropped[0].value));
+  assert.equal(constantTerm.subtotal, 2);
+  assert.equal(result.modifier, 2);
+  assert.equal(result.total, kept.reduce((sum, die) => sum + die.value, 0) + 2);
+});
+
+test("rollDice explodes on max and never keeps rerolled faces", () => {
+  const exploding = rollDice("20d2!");
+  assert.ok(exploding);
+  const [term] = exploding.terms;
+  term.dice.forEach((die, index) => {
+    if (die.exploded) {
+      assert.equal(die.value, 2);
+      assert.ok(index + 1 < term.dice.length);
+    }
+  });
+  assert.equal(
+    term.dice.filter((die) => !die.exploded).length,
+    20
+  );
+
+  const rerolled = rollDice("20d4r1");
+  assert.ok(rerolled.terms[0].dice.every((die) => die.value !== 1));
+});
+
+test("rollDice handles constant-only and negative dice terms", () => {
+  assert.equal(rollDice("1").total, 1);
+
+  const result = rollDice("1d4-1d4");
+  assert.equal(result.total, result.rolls[0] + result.rolls[1]);
+  assert.ok(result.rolls[1] < 0);
+});
+
+test("formatRollBreakdown marks dropped and exploded dice", () => {
+  const text = formatRollBreakdown({
+    terms: [
+      {
+        type: "dice",
+        sign: 1,
+        notation: "3d6kh2",
+        dice: [
+          { value: 6, kept: true, exploded: true, rerolled: [] },
+          { value: 4, kept: true, exploded: false, rerolled: [1] },
+          { value: 2, kept: false, exploded: false, rerolled: [] },
+        ],
+      },
+      { type: "constant", sign: -1, value: 1 },
+    ],
+  });
+
+  assert.equal(text, "3d6kh2 [6!, 4 (rerolled 1), ~2~] - 1");
+});
+
+test("rollWithMode keeps the higher or lower of two rolls", () => {
+  const advantage = rollWithMode("d20", "advantage");
+  assert.equal(advantage.mode, "advantage");
+  assert.equal(advantage.candidates.length, 2);
+  assert.equal(advantage.total, Math.max(...advantage.candidates));
+
+  const disadvantage = rollWithMode("d20+2", "disadvantage");
+  assert.equal(disadvantage.total, Math.min(...disadvantage.candidates));
+
+  const normal = rollWithMode("d20");
+  assert.equal(normal.mode, "normal");
+  assert.deepEqual(normal.candidates, [normal.total]);
+  assert.equal(describeRollMode(normal), "");
+
+  assert.equal(rollWithMode("bad", "advantage"), null);
+});
+
+test("describeRollMode lists both rolls and the kept total", () => {
+  assert.equal(
+    describeRollMode({ mode: "advantage", candidates: [4, 17], total: 17 }),
+    "with advantage (rolled 4, 17; kept 17)"
+  );
+});
+
+test("createRngState hashes seeds and ignores blank values", () => {
+  assert.deepEqual(createRngState(" table-7 "), createRngState("table-7"));
+  assert.equal(createRngState(42).seed, "42");
+  assert.notEqual(createRngState("a").state, createRngState("b").state);
+  assert.equal(createRngState(""), null);
+  assert.equal(createRngState(undefined), null);
+});
+
+test("seeded rng streams replay identical rolls and stats", () => {
+  const first = createRngState("replay");
+  const second = createRngState("replay");
+  const firstRng = createRng(first);
+  const secondRng = createRng(second);
+
+  assert.deepEqual(
+    rollDice("4d6kh3+1d8!", firstRng),
+    rollDice("4d6kh3+1d8!", secondRng)
+  );
+  assert.deepEqual(
+    rollWithMode("d20", "advantage", firstRng),
+    rollWithMode("d20", "advantage", secondRng)
+  );
+  assert.deepEqual(buildStartingStats("wis", firstRng), buildStartingStats("wis", secondRng));
+  assert.equal(first.state, second.state);
+});
+
+test("createRng stays within the requested bounds", () => {
+  const rng = createRng(createRngState("bounds"));
+  for (let index = 0; index < 200; index += 1) {
+    const value = rng.int(3, 7);
+    assert.ok(Number.isInteger(value) && value >= 3 && value < 7);
+  }
+});
+
 test("normalizeStoryElements supports arrays and comma-separated strings", () => {
   assert.deepEqual(normalizeStoryElements(["A", "", "B"]), ["A", "B"]);
   assert.deepEqual(normalizeStoryElements("A,  B , ,C"), ["A", "B", "C"]);
@@ -94,3 +268,24 @@ test("slugifyId normalizes values safely", () => {
   assert.equal(slugifyId("___"), "entry");
   assert.equal(slugifyId("", "fallback"), "fallback");
 });
+
+test("rollDice doubles dice counts on a critical hit", () => {
+  const roll = rollDice("1d8+3", createRng(createRngState("crit")), { critical: true });
+
+  assert.equal(roll.critical, true);
+  assert.equal(roll.terms[0].notation, "2d8");
+  assert.equal(roll.terms[0].dice.length, 2);
+  assert.equal(roll.total, roll.rolls[0] + roll.rolls[1] + 3);
+
+  const kept = rollDice("2d20kh1", createRng(createRngState("crit")), { critical: true });
+  assert.equal(kept.terms[0].notation, "4d20kh1");
+  assert.equal(kept.terms[0].dice.filter((die) => die.kept).length, 2);
+  assert.equal("critical" in rollDice("1d8"), false);
+});
+
+test("combineRollModes cancels advantage against disadvantage", () => {
+  assert.equal(combineRollModes("normal", "advantage"), "advantage");
+  assert.equal(combineRollModes("disadvantage", undefined), "disadvantage");
+  assert.equal(combineRollModes("advantage", "disadvantage", "advantage"), "normal");
+  assert.equal(combineRollModes(), "normal");
+});
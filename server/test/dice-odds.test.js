@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { computeDiceOdds } from "../mcp/dice-odds.js";
+
+function chanceOf(odds, total) {
+  return odds.outcomes.find((entry) => entry.total === total)?.probability ?? 0;
+}
+
+test("computeDiceOdds returns the exact distribution for simple formulas", () => {
+  const odds = computeDiceOdds("2d6+3", { target: 10 });
+
+  assert.equal(odds.ok, true);
+  assert.equal(odds.formula, "2d6+3");
+  assert.equal(odds.min, 5);
+  assert.equal(odds.max, 15);
+  assert.equal(odds.mean, 10);
+  assert.equal(chanceOf(odds, 10), Math.round((6 / 36) * 1_000_000) / 1_000_000);
+  assert.equal(odds.chanceAtLeastTarget, Math.round((21 / 36) * 1_000_000) / 1_000_000);
+  assert.deepEqual(odds.percentiles, { p10: 7, p25: 8, p50: 10, p75: 12, p90: 13 });
+});
+
+test("computeDiceOdds handles keep/drop, subtraction, and roll modes", () => {
+  const keepHighest = computeDiceOdds("2d20kh1");
+  const advantage = computeDiceOdds("d20", { rollMode: "advantage" });
+  assert.deepEqual(keepHighest.outcomes, advantage.outcomes);
+  assert.equal(chanceOf(advantage, 20), 0.0975);
+
+  const stats = computeDiceOdds("4d6dl1");
+  assert.equal(stats.min, 3);
+  assert.equal(stats.max, 18);
+  assert.equal(stats.mean, 12.244599);
+
+  const difference = computeDiceOdds("d6-d6");
+  assert.equal(difference.min, -5);
+  assert.equal(difference.max, 5);
+  assert.equal(difference.mean, 0);
+});
+
+test("computeDiceOdds accounts for rerolls and explosions", () => {
+  const rerolled = computeDiceOdds("d6r1");
+  assert.equal(rerolled.min, 2);
+  assert.equal(chanceOf(rerolled, 6), 0.2);
+
+  const rerolledOnce = computeDiceOdds("d4ro1");
+  assert.equal(chanceOf(rerolledOnce, 1), 0.0625);
+  assert.equal(chanceOf(rerolledOnce, 4), 0.3125);
+
+  const exploding = computeDiceOdds("d4!", { target: 5 });
+  assert.equal(chanceOf(exploding, 4), 0);
+  assert.equal(chanceOf(exploding, 5), 0.0625);
+  assert.equal(exploding.chanceAtLeastTarget, 0.25);
+  assert.equal(exploding.mean, 3.333333);
+
+  const wide = computeDiceOdds("d6!");
+  assert.equal(wide.outcomes, null);
+  assert.equal(wide.mean, 4.2);
+});
+
+test("computeDiceOdds rejects invalid or intractable formulas", () => {
+  assert.equal(computeDiceOdds("banana").ok, false);
+  const tooComplex = computeDiceOdds("4d6!kh3");
+  assert.equal(tooComplex.ok, false);
+  assert.match(tooComplex.message, /too complex/);
+});
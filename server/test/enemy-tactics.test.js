@@ -0,0 +1,211 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  checkMoraleBreak,
+  chooseMorale,
+  chooseTacticProfile,
+  planNpcTurn,
+} from "../mcp/enemy-tactics.js";
+
+const sword = { id: "w_sword", name: "Sword", category: "melee", range: 1, equipped: true };
+const bow = { id: "w_bow", name: "Bow", category: "ranged", range: 8, equipped: false };
+
+function createActor(overrides = {}) {
+  return {
+    name: "Bandit",
+    hp: 10,
+    hpMax: 10,
+    position: 1,
+    movementRemaining: 6,
+    ...overrides,
+  };
+}
+
+const hero = { name: "Hero", position: 0, dodging: false };
+
+test("chooseTacticProfile prefers the explicit field and otherwise reads intent", () => {
+  assert.equal(
+    chooseTacticProfile({ tactics: "defensive", intent: "Snipe from the ridge" }),
+    "defensive"
+  );
+  assert.equal(chooseTacticProfile({ intent: "Snipe from the ridge" }), "ranged");
+  assert.equal(chooseTacticProfile({ intent: "Flee once bloodied" }), "coward");
+  assert.equal(chooseTacticProfile({ intent: "Heal the chieftain" }), "support");
+  assert.equal(chooseTacticProfile({ intent: "Guard the gate" }), "defensive");
+  assert.equal(chooseTacticProfile({ intent: "Stare menacingly" }), "aggressive");
+  assert.equal(chooseTacticProfile({ tactics: "berserk" }), "aggressive");
+});
+
+test("planNpcTurn makes ranged kiters back off and switch to their bow", () => {
+  const plan = planNpcTurn({
+    actor: createActor(),
+    target: hero,
+    weapons: [sword, bow],
+    profile: "ranged",
+  });
+  assert.equal(plan.decision, "attack");
+  assert.equal(plan.weaponId, "w_bow");
+  assert.deepEqual(plan.movement, { mode: "away", distance: 8 });
+  assert.match(plan.rationale, /^Bandit backs away from Hero/);
+
+  const noBow = planNpcTurn({
+    actor: createActor(),
+    target: hero,
+    weapons: [sword],
+    profile: "ranged",
+  });
+  assert.equal(noBow.weaponId, "w_sword");
+  assert.match(noBow.rationale, /nothing to shoot with/);
+});
+
+test("planNpcTurn keeps aggressive enemies defensive only when badly hurt against a dodge", () => {
+  const hurt = createActor({ hp: 2 });
+  const plan = planNpcTurn({
+    actor: hurt,
+    target: { ...hero, dodging: true },
+    weapons: [sword],
+    profile: "aggressive",
+  });
+  assert.equal(plan.decision, "defend");
+  assert.equal(
+    plan.rationale,
+    "Bandit is badly hurt and braces behind its guard rather than swing at Hero's dodge."
+  );
+
+  const far = planNpcTurn({
+    actor: createActor({ position: 12 }),
+    target: hero,
+    weapons: [sword],
+    profile: "aggressive",
+  });
+  assert.equal(far.decision, "dodge");
+  assert.deepEqual(far.movement, { mode: "toward", distance: 1 });
+});
+
+test("planNpcTurn holds defensive enemies in place and sends hurt cowards running", () => {
+  const defensive = planNpcTurn({
+    actor: createActor({ position: 4 }),
+    target: hero,
+    weapons: [sword],
+    profile: "defensive",
+  });
+  assert.equal(defensive.decision, "defend");
+  assert.deepEqual(defensive.movement, { mode: "hold" });
+
+  const healthyCoward = planNpcTurn({
+    actor: createActor(),
+    target: hero,
+    weapons: [sword],
+    profile: "coward",
+  });
+  assert.equal(healthyCoward.decision, "attack");
+
+  const hurtCoward = planNpcTurn({
+    actor: createActor({ hp: 5 }),
+    target: hero,
+    weapons: [sword],
+    profile: "coward",
+  });
+  assert.equal(hurtCoward.decision, "retreat");
+  assert.equal(hurtCoward.movement.mode, "away");
+  assert.match(hurtCoward.rationale, /loses its nerve/);
+});
+
+test("planNpcTurn casts affordable skills within range and heals hurt allies", () => {
+  const firebolt = {
+    id: "skill_firebolt",
+    name: "Firebolt",
+    target: "enemy",
+    range: 6,
+    mpCost: 2,
+    damageFormula: "1d8",
+  };
+  const mend = {
+    id: "skill_mend",
+    name: "Mend",
+    target: "ally",
+    range: 4,
+    mpCost: 2,
+    healFormula: "1d6",
+  };
+  const caster = createActor({ id: "enemy_shaman", position: 5 });
+  const wounded = { id: "enemy_brute", name: "Brute", hp: 3, hpMax: 12, position: 3 };
+
+  const heal = planNpcTurn({
+    actor: caster,
+    target: hero,
+    weapons: [sword],
+    skills: [firebolt, mend],
+    allies: [caster, wounded],
+    profile: "support",
+  });
+  assert.deepEqual(
+    { decision: heal.decision, skillId: heal.skillId, skillTargetId: heal.skillTargetId },
+    { decision: "skill", skillId: "skill_mend", skillTargetId: "enemy_brute" }
+  );
+  assert.equal(heal.rationale, "Bandit spends its magic mending Brute.");
+
+  const blast = planNpcTurn({
+    actor: caster,
+    target: { ...hero, id: "pc_1" },
+    weapons: [sword],
+    skills: [firebolt, mend],
+    allies: [caster],
+    profile: "aggressive",
+  });
+  assert.equal(blast.decision, "skill");
+  assert.equal(blast.skillId, "skill_firebolt");
+  assert.equal(blast.skillTargetId, "pc_1");
+});
+
+test("planNpcTurn measures grid distance by squares instead of line position", () => {
+  const gridHero = { ...hero, x: 0, y: 0 };
+  const archer = planNpcTurn({
+    actor: createActor({ x: 12, y: 0 }),
+    target: gridHero,
+    weapons: [sword, bow],
+    profile: "ranged",
+  });
+  assert.deepEqual(archer.movement, { mode: "toward", distance: 8 });
+  assert.match(archer.rationale, /^Bandit keeps its distance and shoots at Hero/);
+
+  const mend = { id: "skill_mend", name: "Mend", target: "ally", range: 3, healFormula: "1d6" };
+  const healer = createActor({ id: "enemy_healer", x: 15, y: 15 });
+  const wounded = { id: "enemy_brute", name: "Brute", hp: 3, hpMax: 12, x: 1, y: 1 };
+  const farAway = planNpcTurn({
+    actor: healer,
+    target: gridHero,
+    weapons: [sword],
+    skills: [mend],
+    allies: [healer, wounded],
+    profile: "support",
+  });
+  assert.notEqual(farAway.decision, "skill");
+
+  const nearby = planNpcTurn({
+    actor: healer,
+    target: gridHero,
+    weapons: [sword],
+    skills: [mend],
+    allies: [healer, { ...wounded, x: 13, y: 16 }],
+    profile: "support",
+  });
+  assert.equal(nearby.skillTargetId, "enemy_brute");
+});
+
+test("checkMoraleBreak fires when wounds or fallen allies cross the morale threshold", () => {
+  assert.equal(chooseMorale(createActor()), "steady");
+  assert.equal(chooseMorale(createActor({ intent: "Flee at the first wound" })), "wavering");
+  assert.equal(chooseMorale(createActor({ morale: "fearless", tactics: "coward" })), "fearless");
+
+  const steady = { hpBefore: 10, lossRatioBefore: 0, lossRatio: 0 };
+  assert.equal(checkMoraleBreak(createActor({ hp: 2 }), steady), "wounds");
+  assert.equal(checkMoraleBreak(createActor({ hp: 2 }), { ...steady, hpBefore: 2 }), null);
+  assert.equal(checkMoraleBreak(createActor({ hp: 4, tactics: "coward" }), steady), "wounds");
+  assert.equal(checkMoraleBreak(createActor(), { ...steady, lossRatio: 0.5 }), "losses");
+  assert.equal(
+    checkMoraleBreak(createActor({ hp: 1, morale: "fearless" }), { ...steady, lossRatio: 1 }),
+    null
+  );
+});
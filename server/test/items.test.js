@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createRngState } from "../mcp/core-utils.js";
+import { useItemOutsideCombat } from "../mcp/items.js";
+import { normalizeInventoryItem } from "../mcp/player-data.js";
+import { normalizePartyMember } from "../mcp/party.js";
+
+function createItemGame() {
+  return {
+    gameId: "game_items",
+    pc: { name: "Hero", level: 1, skills: [], conditions: [] },
+    stats: { str: 10, agi: 10, con: 10, int: 10, wis: 10, cha: 10 },
+    hp: { current: 4, max: 12 },
+    mp: { current: 0, max: 4 },
+    inventory: [
+      normalizeInventoryItem({
+        id: "item_potion",
+        name: "Healing Potion",
+        qty: 2,
+        consumable: { target: "ally", healFormula: "5", condition: { id: "hasted" } },
+      }),
+      normalizeInventoryItem({
+        id: "item_bomb",
+        name: "Fire Bomb",
+        consumable: { target: "enemy", range: 6, damageFormula: "2d6" },
+      }),
+      normalizeInventoryItem({ id: "item_rope", name: "Rope" }),
+    ],
+    party: [normalizePartyMember({ id: "pc_brin", name: "Brin", hp: 3, hpMax: 10 })],
+    activeCharacterId: null,
+    rollHistory: [],
+    rng: createRngState("items"),
+  };
+}
+
+test("useItemOutsideCombat rolls the consumable and spends one from qty", () => {
+  const game = createItemGame();
+
+  const result = useItemOutsideCombat(game, { itemId: "item_potion" });
+  assert.deepEqual(result, {
+    ok: true,
+    message: "Hero uses Healing Potion. 5 HP restored. [5 = 5] Hero is hasted (3 rounds).",
+  });
+  assert.equal(game.hp.current, 9);
+  assert.equal(game.inventory[0].qty, 1);
+  assert.equal(game.rollHistory.at(-1).source, "item");
+
+  const onAlly = useItemOutsideCombat(game, { itemId: "item_potion", targetId: "pc_brin" });
+  assert.match(onAlly.message, /^Hero uses Healing Potion on Brin\. 5 HP restored\./);
+  assert.equal(game.party[0].hp.current, 8);
+  assert.equal(game.inventory.some((item) => item.id === "item_potion"), false);
+});
+
+test("useItemOutsideCombat rejects enemy items and non-consumables", () => {
+  const game = createItemGame();
+
+  assert.match(useItemOutsideCombat(game, { itemId: "item_bomb" }).message, /combat_action/);
+  assert.equal(
+    useItemOutsideCombat(game, { itemId: "item_rope" }).message,
+    "Rope is not a usable consumable."
+  );
+  assert.equal(
+    useItemOutsideCombat(game, { itemId: "item_missing" }).message,
+    "Hero does not have that item."
+  );
+  assert.equal(game.inventory.find((item) => item.id === "item_bomb").qty, 1);
+});
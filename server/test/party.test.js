@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  getCharacter,
+  getPrimaryCharacterId,
+  listCharacters,
+  normalizePartyMember,
+  summarizeRoster,
+} from "../mcp/party.js";
+
+function createPartyGame() {
+  return {
+    gameId: "game_party",
+    pc: { name: "Hero", level: 2, skills: [], conditions: [] },
+    stats: { str: 14, agi: 12, con: 12, int: 10, wis: 10, cha: 10 },
+    hp: { current: 9, max: 12 },
+    mp: { current: 2, max: 4 },
+    inventory: [],
+    party: [normalizePartyMember({ id: "pc_brin", name: "Brin", hpMax: 10, archetype: "Cleric" })],
+    activeCharacterId: null,
+  };
+}
+
+test("normalizePartyMember builds a full character record", () => {
+  const member = normalizePartyMember({
+    name: "Mira",
+    level: 3,
+    hpMax: 14,
+    hp: 20,
+    stats: { str: 8, agi: 16, con: 12, int: 14, wis: 10, cha: 13 },
+    inventory: [{ name: "Dagger", weapon: { category: "melee", damageFormula: "1d4" } }],
+  });
+
+  assert.match(member.id, /^pc_/);
+  assert.equal(member.pc.name, "Mira");
+  assert.equal(member.pc.level, 3);
+  assert.deepEqual(member.hp, { current: 14, max: 14 });
+  assert.equal(member.stats.agi, 16);
+  assert.equal(member.inventory[0].weapon.equipped, true);
+  assert.equal(normalizePartyMember({ level: 2 }), null);
+});
+
+test("getCharacter resolves explicit ids, the active character, and the primary character", () => {
+  const game = createPartyGame();
+
+  assert.equal(getCharacter(game).id, getPrimaryCharacterId(game));
+  assert.equal(getCharacter(game).hp, game.hp);
+  assert.equal(getCharacter(game, "pc_brin").pc.name, "Brin");
+  assert.equal(getCharacter(game, "pc_missing"), null);
+
+  game.activeCharacterId = "pc_brin";
+  assert.equal(getCharacter(game).pc.name, "Brin");
+  assert.deepEqual(
+    listCharacters(game).map((character) => character.id),
+    ["pc_game_party", "pc_brin"]
+  );
+});
+
+test("summarizeRoster lists every character with vitals and the active flag", () => {
+  const game = createPartyGame();
+  game.activeCharacterId = "pc_brin";
+
+  assert.deepEqual(
+    summarizeRoster(game).map((entry) => [entry.name, entry.hp.current, entry.primary, entry.active]),
+    [
+      ["Hero", 9, true, false],
+      ["Brin", 10, false, true],
+    ]
+  );
+});
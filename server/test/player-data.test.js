@@ -4,13 +4,16 @@ import assert from "node:assert/strict";
 import {
   applyInventoryDelta,
   ensureSingleEquippedWeapon,
+  getInventoryArmorBonus,
   getInventoryWeapons,
   getSkillCatalog,
+  normalizeDamageTypes,
   normalizeInventoryItem,
   normalizeSkill,
   normalizeWeapon,
   syncInventoryWeaponEquipFlags,
 } from "../mcp/player-data.js";
+import { skillInputSchema } from "../mcp/schemas.js";
 
 test("normalizeWeapon defaults and clamps ranges", () => {
   const melee = normalizeWeapon({ category: "melee", range: 99 }, "Sword");
@@ -24,6 +27,34 @@ test("normalizeWeapon defaults and clamps ranges", () => {
   const fallback = normalizeWeapon({}, "Arcane Blade");
   assert.equal(fallback.id, "weapon_arcane_blade");
   assert.equal(fallback.name, "Arcane Blade");
+  assert.equal(fallback.damageType, null);
+  assert.equal(normalizeWeapon({ damageType: "ballistic" }, "Rifle").damageType, "ballistic");
+  assert.equal(normalizeWeapon({ damageType: "bullets" }, "Rifle").damageType, null);
+});
+
+test("normalizeWeapon tracks ammo, magazines, and durability only when set", () => {
+  const sword = normalizeWeapon({ category: "melee" }, "Sword");
+  assert.equal("magazine" in sword || "ammo" in sword || "durability" in sword, false);
+
+  const rifle = normalizeWeapon(
+    { category: "ranged", ammoItem: " Rifle Rounds ", magazine: 6, loaded: 99, reload: "reload" },
+    "Rifle"
+  );
+  assert.deepEqual(
+    [rifle.ammoItem, rifle.magazine, rifle.loaded, rifle.reload],
+    ["Rifle Rounds", 6, 6, "action"]
+  );
+  const bow = normalizeWeapon({ category: "ranged", ammo: 12.7, durabilityMax: 5 }, "Bow");
+  assert.deepEqual([bow.ammo, bow.durability, bow.durabilityMax], [12, 5, 5]);
+  assert.equal(normalizeWeapon({ durability: 0, durabilityMax: 3 }, "Axe").durability, 0);
+});
+
+test("normalizeDamageTypes keeps known types once", () => {
+  assert.deepEqual(normalizeDamageTypes(["fire", "ballistic", "fire", "bullets"]), [
+    "fire",
+    "ballistic",
+  ]);
+  assert.deepEqual(normalizeDamageTypes("fire"), []);
 });
 
 test("normalizeSkill coerces defaults and bounds", () => {
@@ -42,6 +73,38 @@ test("normalizeSkill coerces defaults and bounds", () => {
   assert.equal(skill.mpCost, 0);
   assert.equal(skill.range, 30);
   assert.equal(skill.target, "enemy");
+  assert.equal(skill.maxTargets, 1);
+  assert.equal(skill.friendlyFire, false);
+  assert.equal(skill.area, undefined);
+  assert.equal(skill.reaction, null);
+  assert.equal(normalizeSkill({ reaction: "parry" }, "Parry").reaction, "parry");
+
+  const fireball = normalizeSkill(
+    { area: { shape: "burst", radius: 99 }, maxTargets: 0, friendlyFire: true },
+    "Fireball"
+  );
+  assert.deepEqual(fireball.area, { shape: "burst", radius: 30 });
+  assert.equal(fireball.maxTargets, 1);
+  assert.equal(fireball.friendlyFire, true);
+  assert.equal(normalizeSkill({ area: { shape: "cone" } }, "Cone").area, undefined);
+});
+
+test("skill formulas must parse as dice expressions", () => {
+  const skill = normalizeSkill(
+    { name: "Hex", damageFormula: "2x6", healFormula: "1d4+1", mpRestoreFormula: "lots" },
+    "Hex"
+  );
+  assert.equal(skill.damageFormula, "");
+  assert.equal(skill.healFormula, "1d4+1");
+  assert.equal(skill.mpRestoreFormula, "");
+
+  const parsed = skillInputSchema.safeParse({ name: "Hex", damageFormula: "2x6" });
+  assert.equal(parsed.success, false);
+  assert.equal(
+    parsed.error.issues[0].message,
+    "Invalid dice formula. Try d20, 2d6+3, or 4d6kh3."
+  );
+  assert.equal(skillInputSchema.safeParse({ name: "Hex", damageFormula: "2d6+1" }).success, true);
 });
 
 test("normalizeInventoryItem creates a stable item shape", () => {
@@ -55,6 +118,27 @@ test("normalizeInventoryItem creates a stable item shape", () => {
   assert.ok(item.id.startsWith("item_"));
   assert.equal(item.qty, 2);
   assert.equal(item.weapon.name, "Rope");
+
+  const bomb = normalizeInventoryItem({
+    name: "Fire Bomb",
+    consumable: {
+      target: "enemy",
+      range: 99,
+      damageFormula: "2d6",
+      damageType: "fire",
+      condition: { id: "burning" },
+    },
+  });
+  assert.deepEqual(bomb.consumable, {
+    target: "enemy",
+    range: 30,
+    healFormula: "",
+    mpRestoreFormula: "",
+    damageFormula: "2d6",
+    damageType: "fire",
+    condition: { id: "burning", duration: 2 },
+  });
+  assert.equal(normalizeInventoryItem({ name: "Potion", consumable: {} }).consumable.range, 0);
 });
 
 test("getSkillCatalog sorts and filters unlocked skills", () => {
@@ -164,3 +248,21 @@ test("applyInventoryDelta merges, removes, and syncs equipment flags", () => {
   assert.equal(game.inventory.some((item) => item.name === "Sword"), false);
   assert.equal(game.inventory.some((item) => item.name === "Bow"), true);
 });
+
+test("getInventoryArmorBonus sums only equipped armor and caps the total", () => {
+  const inventory = [
+    normalizeInventoryItem({ name: "Leather Armor", armor: 2, equipped: true }),
+    normalizeInventoryItem({ name: "Shield", armor: 99, equipped: true }),
+    normalizeInventoryItem({ name: "Spare Helm", armor: 3 }),
+    normalizeInventoryItem({ name: "Rope", equipped: true }),
+  ];
+
+  assert.equal(inventory[1].armor, 10);
+  assert.equal(inventory[2].equipped, false);
+  assert.equal("armor" in inventory[3], false);
+  assert.equal("equipped" in inventory[3], false);
+  assert.equal(getInventoryArmorBonus(inventory), 10);
+  assert.equal(getInventoryArmorBonus(inventory.slice(2)), 0);
+  assert.equal(getInventoryArmorBonus([inventory[0]]), 2);
+  assert.equal(getInventoryArmorBonus(null), 0);
+});
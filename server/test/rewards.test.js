@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createRngState } from "../mcp/core-utils.js";
+import { normalizeLootTable } from "../mcp/player-data.js";
+import {
+  addLootToInventory,
+  awardExperience,
+  describeCombatRewards,
+  rollEnemyLoot,
+} from "../mcp/rewards.js";
+
+test("awardExperience adds the same xp to every recipient", () => {
+  const hero = { id: "pc_hero", pc: { name: "Hero" } };
+  const brin = { id: "pc_brin", pc: { name: "Brin", xp: 40 } };
+
+  assert.deepEqual(awardExperience([hero, brin], 25), [
+    { id: "pc_hero", name: "Hero", xp: 25, total: 25 },
+    { id: "pc_brin", name: "Brin", xp: 25, total: 65 },
+  ]);
+  assert.deepEqual(awardExperience([hero], 0), []);
+  assert.equal(hero.pc.xp, 25);
+});
+
+test("loot tables roll chance drops and land in the inventory", () => {
+  const game = { rng: createRngState("loot"), rollHistory: [], combat: null };
+  const enemy = {
+    name: "Bandit",
+    loot: normalizeLootTable([
+      { name: "Coins", qty: 12 },
+      { name: "Lockpick", chance: 40 },
+      { name: "Ruby", chance: 20 },
+      { qty: 3 },
+    ]),
+  };
+  assert.equal(enemy.loot.length, 3);
+
+  const drops = rollEnemyLoot(game, enemy);
+  const lootRolls = game.rollHistory.filter((entry) => entry.source === "loot");
+  assert.deepEqual(
+    lootRolls.map((entry) => [entry.reason, entry.total]),
+    [
+      ["Lockpick drop from Bandit (40% chance)", 91],
+      ["Ruby drop from Bandit (20% chance)", 18],
+    ]
+  );
+  assert.deepEqual(drops.map((item) => item.name), ["Coins", "Ruby"]);
+
+  const character = { inventory: [{ id: "item_coins", name: "Coins", qty: 3, notes: "" }] };
+  const added = addLootToInventory(character, [enemy.loot[0]]);
+  assert.deepEqual(added, [{ name: "Coins", qty: 12 }]);
+  assert.equal(character.inventory[0].qty, 15);
+  assert.equal(
+    describeCombatRewards({ xp: 30, recipients: [{ name: "Hero" }], loot: added }),
+    " Hero gains 30 XP. Loot: Coins x12."
+  );
+});
+
+test("guaranteed loot drops without a roll and a missed 1% chance drops nothing", () => {
+  ["loot", "loot-2", "loot-3"].forEach((seed) => {
+    const game = { rng: createRngState(seed), rollHistory: [], combat: null };
+    const enemy = { name: "Wolf", loot: normalizeLootTable([{ name: "Pelt", chance: 100 }]) };
+
+    assert.deepEqual(rollEnemyLoot(game, enemy).map((item) => item.name), ["Pelt"]);
+    assert.equal(game.rollHistory.length, 0);
+  });
+
+  const game = { rng: createRngState("loot"), rollHistory: [], combat: null };
+  const enemy = { name: "Wolf", loot: normalizeLootTable([{ name: "Fang", chance: 0 }]) };
+  assert.equal(enemy.loot[0].chance, 1);
+
+  assert.deepEqual(rollEnemyLoot(game, enemy), []);
+  assert.equal(game.rollHistory[0].total, 91);
+});
@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { MAX_ROLL_HISTORY } from "../mcp/constants.js";
+import { rollDice } from "../mcp/core-utils.js";
+import { describeRollEntry, queryRollHistory, recordRoll } from "../mcp/roll-history.js";
+
+test("recordRoll updates lastRoll and keeps a bounded history", () => {
+  const game = { combat: null, lastRoll: null };
+  for (let index = 0; index < MAX_ROLL_HISTORY + 5; index += 1) {
+    recordRoll(game, rollDice("2d6+1"), { source: "roll_dice", reason: `roll ${index}` });
+  }
+
+  assert.equal(game.rollHistory.length, MAX_ROLL_HISTORY);
+  assert.equal(game.rollHistory[0].seq, 6);
+  assert.equal(game.lastRoll, game.rollHistory[game.rollHistory.length - 1]);
+  assert.equal(game.lastRoll.seq, MAX_ROLL_HISTORY + 5);
+  assert.equal(game.lastRoll.terms[0].dice.length, 2);
+  assert.equal(game.lastRoll.modifier, 1);
+  assert.equal(game.lastRoll.round, null);
+});
+
+test("queryRollHistory filters by source, round, and limit", () => {
+  const game = { combat: { round: 1 } };
+  recordRoll(game, rollDice("d20"), { source: "initiative", actorId: "pc_1" });
+  recordRoll(game, rollDice("d20"), { source: "attack", reason: "Hero attacks" });
+  game.combat.round = 2;
+  recordRoll(game, rollDice("d20"), { source: "enemy_turn" });
+  recordRoll(game, rollDice("1d6"), { source: "attack", reason: "Hero sword damage" });
+
+  assert.equal(queryRollHistory(game, { source: "attack" }).length, 2);
+  assert.deepEqual(
+    queryRollHistory(game, { round: 2 }).map((entry) => entry.source),
+    ["enemy_turn", "attack"]
+  );
+  assert.equal(queryRollHistory(game, { limit: 1 })[0].seq, 4);
+  assert.deepEqual(queryRollHistory({}, { source: "attack" }), []);
+  assert.match(
+    describeRollEntry(game.rollHistory[1]),
+    /^#2 \[attack, round 1\] Hero attacks: \d+ \(1d20 \[\d+\]\)$/
+  );
+});
+
+test("round filters stay within one encounter since rounds restart every fight", () => {
+  const game = { combat: { encounter: 1, round: 1 }, encounterCount: 1 };
+  recordRoll(game, rollDice("d20"), { source: "attack", reason: "first fight" });
+  game.combat = { encounter: 2, round: 1 };
+  game.encounterCount = 2;
+  recordRoll(game, rollDice("d20"), { source: "attack", reason: "second fight" });
+  game.combat = null;
+
+  assert.deepEqual(
+    queryRollHistory(game, { round: 1 }).map((entry) => entry.reason),
+    ["second fight"]
+  );
+  assert.deepEqual(
+    queryRollHistory(game, { encounter: 1, round: 1 }).map((entry) => entry.reason),
+    ["first fight"]
+  );
+  assert.equal(queryRollHistory(game).length, 2);
+  assert.match(describeRollEntry(game.rollHistory[0]), /^#1 \[attack, encounter 1, round 1\]/);
+});
+
+test("hidden rolls stay out of lastRoll and default history queries", () => {
+  const game = { combat: null, lastRoll: null };
+  const visible = recordRoll(game, rollDice("d20"), { source: "roll_dice" });
+  const secret = recordRoll(game, rollDice("d20"), {
+    source: "ability_check",
+    reason: "goblin stealth",
+    hidden: true,
+  });
+
+  assert.equal(game.lastRoll, visible);
+  assert.equal(secret.hidden, true);
+  assert.deepEqual(queryRollHistory(game), [visible]);
+  assert.deepEqual(queryRollHistory(game, { includeHidden: true }), [visible, secret]);
+  assert.match(describeRollEntry(secret), /^#2 \[ability_check, hidden\] goblin stealth:/);
+});
@@ -12,6 +12,7 @@ import {
   mergeSetupArgs,
   missingSetupChoices,
 } from "../mcp/setup-flow.js";
+import { createRng, createRngState } from "../mcp/core-utils.js";
 
 const VALID_STATS = {
   str: 15,
@@ -106,6 +107,13 @@ test("applySetupDefaults fills required fields", () => {
   assert.ok(defaults.pc?.archetype);
 });
 
+test("applySetupDefaults picks identical defaults for the same seed", () => {
+  const first = applySetupDefaults({}, createRng(createRngState("harbor")));
+  const second = applySetupDefaults({}, createRng(createRngState("harbor")));
+
+  assert.deepEqual(first, second);
+});
+
 test("setup session flow confirms and consumes once", () => {
   const session = beginSetupSession("game_test_1", {
     genre: "Adventure",
@@ -27,14 +27,18 @@ import {
 import {
   GENERATE_IMAGE_TOOLTIP,
   SET_GLOBALS_EVENT,
+  buildAllies,
   buildEnemies,
   buildInitiative,
+  buildRoster,
   buildStats,
   clamp,
+  formatConditions,
   formatStatModifier,
   formatStatValue,
   getGameMode,
   severityTone,
+  type Enemy,
   type GameMode,
   type GameState,
   type SetGlobalsEvent,
@@ -50,6 +54,8 @@ import {
   MapPin,
   Sparkles,
   Swords,
+  UserRound,
+  Users,
   Wand2,
 } from "lucide-react";
 
@@ -120,6 +126,33 @@ function ResourceMeter({
   );
 }
 
+function CombatantRow({ combatant, tag }: { combatant: Enemy; tag?: string }) {
+  return (
+    <div className="rounded-md border px-2.5 py-2">
+      <div className="flex items-center justify-between gap-3">
+        <p className="truncate text-sm font-semibold">{combatant.name}</p>
+        <Badge variant={severityTone[combatant.severity].variant} className="rounded-full">
+          {combatant.severity}
+        </Badge>
+      </div>
+      {(combatant.note || tag) && (
+        <p className="mt-1 text-xs text-muted-foreground">
+          {[tag, combatant.note].filter(Boolean).join(" · ")}
+        </p>
+      )}
+      {combatant.conditions.length > 0 && (
+        <div className="mt-1.5 flex flex-wrap gap-1">
+          {combatant.conditions.map((condition) => (
+            <Badge key={condition} variant="outline" className="rounded-full text-[11px]">
+              {condition}
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function LoadingPanel() {
   return (
     <div className="relative mx-auto w-full max-w-2xl px-3 pb-4 pt-3 sm:px-4 sm:pt-4">
@@ -229,6 +262,9 @@ export function App() {
 
   const stats: Record<StatKey, number | undefined> = buildStats(game);
   const enemies = buildEnemies(game);
+  const allies = buildAllies(game);
+  const roster = buildRoster(game);
+  const pcConditions = formatConditions(game.pc?.conditions);
   const initiative = buildInitiative(game);
 
   const currentTurnId =
@@ -301,6 +337,19 @@ export function App() {
                   {game.location ? game.location : "Unknown location"}
                 </span>
               </CardDescription>
+              {pcConditions.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {pcConditions.map((condition) => (
+                    <Badge
+                      key={condition}
+                      variant="outline"
+                      className="rounded-full text-[11px]"
+                    >
+                      {condition}
+                    </Badge>
+                  ))}
+                </div>
+              )}
             </div>
             <Badge
               variant={statusChip.accent as "secondary" | "outline"}
@@ -384,6 +433,47 @@ export function App() {
                   note="Spend carefully before entering major encounters."
                 />
               )}
+
+              {roster.length > 1 && (
+                <div className="rounded-lg border bg-card/60 p-3">
+                  <div className="mb-2 flex items-center gap-2 text-sm font-medium">
+                    <Users className="h-4 w-4 text-muted-foreground" />
+                    Party
+                  </div>
+                  <div className="space-y-2">
+                    {roster.map((member) => (
+                      <div
+                        key={member.id}
+                        className={cn(
+                          "flex items-center justify-between gap-3 rounded-md border px-2.5 py-2",
+                          member.active ? "border-ring/80 bg-secondary/60" : "border-border/80"
+                        )}
+                      >
+                        <div className="min-w-0">
+                          <p className="flex items-center gap-1.5 truncate text-sm font-semibold">
+                            <UserRound className="h-3.5 w-3.5 shrink-0 text-muted-foreground" />
+                            {member.name}
+                          </p>
+                          <p className="mt-0.5 truncate text-xs text-muted-foreground">
+                            {[member.detail, ...member.conditions].join(" · ")}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          {member.active && (
+                            <Badge variant="secondary" className="rounded-full">
+                              Active
+                            </Badge>
+                          )}
+                          <span className="text-sm tabular-nums">
+                            {member.hp}
+                            <span className="text-muted-foreground">/{member.hpMax}</span>
+                          </span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </TabsContent>
 
             <TabsContent value="stats" className="mt-4">
@@ -499,25 +589,28 @@ export function App() {
                     {enemies.length === 0 ? (
                       <p className="text-sm text-muted-foreground">No enemies yet.</p>
                     ) : (
-                      enemies.map((enemy) => (
-                        <div key={enemy.id} className="rounded-md border px-2.5 py-2">
-                          <div className="flex items-center justify-between gap-3">
-                            <p className="truncate text-sm font-semibold">{enemy.name}</p>
-                            <Badge
-                              variant={severityTone[enemy.severity].variant}
-                              className="rounded-full"
-                            >
-                              {enemy.severity}
-                            </Badge>
-                          </div>
-                          {enemy.note && (
-                            <p className="mt-1 text-xs text-muted-foreground">{enemy.note}</p>
-                          )}
-                        </div>
-                      ))
+                      enemies.map((enemy) => <CombatantRow key={enemy.id} combatant={enemy} />)
                     )}
                   </div>
                 </div>
+
+                {allies.length > 0 && (
+                  <div className="rounded-lg border bg-background/10 p-3">
+                    <div className="mb-2 flex items-center gap-2 text-sm font-medium">
+                      <Users className="h-4 w-4 text-muted-foreground" />
+                      Allies
+                    </div>
+                    <div className="space-y-2">
+                      {allies.map((ally) => (
+                        <CombatantRow
+                          key={ally.id}
+                          combatant={ally}
+                          tag={ally.playerControlled ? "Your command" : undefined}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -16,22 +16,46 @@ export type InventoryItem = {
   notes?: string;
 };
 
+export type ConditionState = {
+  id: string;
+  label?: string;
+  remaining?: number;
+  stacks?: number;
+};
+
+export type RosterEntryState = {
+  id: string;
+  name?: string;
+  archetype?: string;
+  level?: number;
+  xp?: number;
+  hp?: { current: number; max: number };
+  mp?: { current: number; max: number };
+  conditions?: ConditionState[];
+  primary?: boolean;
+  active?: boolean;
+};
+
+export type NpcCombatantState = {
+  id?: string;
+  name: string;
+  hp?: number;
+  hpMax?: number;
+  status?: EnemySeverity | string;
+  intent?: string;
+  note?: string;
+  conditions?: ConditionState[];
+};
+
 export type CombatState = {
   round?: number;
   currentTurnId?: string | null;
-  enemies?: Array<{
-    id?: string;
-    name: string;
-    hp?: number;
-    hpMax?: number;
-    status?: EnemySeverity | string;
-    intent?: string;
-    note?: string;
-  }>;
+  enemies?: NpcCombatantState[];
+  allies?: Array<NpcCombatantState & { controlledBy?: "auto" | "player" }>;
   initiative?: Array<{
     id?: string;
     name: string;
-    kind?: "pc" | "enemy";
+    kind?: "pc" | "ally" | "enemy";
     initiative?: number;
   }>;
 };
@@ -50,6 +74,7 @@ export type GameState = {
     archetype?: string;
     background?: string;
     goal?: string;
+    conditions?: ConditionState[];
   };
   stats?: {
     str: number;
@@ -62,6 +87,8 @@ export type GameState = {
   hp?: { current: number; max: number };
   mp?: { current: number; max: number };
   inventory?: InventoryItem[];
+  activeCharacterId?: string | null;
+  roster?: RosterEntryState[];
   location?: string;
   imageRequest?: {
     type?: string;
@@ -93,12 +120,27 @@ export type Enemy = {
   name: string;
   severity: EnemySeverity;
   note?: string;
+  conditions: string[];
+};
+
+export type Ally = Enemy & {
+  playerControlled: boolean;
+};
+
+export type RosterMember = {
+  id: string;
+  name: string;
+  detail: string;
+  hp: number;
+  hpMax: number;
+  active: boolean;
+  conditions: string[];
 };
 
 export type InitiativeEntry = {
   id: string;
   name: string;
-  kind: "pc" | "enemy";
+  kind: "pc" | "ally" | "enemy";
   initiative: number;
 };
 
@@ -166,6 +208,17 @@ export function buildStats(game: GameState): Record<StatKey, number | undefined>
   };
 }
 
+export function formatConditions(conditions?: ConditionState[]): string[] {
+  return (conditions ?? [])
+    .filter((condition) => condition?.id)
+    .map((condition) => {
+      const label = condition.label ?? condition.id;
+      const stacks = (condition.stacks ?? 1) > 1 ? ` x${condition.stacks}` : "";
+      const remaining = condition.remaining ? ` (${condition.remaining})` : "";
+      return `${label}${stacks}${remaining}`;
+    });
+}
+
 export function buildEnemies(game: GameState): Enemy[] {
   return (game.combat?.enemies ?? [])
     .filter((enemy) => enemy?.name)
@@ -174,6 +227,34 @@ export function buildEnemies(game: GameState): Enemy[] {
       name: enemy.name,
       severity: normalizeEnemySeverity(enemy.status, enemy.hp, enemy.hpMax),
       note: enemy.note ?? enemy.intent ?? "",
+      conditions: formatConditions(enemy.conditions),
+    }));
+}
+
+export function buildAllies(game: GameState): Ally[] {
+  return (game.combat?.allies ?? [])
+    .filter((ally) => ally?.name)
+    .map((ally) => ({
+      id: ally.id ?? `ally_${ally.name}`,
+      name: ally.name,
+      severity: normalizeEnemySeverity(ally.status, ally.hp, ally.hpMax),
+      note: ally.note ?? ally.intent ?? "",
+      conditions: formatConditions(ally.conditions),
+      playerControlled: ally.controlledBy === "player",
+    }));
+}
+
+export function buildRoster(game: GameState): RosterMember[] {
+  return (game.roster ?? [])
+    .filter((entry) => entry?.id)
+    .map((entry) => ({
+      id: entry.id,
+      name: entry.name || "Unnamed hero",
+      detail: [entry.archetype, `Lv ${entry.level ?? 1}`].filter(Boolean).join(" · "),
+      hp: entry.hp?.current ?? 0,
+      hpMax: entry.hp?.max ?? 0,
+      active: Boolean(entry.active),
+      conditions: formatConditions(entry.conditions),
     }));
 }
 
@@ -183,7 +264,7 @@ export function buildInitiative(game: GameState): InitiativeEntry[] {
     .map<InitiativeEntry>((entry) => ({
       id: entry.id ?? `init_${entry.name}`,
       name: entry.name,
-      kind: entry.kind === "enemy" ? "enemy" : "pc",
+      kind: entry.kind === "enemy" || entry.kind === "ally" ? entry.kind : "pc",
       initiative: Number(entry.initiative ?? 0),
     }))
     .sort((a, b) => b.initiative - a.initiative);
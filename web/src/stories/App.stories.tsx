@@ -109,8 +109,18 @@ export const Combat: Story = {
             intent: "Flank the party",
           },
         ],
+        allies: [
+          {
+            id: "ally_1",
+            name: "Brin the Squire",
+            hp: 9,
+            hpMax: 12,
+            controlledBy: "player",
+          },
+        ],
         initiative: [
           { id: "init_1", name: "Aster Vale", kind: "pc", initiative: 17 },
+          { id: "ally_1", name: "Brin the Squire", kind: "ally", initiative: 16 },
           { id: "init_2", name: "Void Drake", kind: "enemy", initiative: 15 },
           { id: "init_3", name: "Drakeling", kind: "enemy", initiative: 11 },
         ],
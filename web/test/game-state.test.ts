@@ -2,10 +2,13 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import {
+  buildAllies,
   buildEnemies,
   buildInitiative,
+  buildRoster,
   buildStats,
   clamp,
+  formatConditions,
   formatStatModifier,
   formatStatValue,
   getGameMode,
@@ -84,6 +87,37 @@ test("buildEnemies normalizes ids, severity, and note fallback", () => {
   assert.equal(enemies[0].id, "enemy_Goblin");
   assert.equal(enemies[0].severity, "Badly Wounded");
   assert.equal(enemies[0].note, "Flank");
+  assert.deepEqual(enemies[0].conditions, []);
+});
+
+test("formatConditions shows stacks and remaining rounds", () => {
+  assert.deepEqual(
+    formatConditions([
+      { id: "burning", label: "Burning", remaining: 2, stacks: 2 },
+      { id: "stunned", remaining: 1 },
+    ]),
+    ["Burning x2 (2)", "stunned (1)"]
+  );
+});
+
+test("buildAllies marks player-controlled allies", () => {
+  const allies = buildAllies({
+    ...baseState,
+    combat: {
+      allies: [
+        { id: "ally_1", name: "Squire", hp: 10, hpMax: 10, controlledBy: "player" },
+        { name: "Hound", hp: 0, hpMax: 8 },
+      ],
+    },
+  });
+
+  assert.deepEqual(
+    allies.map((ally) => [ally.id, ally.severity, ally.playerControlled]),
+    [
+      ["ally_1", "Unhurt", true],
+      ["ally_Hound", "Down", false],
+    ]
+  );
 });
 
 test("buildInitiative sorts descending and defaults kind to pc", () => {
@@ -92,6 +126,7 @@ test("buildInitiative sorts descending and defaults kind to pc", () => {
     combat: {
       initiative: [
         { id: "e1", name: "Enemy", kind: "enemy", initiative: 11 },
+        { id: "a1", name: "Squire", kind: "ally", initiative: 13 },
         { id: "p1", name: "Hero", initiative: 15 },
       ],
     },
@@ -101,11 +136,42 @@ test("buildInitiative sorts descending and defaults kind to pc", () => {
     initiative.map((entry) => ({ id: entry.id, kind: entry.kind, initiative: entry.initiative })),
     [
       { id: "p1", kind: "pc", initiative: 15 },
+      { id: "a1", kind: "ally", initiative: 13 },
       { id: "e1", kind: "enemy", initiative: 11 },
     ]
   );
 });
 
+test("buildRoster summarizes each character and flags the active one", () => {
+  const roster = buildRoster({
+    ...baseState,
+    roster: [
+      { id: "pc_1", name: "Hero", level: 2, hp: { current: 8, max: 12 }, primary: true },
+      {
+        id: "pc_2",
+        name: "Brin",
+        archetype: "Cleric",
+        hp: { current: 10, max: 10 },
+        active: true,
+        conditions: [{ id: "poisoned", label: "Poisoned", remaining: 2 }],
+      },
+    ],
+  });
+
+  assert.deepEqual(roster, [
+    { id: "pc_1", name: "Hero", detail: "Lv 2", hp: 8, hpMax: 12, active: false, conditions: [] },
+    {
+      id: "pc_2",
+      name: "Brin",
+      detail: "Cleric · Lv 1",
+      hp: 10,
+      hpMax: 10,
+      active: true,
+      conditions: ["Poisoned (2)"],
+    },
+  ]);
+});
+
 test("getGameMode returns combat when phase or combat payload indicates it", () => {
   assert.equal(getGameMode(baseState), "explore");
   assert.equal(getGameMode({ ...baseState, phase: "combat" }), "combat");